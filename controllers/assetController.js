@@ -1,7 +1,11 @@
 const Asset = require('../models/Asset');
+const { applyBranchScope, canAccessBranch, inBranchScope } = require('../utils/branchScope');
 
 exports.createAsset = async (req, res) => {
   try {
+    if (!canAccessBranch(req.userDoc, req.body.branchCode)) {
+      return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+    }
     const asset = await Asset.create(req.body);
     res.status(201).json(asset);
   } catch (err) {
@@ -15,6 +19,9 @@ exports.getAllAssets = async (req, res) => {
     const filter = {};
     if (branchName) filter.branchName = branchName;
     if (branchCode) filter.branchCode = branchCode;
+    if (!applyBranchScope(req.userDoc, filter)) {
+      return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+    }
     const assets = await Asset.find(filter).sort({ createdAt: -1 });
     res.json(assets);
   } catch (err) {
@@ -26,6 +33,7 @@ exports.getAssetById = async (req, res) => {
   try {
     const asset = await Asset.findById(req.params.id);
     if (!asset) return res.status(404).json({ error: 'Asset not found' });
+    if (!inBranchScope(req.userDoc, asset)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
     res.json(asset);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -34,6 +42,12 @@ exports.getAssetById = async (req, res) => {
 
 exports.updateAsset = async (req, res) => {
   try {
+    const existing = await Asset.findById(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Asset not found' });
+    if (!inBranchScope(req.userDoc, existing)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+    if (req.body.branchCode && !canAccessBranch(req.userDoc, req.body.branchCode)) {
+      return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+    }
     const asset = await Asset.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
     if (!asset) return res.status(404).json({ error: 'Asset not found' });
     res.json(asset);
@@ -44,6 +58,9 @@ exports.updateAsset = async (req, res) => {
 
 exports.deleteAsset = async (req, res) => {
   try {
+    const existing = await Asset.findById(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Asset not found' });
+    if (!inBranchScope(req.userDoc, existing)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
     const asset = await Asset.findByIdAndDelete(req.params.id);
     if (!asset) return res.status(404).json({ error: 'Asset not found' });
     res.json({ message: 'Asset deleted' });
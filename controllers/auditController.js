@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { applyBranchScope } = require('../utils/branchScope');
+
+// GET /api/audit?entity=&entityId=&user=&branchCode=&action=&from=&to=&page=&limit=
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const { entity, entityId, user, branchCode, action, from, to, page = 1, limit = 50 } = req.query;
+    const filter = {};
+    if (entity) filter.entity = entity;
+    if (action) filter.action = action;
+    if (branchCode) filter.branchCode = branchCode;
+    if (entityId) {
+      if (!mongoose.isValidObjectId(entityId)) return res.status(400).json({ error: 'Invalid entityId' });
+      filter.entityId = entityId;
+    }
+    // user may be an id or an email
+    if (user) {
+      if (mongoose.isValidObjectId(user)) filter.user = user;
+      else filter.userEmail = String(user).toLowerCase();
+    }
+    if (from || to) {
+      filter.at = {};
+      if (from) filter.at.$gte = new Date(from);
+      if (to) filter.at.$lte = new Date(to);
+    }
+    if (!applyBranchScope(req.userDoc, filter)) {
+      return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+    }
+
+    const pageNum = Math.max(Number(page) || 1, 1);
+    const limitNum = Math.min(Math.max(Number(limit) || 50, 1), 500);
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ at: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json({
+      entries,
+      total,
+      currentPage: pageNum,
+      totalPages: Math.ceil(total / limitNum),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
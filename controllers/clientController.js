@@ -2,112 +2,114 @@ const mongoose = require('mongoose');
 const Client = require('../models/Client');
 const Group = require('../models/Group');
 const Counter = require('../models/Counter');
+const { can, isOwnRecordsOnly } = require('../utils/permissions');
+const { applyBranchScope, canAccessBranch } = require('../utils/branchScope');
 
-exports.createClient = async (req, res) => {
-  try {
-    const {
-      branchName,
-      branchCode,
-      groupName,
-      groupCode,
-      memberName,
-      picture,
-      memberAge,
-      guardianName,
-      guarantorName,
-      communityAddress,
-      phoneNumber,
-      memberNumber,
-      admissionDate,
-      passBookIssuedDate,
-      nationalId,
-      memberSignature,
-      group,
-    } = req.body;
+// Creates a client for `user` from a request body (also used by the sync push).
+// Returns { client } or { status, error }.
+async function createClientFor(user, body) {
+  const {
+    branchName,
+    branchCode,
+    groupName,
+    groupCode,
+    memberName,
+    picture,
+    memberAge,
+    guardianName,
+    guarantorName,
+    communityAddress,
+    phoneNumber,
+    memberNumber,
+    admissionDate,
+    passBookIssuedDate,
+    nationalId,
+    memberSignature,
+    group,
+    clientEntryId,
+  } = body;
 
-    // Resolve optional group if provided
-    let groupDoc = null;
-    if (group) {
-      if (!mongoose.Types.ObjectId.isValid(group)) {
-        return res.status(400).json({ error: 'Invalid group id' });
-      }
-      groupDoc = await Group.findById(group);
-      if (!groupDoc) return res.status(404).json({ error: 'Group not found' });
-      // Restricted users must own the group
-      const user = req.userDoc;
-      const role = (user && user.role ? String(user.role).toLowerCase() : '');
-      const restricted = role === 'loan officer' || role === 'field agent';
-      if (restricted && user) {
-        if (!groupDoc.createdByEmail || groupDoc.createdByEmail.toLowerCase() !== String(user.email).toLowerCase()) {
-          return res.status(403).json({ error: 'Forbidden: you do not own this group' });
-        }
-      }
+  // Resolve optional group if provided
+  let groupDoc = null;
+  if (group) {
+    if (!mongoose.Types.ObjectId.isValid(group)) {
+      return { status: 400, error: 'Invalid group id' };
     }
+    groupDoc = await Group.findById(group);
+    if (!groupDoc) return { status: 404, error: 'Group not found' };
+    // Restricted users must own the group
+    if (!can(user, 'group.view', groupDoc)) return { status: 403, error: 'Forbidden: you do not own this group' };
+  }
 
-    // Generate a unique passbook number with retry on duplicate
-    let client;
-    for (let attempt = 0; attempt < 5; attempt++) {
-      const counter = await Counter.findByIdAndUpdate(
-        'passbook',
-        { $inc: { seq: 1 } },
-        { new: true, upsert: true }
-      );
-      const generatedPassBookNumber = `PB-${String(counter.seq).padStart(6, '0')}`;
+  // Generate a unique passbook number with retry on duplicate
+  let client;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const counter = await Counter.findByIdAndUpdate(
+      'passbook',
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    const generatedPassBookNumber = `PB-${String(counter.seq).padStart(6, '0')}`;
 
-      try {
-        const user = req.userDoc;
-        const role = (user && user.role ? String(user.role).toLowerCase() : '');
-        const restricted = role === 'loan officer' || role === 'field agent';
-        const payload = {
-          passBookNumber: generatedPassBookNumber,
-          branchName,
-          branchCode,
-          groupName: groupName || (groupDoc ? groupDoc.groupName : undefined),
-          groupCode: groupCode || (groupDoc ? groupDoc.groupCode : undefined),
-          memberName,
-          picture,
-          memberAge,
-          guardianName,
-          guarantorName,
-          communityAddress,
-          phoneNumber,
-          memberNumber,
-          admissionDate,
-          passBookIssuedDate,
-          nationalId,
-          memberSignature,
-          group: groupDoc ? groupDoc._id : undefined,
-        };
-        if (user && user.email) payload.createdByEmail = user.email;
-        if (restricted && user) {
-          payload.branchName = user.branchName;
-          payload.branchCode = user.branchCode;
-        }
-        client = await Client.create(payload);
-        break; // success
-      } catch (e) {
-        if (e && e.code === 11000 && /passBookNumber/i.test(e.message || '')) {
-          // Duplicate key on passBookNumber, retry
-          continue;
-        }
-        throw e;
+    try {
+      const payload = {
+        passBookNumber: generatedPassBookNumber,
+        branchName,
+        branchCode,
+        groupName: groupName || (groupDoc ? groupDoc.groupName : undefined),
+        groupCode: groupCode || (groupDoc ? groupDoc.groupCode : undefined),
+        memberName,
+        picture,
+        memberAge,
+        guardianName,
+        guarantorName,
+        communityAddress,
+        phoneNumber,
+        memberNumber,
+        admissionDate,
+        passBookIssuedDate,
+        nationalId,
+        memberSignature,
+        group: groupDoc ? groupDoc._id : undefined,
+        clientEntryId: clientEntryId ? String(clientEntryId) : undefined,
+      };
+      if (user && user.email) payload.createdByEmail = user.email;
+      if (isOwnRecordsOnly(user)) {
+        payload.branchName = user.branchName;
+        payload.branchCode = user.branchCode;
       }
+      if (!canAccessBranch(user, payload.branchCode)) return { status: 403, error: 'Forbidden: branch outside your scope' };
+      client = await Client.create(payload);
+      break; // success
+    } catch (e) {
+      if (e && e.code === 11000 && /passBookNumber/i.test(e.message || '')) {
+        // Duplicate key on passBookNumber, retry
+        continue;
+      }
+      throw e;
     }
+  }
 
-    if (!client) {
-      return res.status(500).json({ error: 'Failed to allocate passbook number' });
-    }
+  if (!client) {
+    return { status: 500, error: 'Failed to allocate passbook number' };
+  }
 
-    // Optionally add to group's clients list
-    if (groupDoc) {
-      try {
-        await Group.updateOne({ _id: groupDoc._id }, { $addToSet: { clients: client._id } });
-      } catch (e) {
-        // Non-fatal; log and continue
-        console.warn('[CLIENTS] createClient: failed to push into group.clients', e.message);
-      }
+  // Optionally add to group's clients list
+  if (groupDoc) {
+    try {
+      await Group.updateOne({ _id: groupDoc._id }, { $addToSet: { clients: client._id } });
+    } catch (e) {
+      // Non-fatal; log and continue
+      console.warn('[CLIENTS] createClient: failed to push into group.clients', e.message);
     }
+  }
+  return { client };
+}
 
+exports.createClient = async (req, res) => {
+  try {
+    const { client, status, error } = await createClientFor(req.userDoc, req.body);
+    if (error) return res.status(status).json({ error });
     res.status(201).json(client);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -122,12 +124,10 @@ exports.getAllClients = async (req, res) => {
     if (branchCode) filter.branchCode = branchCode;
     if (groupId) filter.group = groupId;
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
+    if (isOwnRecordsOnly(user)) {
       filter.createdByEmail = user.email;
-      if (!branchCode) filter.branchCode = user.branchCode;
     }
+    if (!applyBranchScope(user, filter)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
     const clients = await Client.find(filter).select('-picture').sort({ createdAt: -1 });
     console.log('[Clients:getAllClients]', { filter, count: clients.length });
     res.json(clients);
@@ -141,13 +141,7 @@ exports.getClientById = async (req, res) => {
     const client = await Client.findById(req.params.id).select('-picture').populate('group');
     if (!client) return res.status(404).json({ error: 'Client not found' });
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
-      if (!client.createdByEmail || client.createdByEmail.toLowerCase() !== String(user.email).toLowerCase()) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
-    }
+    if (!can(user, 'client.view', client)) return res.status(403).json({ error: 'Forbidden' });
     res.json(client);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -161,6 +155,8 @@ exports.updateClient = async (req, res) => {
     if (Object.prototype.hasOwnProperty.call(updateData, 'passBookNumber')) {
       delete updateData.passBookNumber;
     }
+    // Derived from repaid loans (see utils/loanCycle)
+    delete updateData.loanCycle;
     // If group provided, validate or ignore empty
     if (Object.prototype.hasOwnProperty.call(updateData, 'group')) {
       if (!updateData.group) {
@@ -172,16 +168,13 @@ exports.updateClient = async (req, res) => {
     const existing = await Client.findById(req.params.id);
     if (!existing) return res.status(404).json({ error: 'Client not found' });
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
-      if (!existing.createdByEmail || existing.createdByEmail.toLowerCase() !== String(user.email).toLowerCase()) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
+    if (!can(user, 'client.manage', existing)) return res.status(403).json({ error: 'Forbidden' });
+    if (isOwnRecordsOnly(user)) {
       updateData.branchName = user.branchName;
       updateData.branchCode = user.branchCode;
       updateData.createdByEmail = user.email;
     }
+    if (updateData.branchCode && !canAccessBranch(user, updateData.branchCode)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
     const client = await Client.findByIdAndUpdate(req.params.id, updateData, { new: true });
     if (!client) return res.status(404).json({ error: 'Client not found' });
     res.json(client);
@@ -195,13 +188,7 @@ exports.deleteClient = async (req, res) => {
     const existing = await Client.findById(req.params.id);
     if (!existing) return res.status(404).json({ error: 'Client not found' });
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
-      if (!existing.createdByEmail || existing.createdByEmail.toLowerCase() !== String(user.email).toLowerCase()) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
-    }
+    if (!can(user, 'client.delete', existing)) return res.status(403).json({ error: 'Forbidden' });
     const client = await Client.findByIdAndDelete(req.params.id);
     if (!client) return res.status(404).json({ error: 'Client not found' });
     res.json({ message: 'Client deleted' });
@@ -215,19 +202,17 @@ exports.getClientsByGroup = async (req, res) => {
     const groupId = req.params.groupId;
     // Access control: ensure restricted users own the group and only see their registered clients
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
-      const g = await Group.findById(groupId);
-      if (!g) return res.status(404).json({ error: 'Group not found' });
-      if (!g.createdByEmail || g.createdByEmail.toLowerCase() !== String(user.email).toLowerCase()) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
+    const g = await Group.findById(groupId);
+    if (!g) return res.status(404).json({ error: 'Group not found' });
+    if (!can(user, 'group.view', g)) return res.status(403).json({ error: 'Forbidden' });
+    if (isOwnRecordsOnly(user)) {
       const clients = await Client.find({ group: groupId, createdByEmail: user.email }).select('-picture').sort({ createdAt: -1 });
       console.log('[Clients:getByGroup]', { groupId, count: clients.length });
       return res.json(clients);
     }
-    const clients = await Client.find({ group: groupId }).select('-picture').sort({ createdAt: -1 });
+    const filter = { group: groupId };
+    applyBranchScope(user, filter);
+    const clients = await Client.find(filter).select('-picture').sort({ createdAt: -1 });
     console.log('[Clients:getByGroup]', { groupId, count: clients.length });
     res.json(clients);
   } catch (err) {
@@ -241,6 +226,7 @@ exports.uploadClientPicture = async (req, res) => {
     if (!req.file) return res.status(400).json({ error: 'No picture file uploaded' });
     const client = await Client.findById(req.params.id);
     if (!client) return res.status(404).json({ error: 'Client not found' });
+    if (!can(req.userDoc, 'client.manage', client)) return res.status(403).json({ error: 'Forbidden' });
 
     const mime = req.file.mimetype || 'application/octet-stream';
     const base64 = req.file.buffer.toString('base64');
@@ -255,8 +241,9 @@ exports.uploadClientPicture = async (req, res) => {
 // Return raw image bytes for <img src> lazy loading; falls back to 404 if not set
 exports.getClientPicture = async (req, res) => {
   try {
-    const client = await Client.findById(req.params.id).select('picture');
+    const client = await Client.findById(req.params.id).select('picture branchCode createdByEmail');
     if (!client || !client.picture) return res.status(404).json({ error: 'Picture not found' });
+    if (!can(req.userDoc, 'client.view', client)) return res.status(403).json({ error: 'Forbidden' });
 
     // Expect Data URI: data:<mime>;base64,<data>
     const [meta, data] = String(client.picture).split(',');
@@ -269,3 +256,6 @@ exports.getClientPicture = async (req, res) => {
     res.status(500).json({ error: err.message });
   }
 };
+
+// Export helper for reuse by the sync push
+exports.createClientFor = createClientFor;
@@ -0,0 +1,234 @@
+const mongoose = require('mongoose');
+const Collateral = require('../models/Collateral');
+const Loan = require('../models/Loan');
+const { can } = require('../utils/permissions');
+const { applyBranchScope, inBranchScope } = require('../utils/branchScope');
+const { recordMany } = require('../utils/metrics');
+
+// Collateral can be pledged while the loan is being applied for or is running
+const PLEDGE_LOAN_STATUSES = ['pending', 'submitted', 'under_review', 'approved', 'active'];
+const RELEASE_LOAN_STATUSES = ['paid', 'rejected'];
+const SEIZE_LOAN_STATUSES = ['defaulted', 'written_off'];
+const DETAIL_FIELDS = ['itemType', 'description', 'serialNumber', 'location', 'valuation'];
+
+function documentsFrom(list, user) {
+  if (!Array.isArray(list)) return [];
+  return list.filter(Boolean).map((d) => ({ ...d, uploadedAt: new Date(), uploadedBy: user.email }));
+}
+
+// Records a change of `value` in totalCollateral for `collateral`. Items count from pledge until
+// they leave custody (released or sold); seized items stay in until sold.
+async function recordCollateralMetric(collateral, value, date, extra, tag) {
+  if (!value) return;
+  try {
+    await recordMany([
+      {
+        metric: 'totalCollateral',
+        value,
+        date,
+        branchName: collateral.branchName,
+        branchCode: collateral.branchCode,
+        loanOfficerName: collateral.loanOfficerName,
+        currency: collateral.currency,
+        loan: collateral.loan,
+        group: collateral.group,
+        client: collateral.client,
+        extra: { collateral: String(collateral._id), itemType: collateral.itemType, ...extra },
+      },
+    ]);
+  } catch (mErr) {
+    console.error(`[Metrics:${tag}] failed:`, mErr.message);
+  }
+}
+
+const valuationOf = (collateral) => Number((collateral.valuation && collateral.valuation.amount) || 0);
+
+// POST /api/collateral — pledge an item against a loan
+// { loan, itemType, description, serialNumber?, location?, valuation: { amount, valuer, date }, documents? }
+exports.pledgeCollateral = async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!mongoose.Types.ObjectId.isValid(body.loan)) return res.status(400).json({ error: 'Invalid or missing loan id' });
+    const loan = await Loan.findById(body.loan).select('loanType client clients group branchName branchCode loanOfficerName createdByEmail currency status');
+    if (!loan) return res.status(404).json({ error: 'Loan not found' });
+    const user = req.userDoc;
+    if (!can(user, 'collateral.pledge', loan)) return res.status(403).json({ error: 'Forbidden' });
+    if (!PLEDGE_LOAN_STATUSES.includes(loan.status)) {
+      return res.status(400).json({ error: `Cannot pledge collateral on a loan with status ${loan.status}` });
+    }
+    // Group loans: the member pledging the item
+    let client = loan.client;
+    if (body.client) {
+      if (!mongoose.Types.ObjectId.isValid(body.client)) return res.status(400).json({ error: 'Invalid client id' });
+      const onLoan = String(body.client) === String(loan.client) || (loan.clients || []).some((c) => String(c) === String(body.client));
+      if (!onLoan) return res.status(400).json({ error: 'client is not a borrower on this loan' });
+      client = body.client;
+    }
+    if (body.currency && body.currency !== loan.currency) {
+      return res.status(400).json({ error: `Collateral must be valued in the loan currency (${loan.currency})` });
+    }
+
+    const collateral = await Collateral.create({
+      ...Object.fromEntries(DETAIL_FIELDS.map((f) => [f, body[f]])),
+      loan: loan._id,
+      client,
+      group: loan.group,
+      branchName: loan.branchName,
+      branchCode: loan.branchCode,
+      loanOfficerName: loan.loanOfficerName,
+      createdByEmail: user.email,
+      currency: loan.currency,
+      documents: documentsFrom(body.documents, user),
+      status: 'held',
+      pledgedAt: new Date(),
+      pledgedBy: user.email,
+    });
+
+    await recordCollateralMetric(collateral, valuationOf(collateral), collateral.pledgedAt, {}, 'pledgeCollateral');
+    res.status(201).json(collateral);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// GET /api/collateral?loan=&client=&status=&itemType=&branchCode=
+exports.getAllCollateral = async (req, res) => {
+  try {
+    const { loan, client, status, itemType, branchCode } = req.query;
+    const filter = {};
+    for (const [key, value] of [['loan', loan], ['client', client]]) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) return res.status(400).json({ error: `Invalid ${key} id` });
+      filter[key] = value;
+    }
+    if (status) filter.status = status;
+    if (itemType) filter.itemType = itemType;
+    if (branchCode) filter.branchCode = branchCode;
+    if (!applyBranchScope(req.userDoc, filter)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+    const items = await Collateral.find(filter).select('-documents.data').sort({ pledgedAt: -1 });
+    res.json(items);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+exports.getCollateralById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid collateral id' });
+    const collateral = await Collateral.findById(req.params.id);
+    if (!collateral) return res.status(404).json({ error: 'Collateral not found' });
+    if (!inBranchScope(req.userDoc, collateral)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+    res.json(collateral);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// PUT /api/collateral/:id — update details, revalue or attach documents while the item is held
+exports.updateCollateral = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid collateral id' });
+    const collateral = await Collateral.findById(req.params.id);
+    if (!collateral) return res.status(404).json({ error: 'Collateral not found' });
+    const user = req.userDoc;
+    if (!can(user, 'collateral.pledge', collateral)) return res.status(403).json({ error: 'Forbidden' });
+    if (collateral.status !== 'held') return res.status(400).json({ error: `Collateral is ${collateral.status}` });
+    const body = req.body || {};
+    const valueBefore = valuationOf(collateral);
+    DETAIL_FIELDS.forEach((field) => {
+      if (Object.prototype.hasOwnProperty.call(body, field)) collateral[field] = body[field];
+    });
+    documentsFrom(body.documents, user).forEach((d) => collateral.documents.push(d));
+    await collateral.save();
+    // Revaluation: the difference goes to totalCollateral
+    const delta = Number((valuationOf(collateral) - valueBefore).toFixed(2));
+    await recordCollateralMetric(collateral, delta, new Date(), { revaluation: true }, 'updateCollateral');
+    res.json(collateral);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// Loads the item and its loan for a custody change, answering the request itself on failure
+async function loadForCustody(req, res, action) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ error: 'Invalid collateral id' });
+    return null;
+  }
+  const collateral = await Collateral.findById(req.params.id);
+  if (!collateral) {
+    res.status(404).json({ error: 'Collateral not found' });
+    return null;
+  }
+  if (!can(req.userDoc, action, collateral)) {
+    res.status(403).json({ error: 'Forbidden' });
+    return null;
+  }
+  const loan = await Loan.findById(collateral.loan).select('status closedAt');
+  return { collateral, loan };
+}
+
+// POST /api/collateral/:id/release — hand the item back once the loan is paid (or was rejected) { reason? }
+exports.releaseCollateral = async (req, res) => {
+  try {
+    const found = await loadForCustody(req, res, 'collateral.release');
+    if (!found) return;
+    const { collateral, loan } = found;
+    if (collateral.status !== 'held') return res.status(400).json({ error: `Collateral is ${collateral.status}` });
+    // Items on a rejected loan, or a loan that no longer exists, can be handed back too
+    if (loan && !RELEASE_LOAN_STATUSES.includes(loan.status)) {
+      return res.status(400).json({ error: `Collateral is released on payoff; loan is ${loan.status}` });
+    }
+    collateral.status = 'released';
+    collateral.released = { date: new Date(), by: req.userDoc.email, reason: (req.body && req.body.reason) || 'Loan paid' };
+    await collateral.save();
+    await recordCollateralMetric(collateral, -valuationOf(collateral), collateral.released.date, { released: true }, 'releaseCollateral');
+    res.json(collateral);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// POST /api/collateral/:id/seize — take the item on a defaulted or written-off loan { reason }
+exports.seizeCollateral = async (req, res) => {
+  try {
+    const reason = String((req.body && req.body.reason) || '').trim();
+    if (!reason) return res.status(400).json({ error: 'reason is required to seize collateral' });
+    const found = await loadForCustody(req, res, 'collateral.seize');
+    if (!found) return;
+    const { collateral, loan } = found;
+    if (collateral.status !== 'held') return res.status(400).json({ error: `Collateral is ${collateral.status}` });
+    if (!loan || !SEIZE_LOAN_STATUSES.includes(loan.status)) {
+      return res.status(400).json({ error: `Collateral can only be seized on a defaulted or written-off loan${loan ? ` (loan is ${loan.status})` : ''}` });
+    }
+    collateral.status = 'seized';
+    collateral.seized = { date: new Date(), by: req.userDoc.email, reason };
+    await collateral.save();
+    // No totalCollateral change: the item stays in custody until it is sold
+    res.json(collateral);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// POST /api/collateral/:id/sell — record the sale of seized collateral { amount, buyer?, date? }
+exports.sellCollateral = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const amount = Number(body.amount);
+    if (!(amount > 0)) return res.status(400).json({ error: 'amount must be greater than 0' });
+    const date = body.date ? new Date(body.date) : new Date();
+    if (isNaN(date)) return res.status(400).json({ error: 'Invalid date' });
+    const found = await loadForCustody(req, res, 'collateral.seize');
+    if (!found) return;
+    const { collateral } = found;
+    if (collateral.status !== 'seized') return res.status(400).json({ error: 'Only seized collateral can be sold' });
+    collateral.status = 'sold';
+    collateral.sold = { date, by: req.userDoc.email, amount, buyer: body.buyer };
+    await collateral.save();
+    await recordCollateralMetric(collateral, -valuationOf(collateral), date, { sold: true, saleAmount: amount }, 'sellCollateral');
+    res.json(collateral);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
@@ -1,21 +1,22 @@
 const Community = require('../models/Community');
 const Group = require('../models/Group');
 const Counter = require('../models/Counter');
+const { can, isOwnRecordsOnly } = require('../utils/permissions');
+const { applyBranchScope, canAccessBranch } = require('../utils/branchScope');
 
 // Create Community
 exports.createCommunity = async (req, res) => {
   try {
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
     const base = { ...req.body };
     // Never trust incoming communityCode; it will be auto-generated
     if (Object.prototype.hasOwnProperty.call(base, 'communityCode')) delete base.communityCode;
     if (user && user.email) base.createdByEmail = user.email;
-    if (restricted && user) {
+    if (isOwnRecordsOnly(user)) {
       base.branchName = user.branchName;
       base.branchCode = user.branchCode;
     }
+    if (!canAccessBranch(user, base.branchCode)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
 
     // Generate unique community code using Counter with retry (similar to passbook)
     let created;
@@ -55,11 +56,8 @@ exports.getAllCommunities = async (req, res) => {
     if (status) filter.status = status;
 
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
+    if (isOwnRecordsOnly(user)) {
       filter.createdByEmail = user.email;
-      if (!branchCode) filter.branchCode = user.branchCode;
     }
 
     if (search && String(search).trim()) {
@@ -71,6 +69,8 @@ exports.getAllCommunities = async (req, res) => {
       ];
     }
 
+    if (!applyBranchScope(user, filter)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+
     const items = await Community.find(filter).sort({ createdAt: -1 });
     res.json(items);
   } catch (err) {
@@ -85,13 +85,7 @@ exports.getCommunityById = async (req, res) => {
     const community = await Community.findById(id);
     if (!community) return res.status(404).json({ error: 'Community not found' });
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
-      if (!community.createdByEmail || community.createdByEmail.toLowerCase() !== String(user.email).toLowerCase()) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
-    }
+    if (!can(user, 'community.view', community)) return res.status(403).json({ error: 'Forbidden' });
     res.json(community);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -104,23 +98,18 @@ exports.updateCommunity = async (req, res) => {
     const existing = await Community.findById(req.params.id);
     if (!existing) return res.status(404).json({ error: 'Community not found' });
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
-      if (!existing.createdByEmail || existing.createdByEmail.toLowerCase() !== String(user.email).toLowerCase()) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
-    }
+    if (!can(user, 'community.manage', existing)) return res.status(403).json({ error: 'Forbidden' });
     const payload = { ...req.body };
     // Prevent updates to communityCode
     if (Object.prototype.hasOwnProperty.call(payload, 'communityCode')) {
       delete payload.communityCode;
     }
-    if (restricted && user) {
+    if (isOwnRecordsOnly(user)) {
       payload.branchName = user.branchName;
       payload.branchCode = user.branchCode;
       payload.createdByEmail = user.email;
     }
+    if (payload.branchCode && !canAccessBranch(user, payload.branchCode)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
     const updated = await Community.findByIdAndUpdate(req.params.id, payload, { new: true });
     res.json(updated);
   } catch (err) {
@@ -134,13 +123,7 @@ exports.deleteCommunity = async (req, res) => {
     const existing = await Community.findById(req.params.id);
     if (!existing) return res.status(404).json({ error: 'Community not found' });
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
-      if (!existing.createdByEmail || existing.createdByEmail.toLowerCase() !== String(user.email).toLowerCase()) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
-    }
+    if (!can(user, 'community.delete', existing)) return res.status(403).json({ error: 'Forbidden' });
     const count = await Group.countDocuments({ community: existing._id });
     if (count > 0) {
       return res.status(400).json({ error: 'Cannot delete community with associated groups' });
@@ -162,13 +145,12 @@ exports.getCommunityGroups = async (req, res) => {
     if (branchCode) filter.branchCode = branchCode;
 
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
+    if (isOwnRecordsOnly(user)) {
       filter.createdByEmail = user.email;
-      if (!branchCode) filter.branchCode = user.branchCode;
     }
 
+    if (!applyBranchScope(user, filter)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+
     const query = Group.find(filter).sort({ createdAt: -1 });
     if (includeClients) query.populate('clients');
     const groups = await query.exec();
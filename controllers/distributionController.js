@@ -1,7 +1,10 @@
 const Distribution = require('../models/Distribution');
 const Loan = require('../models/Loan');
-const { recordMany } = require('../utils/metrics');
+const { recordMany, interestShareForAmount } = require('../utils/metrics');
 const mongoose = require('mongoose');
+const { can } = require('../utils/permissions');
+const { applyBranchScope } = require('../utils/branchScope');
+const { rebuildSchedule } = require('../utils/loanSchedule');
 
 // Compute a collectionStartDate based on a rule and a base (distribution) date
 function computeCollectionStartDate(rule, baseDate) {
@@ -26,6 +29,25 @@ function computeCollectionStartDate(rule, baseDate) {
   return null;
 }
 
+// Once a loan has collections or has been restructured, changes to its start date or term must go
+// through POST /api/loans/:id/reschedule so the history is kept
+function scheduleChangeBlocked(loan, body) {
+  if (!body) return false;
+  const changesSchedule = body.loanDurationNumber || body.loanDurationUnit || body.collectionStartDate || body.scheduleStartRule;
+  if (!changesSchedule) return false;
+  return !!(loan.isRestructured || (Array.isArray(loan.collections) && loan.collections.length));
+}
+
+// Adds a regenerated schedule (and matching endingDate) to a loan update that changes the
+// collection start date or duration. Loans that were never activated have no schedule to rebuild.
+function withRebuiltSchedule(loan, loanUpdate) {
+  if (!loan || (loan.status !== 'active' && !(loan.schedule && loan.schedule.length))) return loanUpdate;
+  // endingDate comes from the rebuilt schedule rather than being unset
+  const fields = { ...loanUpdate };
+  delete fields.$unset;
+  return { ...fields, ...rebuildSchedule(loan, fields) };
+}
+
 exports.createDistribution = async (req, res) => {
   try {
     const id = req.params.id || req.body.loan;
@@ -34,17 +56,17 @@ exports.createDistribution = async (req, res) => {
     }
 
     // Load loan and validate
-    const loan = await Loan.findById(id).select('group currency status branchName branchCode client loanOfficerName loanType interestRate');
+    const loan = await Loan.findById(id).select('group currency status branchName branchCode client loanOfficerName loanType loanAmount interestRate interestMethod interestRateBasis totalAmountToBePaid paymentPlan loanDurationNumber loanDurationUnit collections isRestructured');
     if (!loan) return res.status(404).json({ error: 'Loan not found' });
     if (loan.status !== 'active') {
       return res.status(400).json({ error: 'Cannot record distribution for a loan that is not active' });
     }
 
-    const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const allowedRoles = ['admin', 'branch head'];
-    if (!allowedRoles.includes(role)) {
-      return res.status(403).json({ error: 'Only admins and branch heads can distribute loans' });
+    if (!can(req.userDoc, 'distribution.create', loan)) {
+      return res.status(403).json({ error: 'Your role cannot distribute loans' });
+    }
+    if (scheduleChangeBlocked(loan, req.body)) {
+      return res.status(400).json({ error: 'Loan start date and term cannot be changed here once collections exist; use POST /api/loans/:id/reschedule' });
     }
 
     // Normalize a single entry against the loan
@@ -118,7 +140,7 @@ exports.createDistribution = async (req, res) => {
       if (req.body.loanDurationNumber) {
         loanUpdate.loanDurationNumber = req.body.loanDurationNumber;
         doUpdate = true;
-        // Unset endingDate to force dynamic calculation in collections based on new duration
+        // Unset endingDate so it is re-derived from the new duration
         loanUpdate.$unset = { endingDate: 1 };
       }
       if (req.body.loanDurationUnit) {
@@ -129,7 +151,7 @@ exports.createDistribution = async (req, res) => {
       }
 
       if (doUpdate) {
-        await Loan.findByIdAndUpdate(id, loanUpdate, { new: true });
+        await Loan.findByIdAndUpdate(id, withRebuiltSchedule(await Loan.findById(id), loanUpdate), { new: true });
       }
     } catch (sErr) {
       console.error('[Distribution:create] failed to update loan:', sErr.message);
@@ -153,8 +175,7 @@ exports.createDistribution = async (req, res) => {
         const amount = Number(d.amount || 0);
         let waitingValue = amount;
         if (loan.loanType === 'group') {
-          const rate = Number(loan.interestRate || 0);
-          const interestShare = Number(((amount * rate) / 100).toFixed(2));
+          const interestShare = interestShareForAmount(loan, amount);
           waitingValue = Number((amount + interestShare).toFixed(2));
         }
         return [
@@ -187,12 +208,7 @@ exports.getDistributionsByLoan = async (req, res) => {
     const loan = await Loan.findById(loanId);
     if (!loan) return res.status(404).json({ error: 'Loan not found' });
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
-      const own = (loan.createdByEmail && loan.createdByEmail.toLowerCase() === String(user.email).toLowerCase()) || (loan.loanOfficerName === user.username);
-      if (!own) return res.status(403).json({ error: 'Forbidden' });
-    }
+    if (!can(user, 'distribution.view', loan)) return res.status(403).json({ error: 'Forbidden' });
     const list = await Distribution.find({ loan: loanId })
       .populate('group member loan')
       .sort({ date: -1, createdAt: -1 });
@@ -208,13 +224,7 @@ exports.getAllDistributions = async (req, res) => {
     const filter = {};
     if (branchName) filter.branchName = branchName;
     if (branchCode) filter.branchCode = branchCode;
-    // Restrict to user's branch for restricted roles
-    const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
-      if (!filter.branchCode) filter.branchCode = user.branchCode;
-    }
+    if (!applyBranchScope(req.userDoc, filter)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
     const list = await Distribution.find(filter).populate('group member loan').sort({ createdAt: -1 });
     res.json(list);
   } catch (err) {
@@ -230,11 +240,9 @@ exports.updateDistribution = async (req, res) => {
     const loan = await Loan.findById(before.loan);
     if (!loan) return res.status(404).json({ error: 'Loan not found' });
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
-      const own = (loan.createdByEmail && loan.createdByEmail.toLowerCase() === String(user.email).toLowerCase()) || (loan.loanOfficerName === user.username);
-      if (!own) return res.status(403).json({ error: 'Forbidden' });
+    if (!can(user, 'distribution.update', loan)) return res.status(403).json({ error: 'Forbidden' });
+    if (scheduleChangeBlocked(loan, req.body)) {
+      return res.status(400).json({ error: 'Loan start date and term cannot be changed here once collections exist; use POST /api/loans/:id/reschedule' });
     }
     const updated = await Distribution.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
@@ -275,7 +283,8 @@ exports.updateDistribution = async (req, res) => {
       }
 
       if (doUpdate) {
-        await Loan.findByIdAndUpdate(updated.loan || (before && before.loan), loanUpdate, { new: true });
+        const loanId = updated.loan || (before && before.loan);
+        await Loan.findByIdAndUpdate(loanId, withRebuiltSchedule(await Loan.findById(loanId), loanUpdate), { new: true });
       }
     } catch (sErr) {
       console.error('[Distribution:update] failed to update loan:', sErr.message);
@@ -303,8 +312,7 @@ exports.updateDistribution = async (req, res) => {
         };
         let waitingDelta = delta;
         if (loan && loan.loanType === 'group') {
-          const rate = Number(loan.interestRate || 0);
-          const interestDelta = Number(((delta * rate) / 100).toFixed(2));
+          const interestDelta = interestShareForAmount(loan, delta);
           waitingDelta = Number((delta + interestDelta).toFixed(2));
         }
         await recordMany([
@@ -330,12 +338,7 @@ exports.deleteDistribution = async (req, res) => {
     const loan = await Loan.findById(existing.loan);
     if (!loan) return res.status(404).json({ error: 'Loan not found' });
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
-      const own = (loan.createdByEmail && loan.createdByEmail.toLowerCase() === String(user.email).toLowerCase()) || (loan.loanOfficerName === user.username);
-      if (!own) return res.status(403).json({ error: 'Forbidden' });
-    }
+    if (!can(user, 'distribution.delete', loan)) return res.status(403).json({ error: 'Forbidden' });
     const deleted = await Distribution.findByIdAndDelete(req.params.id);
     if (!deleted) return res.status(404).json({ error: 'Distribution not found' });
 
@@ -356,8 +359,7 @@ exports.deleteDistribution = async (req, res) => {
       const value = -Number(deleted.amount || 0);
       let waitingValue = value;
       if (loan && loan.loanType === 'group') {
-        const rate = Number(loan.interestRate || 0);
-        const interestValue = Number(((value * rate) / 100).toFixed(2));
+        const interestValue = interestShareForAmount(loan, value);
         waitingValue = Number((value + interestValue).toFixed(2));
       }
       await recordMany([
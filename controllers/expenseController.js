@@ -1,5 +1,6 @@
 const Expense = require('../models/Expense');
 const { recordMetric } = require('../utils/metrics');
+const { applyBranchScope, canAccessBranch, inBranchScope } = require('../utils/branchScope');
 
 // Build common filter from query
 function buildFilter(query) {
@@ -27,8 +28,9 @@ exports.createExpense = async (req, res) => {
 
     if (!user || !user._id) {
       // We require an identified user so recordedBy is set
-      return res.status(401).json({ message: 'Authentication required via x-user-email header' });
+      return res.status(401).json({ message: 'Authentication required. Please sign in.' });
     }
+    if (!canAccessBranch(user, branchCode)) return res.status(403).json({ message: 'Forbidden: branch outside your scope' });
 
     const expense = new Expense({
       ...req.body,
@@ -73,6 +75,7 @@ exports.getAllExpenses = async (req, res) => {
   try {
     const { page = 1, limit = 10 } = req.query;
     const filter = buildFilter(req.query);
+    if (!applyBranchScope(req.userDoc, filter)) return res.status(403).json({ message: 'Forbidden: branch outside your scope' });
 
     const [expenses, total] = await Promise.all([
       Expense.find(filter)
@@ -101,6 +104,7 @@ exports.getExpenseById = async (req, res) => {
     const expense = await Expense.findById(req.params.id)
       .populate('recordedBy approvedBy', 'username email');
     if (!expense) return res.status(404).json({ message: 'Expense not found' });
+    if (!inBranchScope(req.userDoc, expense)) return res.status(403).json({ message: 'Forbidden: branch outside your scope' });
     res.json(expense);
   } catch (error) {
     console.error(error.message);
@@ -113,6 +117,8 @@ exports.updateExpense = async (req, res) => {
   try {
     const existing = await Expense.findById(req.params.id);
     if (!existing) return res.status(404).json({ message: 'Expense not found' });
+    if (!inBranchScope(req.userDoc, existing)) return res.status(403).json({ message: 'Forbidden: branch outside your scope' });
+    if (req.body.branchCode && !canAccessBranch(req.userDoc, req.body.branchCode)) return res.status(403).json({ message: 'Forbidden: branch outside your scope' });
 
     const oldAmount = Number(existing.amount || 0);
 
@@ -155,6 +161,10 @@ exports.updateExpense = async (req, res) => {
 // DELETE /api/expenses/:id
 exports.deleteExpense = async (req, res) => {
   try {
+    const existing = await Expense.findById(req.params.id);
+    if (!existing) return res.status(404).json({ message: 'Expense not found' });
+    if (!inBranchScope(req.userDoc, existing)) return res.status(403).json({ message: 'Forbidden: branch outside your scope' });
+
     const expense = await Expense.findByIdAndDelete(req.params.id);
     if (!expense) return res.status(404).json({ message: 'Expense not found' });
 
@@ -190,6 +200,10 @@ exports.updateExpenseStatus = async (req, res) => {
     const allowed = ['pending', 'approved', 'rejected', 'paid'];
     if (!allowed.includes(status)) return res.status(400).json({ message: 'Invalid status value' });
 
+    const existing = await Expense.findById(req.params.id);
+    if (!existing) return res.status(404).json({ message: 'Expense not found' });
+    if (!inBranchScope(req.userDoc, existing)) return res.status(403).json({ message: 'Forbidden: branch outside your scope' });
+
     const updateData = { status, updatedAt: Date.now() };
     if (status === 'approved' && req.userDoc?._id) {
       updateData.approvedBy = req.userDoc._id;
@@ -259,6 +273,7 @@ exports.getExpenseAnalytics = async (req, res) => {
 
     const matchFilter = { ...dateFilter };
     if (branchCode) matchFilter.branchCode = branchCode;
+    if (!applyBranchScope(req.userDoc, matchFilter)) return res.status(403).json({ message: 'Forbidden: branch outside your scope' });
 
     // Category breakdown
     const categoryBreakdown = await Expense.aggregate([
@@ -1,11 +1,11 @@
 const Group = require('../models/Group');
 const Counter = require('../models/Counter');
+const { can, isOwnRecordsOnly } = require('../utils/permissions');
+const { applyBranchScope, canAccessBranch } = require('../utils/branchScope');
 
 exports.createGroup = async (req, res) => {
   try {
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
     const base = { ...req.body };
     // Never trust incoming groupCode; it will be auto-generated
     if (Object.prototype.hasOwnProperty.call(base, 'groupCode')) delete base.groupCode;
@@ -14,10 +14,11 @@ exports.createGroup = async (req, res) => {
       delete base.community;
     }
     if (user && user.email) base.createdByEmail = user.email;
-    if (restricted && user) {
+    if (isOwnRecordsOnly(user)) {
       base.branchName = user.branchName;
       base.branchCode = user.branchCode;
     }
+    if (!canAccessBranch(user, base.branchCode)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
 
     // Generate unique group code using Counter with retry
     let created;
@@ -56,12 +57,10 @@ exports.getAllGroups = async (req, res) => {
     const commId = community || communityId;
     if (commId) filter.community = commId;
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
+    if (isOwnRecordsOnly(user)) {
       filter.createdByEmail = user.email;
-      if (!branchCode) filter.branchCode = user.branchCode;
     }
+    if (!applyBranchScope(user, filter)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
     const groups = await Group.find(filter)
       .populate('clients')
       .populate('community')
@@ -83,13 +82,7 @@ exports.getGroupById = async (req, res) => {
       .populate('loanOfficer');
     if (!group) return res.status(404).json({ error: 'Group not found' });
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
-      if (!group.createdByEmail || group.createdByEmail.toLowerCase() !== String(user.email).toLowerCase()) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
-    }
+    if (!can(user, 'group.view', group)) return res.status(403).json({ error: 'Forbidden' });
     console.log('[Groups:getById]', { id, memberCount: group.clients?.length || 0 });
     res.json(group);
   } catch (err) {
@@ -102,13 +95,7 @@ exports.updateGroup = async (req, res) => {
     const existing = await Group.findById(req.params.id);
     if (!existing) return res.status(404).json({ error: 'Group not found' });
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
-      if (!existing.createdByEmail || existing.createdByEmail.toLowerCase() !== String(user.email).toLowerCase()) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
-    }
+    if (!can(user, 'group.manage', existing)) return res.status(403).json({ error: 'Forbidden' });
     const payload = { ...req.body };
     // Sanitize optional refs
     if (Object.prototype.hasOwnProperty.call(payload, 'community') && !payload.community) {
@@ -118,11 +105,14 @@ exports.updateGroup = async (req, res) => {
     if (Object.prototype.hasOwnProperty.call(payload, 'groupCode')) {
       delete payload.groupCode;
     }
-    if (restricted && user) {
+    // Derived from repaid loans (see utils/loanCycle)
+    delete payload.loanCycle;
+    if (isOwnRecordsOnly(user)) {
       payload.branchName = user.branchName;
       payload.branchCode = user.branchCode;
       payload.createdByEmail = user.email;
     }
+    if (payload.branchCode && !canAccessBranch(user, payload.branchCode)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
     const group = await Group.findByIdAndUpdate(req.params.id, payload, { new: true });
     if (!group) return res.status(404).json({ error: 'Group not found' });
     res.json(group);
@@ -136,13 +126,7 @@ exports.deleteGroup = async (req, res) => {
     const existing = await Group.findById(req.params.id);
     if (!existing) return res.status(404).json({ error: 'Group not found' });
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
-      if (!existing.createdByEmail || existing.createdByEmail.toLowerCase() !== String(user.email).toLowerCase()) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
-    }
+    if (!can(user, 'group.delete', existing)) return res.status(403).json({ error: 'Forbidden' });
     const group = await Group.findByIdAndDelete(req.params.id);
     if (!group) return res.status(404).json({ error: 'Group not found' });
     res.json({ message: 'Group deleted' });
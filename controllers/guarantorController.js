@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const Guarantor = require('../models/Guarantor');
+const Client = require('../models/Client');
+const { applyBranchScope, inBranchScope } = require('../utils/branchScope');
+const { keysOf, guarantorExposure } = require('../utils/guarantors');
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// GET /api/guarantors?q=&branchCode=&client= — registry search with each guarantor's current exposure
+exports.getAllGuarantors = async (req, res) => {
+  try {
+    const { q, branchCode, client } = req.query;
+    const filter = {};
+    if (branchCode) filter.branchCode = branchCode;
+    if (client) {
+      if (!mongoose.Types.ObjectId.isValid(client)) return res.status(400).json({ error: 'Invalid client id' });
+      filter.client = client;
+    }
+    if (q) {
+      const keys = keysOf({ name: q, phoneNumber: q, nationalId: q });
+      filter.$or = [{ nameKey: new RegExp(escapeRegex(keys.nameKey), 'i') }];
+      if (keys.phoneKey) filter.$or.push({ phoneKey: keys.phoneKey });
+      if (keys.nationalIdKey) filter.$or.push({ nationalIdKey: keys.nationalIdKey });
+    }
+    if (!applyBranchScope(req.userDoc, filter)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+    const guarantors = await Guarantor.find(filter)
+      .populate('client', 'memberName passBookNumber')
+      .sort({ name: 1 })
+      .limit(Math.min(Number(req.query.limit) || 100, 500));
+    const exposure = await guarantorExposure(guarantors.map((g) => g._id));
+    res.json(guarantors.map((g) => {
+      const row = exposure.get(String(g._id));
+      return { ...g.toObject(), liveLoans: row.liveLoans, outstanding: row.outstanding };
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// GET /api/guarantors/:id — the guarantor with the live loans they back
+exports.getGuarantorById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid guarantor id' });
+    const guarantor = await Guarantor.findById(req.params.id).populate('client', 'memberName passBookNumber');
+    if (!guarantor) return res.status(404).json({ error: 'Guarantor not found' });
+    if (!inBranchScope(req.userDoc, guarantor)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+    const exposure = (await guarantorExposure([guarantor._id])).get(String(guarantor._id));
+    res.json({ ...guarantor.toObject(), ...exposure });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// PUT /api/guarantors/:id — correct a guarantor's details or link them to a client
+exports.updateGuarantor = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid guarantor id' });
+    const guarantor = await Guarantor.findById(req.params.id);
+    if (!guarantor) return res.status(404).json({ error: 'Guarantor not found' });
+    if (!inBranchScope(req.userDoc, guarantor)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+
+    const body = req.body || {};
+    ['name', 'phoneNumber', 'nationalId', 'address', 'occupation'].forEach((field) => {
+      if (Object.prototype.hasOwnProperty.call(body, field)) guarantor[field] = body[field];
+    });
+    if (Object.prototype.hasOwnProperty.call(body, 'client')) {
+      if (!body.client) {
+        guarantor.client = undefined;
+      } else {
+        if (!mongoose.Types.ObjectId.isValid(body.client)) return res.status(400).json({ error: 'Invalid client id' });
+        const client = await Client.findById(body.client).select('_id');
+        if (!client) return res.status(400).json({ error: 'Client not found' });
+        guarantor.client = client._id;
+      }
+    }
+    // Match keys follow the details
+    const keys = keysOf(guarantor);
+    guarantor.nameKey = keys.nameKey;
+    guarantor.phoneKey = keys.phoneKey || undefined;
+    guarantor.nationalIdKey = keys.nationalIdKey || undefined;
+    if (keys.nationalIdKey) {
+      const duplicate = await Guarantor.findOne({ _id: { $ne: guarantor._id }, nationalIdKey: keys.nationalIdKey }).select('_id');
+      if (duplicate) return res.status(400).json({ error: 'Another guarantor has this national ID', duplicate: duplicate._id });
+    }
+    await guarantor.save();
+    res.json(guarantor);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
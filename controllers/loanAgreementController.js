@@ -2,15 +2,11 @@ const mongoose = require('mongoose');
 const Loan = require('../models/Loan');
 const LoanAgreement = require('../models/LoanAgreement');
 const Client = require('../models/Client');
+const { can } = require('../utils/permissions');
+const { computeInterestForLoan } = require('../utils/metrics');
 
-function canAccessLoan(user, loan) {
-  const role = (user && user.role ? String(user.role).toLowerCase() : '');
-  const restricted = role === 'loan officer' || role === 'field agent';
-  if (restricted && user) {
-    const own = (loan.createdByEmail && loan.createdByEmail.toLowerCase() === String(user.email).toLowerCase()) || (loan.loanOfficerName === user.username);
-    return !!own;
-  }
-  return true;
+function canAccessLoan(user, loan, action = 'agreement.view') {
+  return can(user, action, loan);
 }
 
 function mapAgreementFromLoan(loan) {
@@ -36,7 +32,7 @@ function mapAgreementFromLoan(loan) {
   if (loan.totalAmountToBePaid != null) {
     interestAmt = Number((Number(loan.totalAmountToBePaid || 0) - principal).toFixed(2));
   } else if (loan.interestRate != null) {
-    interestAmt = Number((principal * (Number(loan.interestRate || 0) / 100)).toFixed(2));
+    interestAmt = computeInterestForLoan(loan);
   }
 
   // Prefer free-text collateralItemsText; otherwise for express/modern forms, use collateralDetails.propertyGiven
@@ -147,7 +143,7 @@ exports.initAgreementForLoan = async (req, res) => {
     const { id } = req.params;
     const loan = await Loan.findById(id);
     if (!loan) return res.status(404).json({ error: 'Loan not found' });
-    if (!canAccessLoan(req.userDoc, loan)) return res.status(403).json({ error: 'Forbidden' });
+    if (!canAccessLoan(req.userDoc, loan, 'agreement.update')) return res.status(403).json({ error: 'Forbidden' });
 
     let existing = await LoanAgreement.findOne({ loan: loan._id });
     if (existing) return res.json(existing);
@@ -175,7 +171,7 @@ exports.updateAgreementForLoan = async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid loan id' });
     const loan = await Loan.findById(id);
     if (!loan) return res.status(404).json({ error: 'Loan not found' });
-    if (!canAccessLoan(req.userDoc, loan)) return res.status(403).json({ error: 'Forbidden' });
+    if (!canAccessLoan(req.userDoc, loan, 'agreement.update')) return res.status(403).json({ error: 'Forbidden' });
 
     const allowedFields = [
       'formNumber', 'dateOfCredit', 'cashAmountCredited', 'amountInWords', 'purposeOfLoan', 'interestDeductedOrAdded', 'interestAdjustmentType', 'totalAmountToBePaid',
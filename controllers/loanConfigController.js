@@ -1,9 +1,6 @@
 const LoanConfig = require('../models/LoanConfig');
-
-function isApprover(user) {
-  const role = (user && user.role ? String(user.role).trim().toLowerCase() : '');
-  return role === 'admin' || role === 'branch head';
-}
+const { can } = require('../utils/permissions');
+const { canAccessBranch } = require('../utils/branchScope');
 
 // Helper to resolve effective config by branchCode (specific or global fallback)
 async function getEffectiveConfig(branchCode) {
@@ -17,6 +14,7 @@ async function getEffectiveConfig(branchCode) {
 exports.getConfig = async (req, res) => {
   try {
     const branchCode = req.query.branchCode || (req.userDoc && req.userDoc.branchCode) || undefined;
+    if (req.query.branchCode && !canAccessBranch(req.userDoc, req.query.branchCode)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
     const config = await getEffectiveConfig(branchCode);
     if (!config) return res.json({});
     res.json(config);
@@ -28,8 +26,10 @@ exports.getConfig = async (req, res) => {
 exports.upsertConfig = async (req, res) => {
   try {
     const user = req.userDoc || {};
-    if (!isApprover(user)) return res.status(403).json({ error: 'Only admins and branch heads can update loan configuration' });
+    if (!can(user, 'config.update')) return res.status(403).json({ error: 'Your role cannot update loan configuration' });
     const branchCode = req.body.branchCode || user.branchCode || null;
+    // The global (branchless) config is only writable by cross-branch roles
+    if (!canAccessBranch(user, branchCode)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
 
     const payload = {
       branchCode: branchCode || undefined,
@@ -38,6 +38,12 @@ exports.upsertConfig = async (req, res) => {
       group: req.body.group || {},
       updatedBy: user.email || user.username || 'system',
     };
+    // Provision rates, approval, exposure, guarantor and savings settings are kept unless explicitly sent
+    if (req.body.provisionRates) payload.provisionRates = req.body.provisionRates;
+    if (req.body.approval) payload.approval = req.body.approval;
+    if (req.body.exposure) payload.exposure = req.body.exposure;
+    if (req.body.guarantorLimits) payload.guarantorLimits = req.body.guarantorLimits;
+    if (req.body.savings) payload.savings = req.body.savings;
 
     const filter = branchCode ? { branchCode } : { branchCode: { $exists: false } };
     const update = { $set: payload };
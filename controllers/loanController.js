@@ -4,8 +4,48 @@ const { mapAgreementFromLoan } = require('./loanAgreementController');
 const mongoose = require('mongoose');
 const Group = require('../models/Group');
 const Client = require('../models/Client');
-const { recordMany, computeInterestForLoan, collateralValueFromLoan } = require('../utils/metrics');
+const Distribution = require('../models/Distribution');
+const LoanProduct = require('../models/LoanProduct');
 const SavingsAccount = require('../models/Savings');
+const { recordMany, computeInterestForLoan, collateralValueFromLoan } = require('../utils/metrics');
+const { can, roleOf, isOwnRecordsOnly, applyOwnLoansFilter } = require('../utils/permissions');
+const { applyBranchScope, canAccessBranch } = require('../utils/branchScope');
+const { rebuildSchedule, rescheduleLoan, currentSchedule, activeCollections } = require('../utils/loanSchedule');
+const { penaltyTotals, penaltiesByInstallment, accruePenalties } = require('../utils/penaltyAccrual');
+const { outstandingBreakdown } = require('../utils/portfolio');
+const {
+  earlySettlementRulesFor,
+  payoffQuote,
+  applyRebates,
+  closeLoan,
+  reopenLoan,
+  finalizeClosure,
+  announceReopened,
+} = require('../utils/loanClosure');
+const {
+  amountToClose,
+  nextReceiptNumber,
+  expectedInstallmentAmount,
+  collectionRecordFrom,
+  collectionEvents,
+  recordCollectionMetrics,
+  syncSchedule,
+  postCollections,
+} = require('../utils/collectionPosting');
+const { holdCollateralCash, activeLienFor, reinstateLoanLiens, withdrawFromAccount } = require('../utils/savingsPosting');
+const { buildMemberLedgers } = require('../utils/memberLedger');
+const { PRODUCT_TERMS, applyLoanProduct, checkLoanEdit } = require('../utils/loanProducts');
+const { loanCycleFor, checkCycleLimit } = require('../utils/loanCycle');
+const { evaluateExposure } = require('../utils/exposure');
+const { resolveLoanGuarantors, saveGuarantors, checkGuarantorLimits, defaultedGuaranteeFlags } = require('../utils/guarantors');
+const { checkLoanToValue } = require('../utils/collateral');
+const {
+  IN_APPROVAL_STATUSES,
+  approvalChainFor,
+  amountUnderApproval,
+  nextApprovalStage,
+  canDecideStage,
+} = require('../utils/loanApproval');
 
 // Helper to sanitize and validate incoming loan payload
 function sanitizeLoanPayload(payload) {
@@ -75,9 +115,36 @@ function sanitizeLoanPayload(payload) {
     });
   }
 
+  // The approved amount is written only by the approval workflow (decideLoanApproval)
+  if (clean.officialUse && typeof clean.officialUse === 'object') {
+    clean.officialUse = { ...clean.officialUse };
+    delete clean.officialUse.approvedAmountToBeGiven;
+  }
+
   return { clean };
 }
 
+// Amount and term fields that are fixed once a loan leaves 'pending' and enters the approval chain
+const LOCKED_AFTER_SUBMISSION = [
+  'loanAmount',
+  'weeklyAmount',
+  'processingFeeAmount',
+  'collateralCashAmount',
+  'netDisbursedAmount',
+  ...PRODUCT_TERMS,
+];
+
+// Locked fields `changes` would alter on `loan`
+function lockedFieldChanges(loan, changes) {
+  const same = (a, b) => (a == null && b == null) || String(a) === String(b);
+  const changed = LOCKED_AFTER_SUBMISSION.filter((f) => Object.prototype.hasOwnProperty.call(changes, f) && !same(changes[f], loan[f]));
+  if (changes.officialUse) {
+    const current = loan.officialUse || {};
+    if (Object.keys(changes.officialUse).some((k) => !same(changes.officialUse[k], current[k]))) changed.push('officialUse');
+  }
+  return changed;
+}
+
 // Helper: recalculate and persist the aggregated groupLoanTotal based on member individual loans
 async function recalcGroupLoanTotal(groupId) {
   if (!groupId) return;
@@ -101,15 +168,40 @@ exports.createLoan = async (req, res) => {
     if (error) return res.status(400).json({ error });
     // Attach creator identity and enforce branch/officer for restricted roles
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).trim().toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
     if (user && user.email) clean.createdByEmail = user.email;
-    if (restricted && user) {
+    if (isOwnRecordsOnly(user)) {
       clean.branchName = user.branchName;
       clean.branchCode = user.branchCode;
       clean.loanOfficerName = user.username;
     }
+    if (!canAccessBranch(user, clean.branchCode)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+    // Every new loan is written under a catalog product, which supplies its terms and fees
+    if (!clean.product) return res.status(400).json({ error: 'product is required' });
+    if (!mongoose.Types.ObjectId.isValid(clean.product)) return res.status(400).json({ error: 'Invalid product id' });
+    const product = await LoanProduct.findById(clean.product);
+    if (!product) return res.status(400).json({ error: 'Loan product not found' });
+    // The loan cycle is derived from the borrower's repaid loans, not taken from the form. It is
+    // counted for the product's loan type (applyLoanProduct sets it, but needs the cycle for the form fee).
+    clean.loanCycle = await loanCycleFor({ ...clean, loanType: product.loanType });
+    clean.isReturningClient = clean.loanCycle > 1;
+    const productError = applyLoanProduct(product, clean);
+    if (productError) return res.status(400).json({ error: productError });
+    const cycleError = await checkCycleLimit(clean, clean.loanCycle);
+    if (cycleError) return res.status(400).json({ error: cycleError });
+    // New loans are drafts until they go through the approval workflow
+    clean.status = 'pending';
+    ['approvalChain', 'approvals', 'submittedAt', 'submittedBy', 'approvedAt', 'exposureOverrides'].forEach((field) => delete clean[field]);
+    const exposureOverride = clean.exposureOverride;
+    delete clean.exposureOverride;
+    const exposure = await evaluateExposure(clean, { user, override: exposureOverride, stage: 'creation' });
+    if (exposure.error) return res.status(exposure.status).json({ error: exposure.error, conflicts: exposure.conflicts });
+    if (exposure.override) clean.exposureOverrides = [exposure.override];
+    const guarantors = await resolveLoanGuarantors(clean, { createdByEmail: clean.createdByEmail });
+    const guarantorError = await checkGuarantorLimits(clean, guarantors);
+    if (guarantorError) return res.status(400).json({ error: guarantorError });
+    clean.riskFlags = await defaultedGuaranteeFlags(clean);
     const loan = await Loan.create(clean);
+    await saveGuarantors(guarantors);
     // Recalculate group total if applicable
     if (loan && loan.loanType === 'individual' && loan.group) {
       await recalcGroupLoanTotal(loan.group);
@@ -139,6 +231,7 @@ exports.createLoan = async (req, res) => {
     } catch (mErr) {
       console.error('[Metrics:createLoan] failed:', mErr.message);
     }
+    if (exposure.warnings) return res.status(201).json({ ...loan.toObject(), exposureWarnings: exposure.warnings });
     res.status(201).json(loan);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -157,17 +250,15 @@ exports.getAllLoans = async (req, res) => {
 
     // Restrict to creator/officer for loan officer and field agent
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).trim().toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
+    if (isOwnRecordsOnly(user)) {
       filter.$or = [
         { createdByEmail: user.email },
         { loanOfficerName: user.username },
       ];
-      // Default to user's branch if no explicit filter provided
-      if (!branchCode) filter.branchCode = user.branchCode;
     }
 
+    if (!applyBranchScope(user, filter)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+
     const loans = await Loan.find(filter)
       .populate('group clients client')
       .sort({ createdAt: -1 });
@@ -219,103 +310,40 @@ exports.getDueCollections = async (req, res) => {
 
     // Restrict to creator/officer for restricted roles (loan officer/field agent)
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).trim().toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
-      filter.$or = [
-        { createdByEmail: user.email },
-        { loanOfficerName: user.username },
-      ];
-      if (!branchCode) filter.branchCode = user.branchCode;
-    }
+    applyOwnLoansFilter(user, filter);
+
+    if (!applyBranchScope(user, filter)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
 
     // Fetch necessary fields only
     const loans = await Loan.find(filter)
       .select(
-        'loanType group client collections loanAmount interestRate currency paymentPlan loanDurationNumber loanDurationUnit disbursementDate collectionStartDate endingDate branchName branchCode loanOfficerName createdAt status'
+        'loanType group client collections schedule penalties loanAmount interestRate interestMethod interestRateBasis totalAmountToBePaid currency paymentPlan loanDurationNumber loanDurationUnit disbursementDate collectionStartDate endingDate branchName branchCode loanOfficerName createdAt status'
       )
       .populate('client', 'memberName')
       .populate('group', 'groupName')
       .sort({ createdAt: -1 })
       .lean();
 
-    const addMonths = (base, n) => {
-      const d = new Date(base);
-      const day = d.getDate();
-      d.setMonth(d.getMonth() + n);
-      if (d.getDate() !== day) {
-        // JS adjusts end-of-month; accept it
-      }
-      return d;
-    };
-    const toWeeks = (n, unit) => {
-      const num = Number(n || 0);
-      switch (String(unit || '').toLowerCase()) {
-        case 'days': return Math.max(Math.ceil(num / 7), 0);
-        case 'weeks': return Math.max(num, 0);
-        case 'months': return Math.max(num * 4, 0);
-        case 'years': return Math.max(num * 52, 0);
-        default: return Math.max(num, 0);
-      }
-    };
-
     const items = [];
     for (const loan of loans) {
-      const plan = String(loan.paymentPlan || 'weekly').toLowerCase();
-      const totalWithInterest = Number(loan.loanAmount || 0) * (1 + Number(loan.interestRate || 0) / 100);
-      const start = loan.collectionStartDate ? new Date(loan.collectionStartDate) : (loan.disbursementDate ? new Date(loan.disbursementDate) : (loan.createdAt ? new Date(loan.createdAt) : null));
-      const end = loan.endingDate ? new Date(loan.endingDate) : null;
-      const dates = [];
-      if (start && end && !isNaN(start) && !isNaN(end)) {
-        let i = 0; let current = new Date(start);
-        while (current <= end && i < 500) {
-          dates.push(safeKey(current));
-          if (plan === 'weekly') current.setDate(current.getDate() + 7);
-          else if (plan === 'bi-weekly') current.setDate(current.getDate() + 14);
-          else current = addMonths(current, 1);
-          i += 1;
-        }
-      } else {
-        const weeks = toWeeks(loan.loanDurationNumber, loan.loanDurationUnit);
-        let periods = 0;
-        if (plan === 'weekly') periods = weeks;
-        else if (plan === 'bi-weekly') periods = Math.max(Math.ceil(weeks / 2), 0);
-        else {
-          const n = Number(loan.loanDurationNumber || 0);
-          const unit = String(loan.loanDurationUnit || 'weeks').toLowerCase();
-          let months = 0;
-          switch (unit) {
-            case 'days': months = Math.max(Math.ceil(n / 30), 0); break;
-            case 'weeks': months = Math.max(Math.ceil(weeks / 4), 0); break;
-            case 'months': months = Math.max(n, 0); break;
-            case 'years': months = Math.max(n * 12, 0); break;
-            default: months = Math.max(n, 0); break;
-          }
-          periods = months;
-        }
-        const count = Math.max(periods, 0);
-        for (let i = 0; i < count; i++) {
-          const d = new Date(start || new Date());
-          if (plan === 'weekly') d.setDate(d.getDate() + i * 7);
-          else if (plan === 'bi-weekly') d.setDate(d.getDate() + i * 14);
-          else d.setMonth(d.getMonth() + i);
-          dates.push(safeKey(d));
-        }
-      }
-
-      if (!dates.length) continue; // skip loans without any schedule
+      const schedule = currentSchedule(loan);
+      if (!schedule.length) continue;
 
-      const periods = Math.max(dates.length, 1);
-      const baseDue = periods > 0 ? (totalWithInterest / periods) : 0;
-      const collections = Array.isArray(loan.collections) ? loan.collections : [];
+      const periods = schedule.length;
+      const totalWithInterest = schedule.reduce((sum, inst) => sum + Number(inst.amountDue || 0), 0);
+      const collections = activeCollections(loan.collections);
       const key = (c) => safeKey(c.collectionDate);
 
-      for (let i = 0; i < dates.length; i++) {
-        const dateStr = dates[i];
+      const penaltiesFor = penaltiesByInstallment(loan);
+      const penaltyOutstanding = penaltyTotals(loan, schedule).outstanding;
+
+      let scheduledThrough = 0;
+      for (let i = 0; i < periods; i++) {
+        const inst = schedule[i];
+        scheduledThrough += Number(inst.amountDue || 0);
+        if (inst.status === 'rescheduled') continue;
+        const dateStr = safeKey(inst.dueDate);
         if (dateStr < fromKey || dateStr > toKey) continue;
-        const expected = (i === periods - 1 && periods > 0)
-          ? Math.max(totalWithInterest - baseDue * (periods - 1), 0)
-          : baseDue;
 
         const collectedOnDate = collections
           .filter((c) => key(c) === dateStr)
@@ -324,8 +352,8 @@ exports.getDueCollections = async (req, res) => {
           .filter((c) => key(c) < dateStr)
           .reduce((s, c) => s + Number(c.fieldCollection || 0), 0);
         const outstandingBefore = Math.max(totalWithInterest - paidBefore, 0);
-        const scheduledRemainingAfter = Math.max(totalWithInterest - (i === periods - 1 ? totalWithInterest : baseDue * (i + 1)), 0);
-        const overdue = Math.max(Number(expected || 0) - Number(collectedOnDate || 0), 0);
+        const scheduledRemainingAfter = Math.max(totalWithInterest - scheduledThrough, 0);
+        const overdue = Math.max(Number(inst.amountDue || 0) - Number(inst.amountPaid || 0), 0);
 
         items.push({
           loan: String(loan._id),
@@ -337,11 +365,15 @@ exports.getDueCollections = async (req, res) => {
           clientName: loan.client && loan.client.memberName ? loan.client.memberName : null,
           groupName: loan.group && loan.group.groupName ? loan.group.groupName : null,
           dueDate: dateStr,
-          periodIndex: i + 1,
+          periodIndex: inst.installmentNumber,
           periods,
-          scheduledAmount: Math.round(Number(expected || 0) * 100) / 100,
+          installmentStatus: inst.status,
+          scheduledAmount: Math.round(Number(inst.amountDue || 0) * 100) / 100,
+          amountPaid: Math.round(Number(inst.amountPaid || 0) * 100) / 100,
           collectedOnDate: Math.round(Number(collectedOnDate || 0) * 100) / 100,
           overdue: Math.round(Number(overdue || 0) * 100) / 100,
+          penalties: penaltiesFor[inst.installmentNumber] || 0,
+          loanPenaltyOutstanding: penaltyOutstanding,
           outstandingBefore: Math.round(Number(outstandingBefore || 0) * 100) / 100,
           scheduledRemainingAfter: Math.round(Number(scheduledRemainingAfter || 0) * 100) / 100,
         });
@@ -365,14 +397,390 @@ exports.getLoanById = async (req, res) => {
     const loan = await Loan.findById(req.params.id).populate('group clients client');
     if (!loan) return res.status(404).json({ error: 'Loan not found' });
     // Access control
+    if (!can(req.userDoc, 'loan.view', loan)) return res.status(403).json({ error: 'Forbidden' });
+    res.json(loan);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// GET /api/loans/:id/schedule — installments with collections allocated as of today
+exports.getLoanSchedule = async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id)
+      .select('schedule collections penalties loanAmount interestRate interestMethod interestRateBasis totalAmountToBePaid currency paymentPlan loanDurationNumber loanDurationUnit disbursementDate collectionStartDate createdAt status branchCode createdByEmail loanOfficerName');
+    if (!loan) return res.status(404).json({ error: 'Loan not found' });
+    if (!can(req.userDoc, 'loan.view', loan)) return res.status(403).json({ error: 'Forbidden' });
+
+    const installments = currentSchedule(loan);
+    const sum = (field) => Math.round(installments.reduce((s, inst) => s + Number(inst[field] || 0), 0) * 100) / 100;
+    res.json({
+      loan: loan._id,
+      status: loan.status,
+      currency: loan.currency,
+      // Pending loans have no stored schedule yet; this is a projection
+      persisted: !!(loan.schedule && loan.schedule.length),
+      totals: {
+        principal: sum('principal'),
+        interest: sum('interest'),
+        fees: sum('fees'),
+        amountDue: sum('amountDue'),
+        amountPaid: sum('amountPaid'),
+        outstanding: Math.round((sum('amountDue') - sum('amountPaid')) * 100) / 100,
+      },
+      penalties: { ...penaltyTotals(loan, installments), entries: loan.penalties },
+      installments,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// GET /api/loans/:id/members?asOf= — per-member sub-ledgers of a group loan
+exports.getLoanMembers = async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (isNaN(asOf)) return res.status(400).json({ error: 'Invalid asOf date' });
+    const loan = await Loan.findById(req.params.id);
+    if (!loan) return res.status(404).json({ error: 'Loan not found' });
+    if (!can(req.userDoc, 'loan.view', loan)) return res.status(403).json({ error: 'Forbidden' });
+    if (loan.loanType !== 'group') return res.status(400).json({ error: 'Member breakdown is only available for group loans' });
+
+    const distributions = await Distribution.find({ loan: loan._id }).select('member memberName amount').lean();
+    const memberIds = new Set((loan.clients || []).map(String));
+    distributions.forEach((d) => { if (d.member) memberIds.add(String(d.member)); });
+    const clients = await Client.find({ _id: { $in: Array.from(memberIds) } }).select('memberName').lean();
+    const names = new Map(clients.map((c) => [String(c._id), c.memberName]));
+
+    const { members, unattributed } = buildMemberLedgers(loan, distributions, { asOf, names });
+    res.json({
+      loan: loan._id,
+      status: loan.status,
+      currency: loan.currency,
+      asOf,
+      members,
+      unattributed,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Payoff quote with the loan type's early settlement rebate applied
+async function quoteFor(loan, asOf) {
+  const rules = await earlySettlementRulesFor(loan);
+  return payoffQuote(loan, { asOf, rebatePercent: rules ? rules.interestRebatePercent : 0 });
+}
+
+// GET /api/loans/:id/payoff-quote?asOf=
+exports.getPayoffQuote = async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (isNaN(asOf)) return res.status(400).json({ error: 'Invalid asOf date' });
+    const loan = await Loan.findById(req.params.id);
+    if (!loan) return res.status(404).json({ error: 'Loan not found' });
+    if (!can(req.userDoc, 'loan.view', loan)) return res.status(403).json({ error: 'Forbidden' });
+    if (!['active', 'defaulted'].includes(loan.status)) {
+      return res.status(400).json({ error: `No payoff quote for a loan with status ${loan.status}` });
+    }
+    const { rebates, ...quote } = await quoteFor(loan, asOf);
+    res.json(quote);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// POST /api/loans/:id/settle { amount?, date?, memberName? } — records the payoff as the final
+// collection and closes the loan. amount, when sent, must match the quote total.
+exports.settleLoan = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const date = body.date ? new Date(body.date) : new Date();
+    if (isNaN(date)) return res.status(400).json({ error: 'Invalid date' });
+    if (date > new Date()) return res.status(400).json({ error: 'Settlement date cannot be in the future' });
+
+    const loan = await Loan.findById(req.params.id);
+    if (!loan) return res.status(404).json({ error: 'Loan not found' });
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).trim().toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
-      const own = (loan.createdByEmail && loan.createdByEmail.toLowerCase() === String(user.email).toLowerCase()) || (loan.loanOfficerName === user.username);
-      if (!own) return res.status(403).json({ error: 'Forbidden' });
+    if (!can(user, 'loan.settle', loan)) return res.status(403).json({ error: 'Your role cannot settle loans' });
+    if (!['active', 'defaulted'].includes(loan.status)) {
+      return res.status(400).json({ error: `Cannot settle a loan with status ${loan.status}` });
+    }
+    const lastCollection = activeCollections(loan.collections).reduce((max, c) => Math.max(max, new Date(c.collectionDate).getTime() || 0), 0);
+    if (date.getTime() < lastCollection) {
+      return res.status(400).json({ error: 'Settlement date cannot be before the latest collection' });
+    }
+
+    const quote = await quoteFor(loan, date);
+    if (!(quote.total > 0)) return res.status(400).json({ error: 'Nothing is outstanding on this loan' });
+    if (body.amount != null && Math.abs(Number(body.amount) - quote.total) >= 0.01) {
+      const { rebates, ...payoff } = quote;
+      return res.status(400).json({ error: `Settlement amount must equal the payoff total of ${quote.total}`, quote: payoff });
     }
+
+    let memberName = body.memberName;
+    if (!memberName && loan.client) {
+      const c = await Client.findById(loan.client).select('memberName');
+      if (c && c.memberName) memberName = c.memberName;
+    }
+    loan.collections.push({
+      memberName: memberName || '',
+      loanAmount: quote.total,
+      weeklyAmount: quote.total,
+      fieldCollection: quote.total,
+      advancePayment: 0,
+      fieldBalance: 0,
+      currency: loan.currency,
+      collectionDate: date,
+      receiptNumber: await nextReceiptNumber(),
+    });
+    loan.totalRealization = Number(loan.totalRealization || 0) + quote.total;
+    loan.schedule = applyRebates(currentSchedule(loan, date), quote.rebates);
+    syncSchedule(loan);
+    loan.settlement = {
+      date,
+      amount: quote.total,
+      principal: quote.principal,
+      interest: quote.interestDue,
+      interestRebate: quote.interestRebate,
+      penalties: quote.penalties,
+      fees: quote.fees,
+      settledBy: user.email,
+    };
+    closeLoan(loan, { date, reason: 'settled' });
+    await loan.save();
+    if (loan.loanType === 'individual' && loan.group) {
+      await recalcGroupLoanTotal(loan.group);
+    }
+
+    // Metrics: the payoff is a collection; the rebate is interest income that will never be collected
+    try {
+      const base = {
+        date,
+        branchName: loan.branchName,
+        branchCode: loan.branchCode,
+        loanOfficerName: loan.loanOfficerName,
+        currency: loan.currency,
+        loan: loan._id,
+        group: loan.group,
+        client: loan.client,
+        extra: { settlement: true, collectionIdx: loan.collections.length - 1, receiptNumber: loan.collections[loan.collections.length - 1].receiptNumber },
+      };
+      const events = collectionEvents(loan, base, quote.total, 0);
+      if (quote.interestRebate > 0) {
+        events.push(
+          { ...base, metric: 'interestRebate', value: quote.interestRebate },
+          { ...base, metric: 'interestCollected', value: -quote.interestRebate },
+          { ...base, metric: 'waitingToBeCollected', value: -quote.interestRebate }
+        );
+      }
+      await recordMany(events);
+    } catch (mErr) {
+      console.error('[Metrics:settleLoan] failed:', mErr.message);
+    }
+    await finalizeClosure(loan);
+
     res.json(loan);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// POST /api/loans/:id/penalties/:penaltyId/waive — approvers only, reason required
+exports.waivePenalty = async (req, res) => {
+  try {
+    const reason = String((req.body && req.body.reason) || '').trim();
+    if (!reason) return res.status(400).json({ error: 'reason is required to waive a penalty' });
+    const loan = await Loan.findById(req.params.id);
+    if (!loan) return res.status(404).json({ error: 'Loan not found' });
+    const user = req.userDoc;
+    if (!can(user, 'penalty.waive', loan)) return res.status(403).json({ error: 'Your role cannot waive penalties' });
+    const penalty = loan.penalties.id(req.params.penaltyId);
+    if (!penalty) return res.status(404).json({ error: 'Penalty not found' });
+    if (penalty.waived) return res.status(400).json({ error: 'Penalty already waived' });
+
+    const waivedAt = new Date();
+    const updated = await Loan.findOneAndUpdate(
+      { _id: loan._id, penalties: { $elemMatch: { _id: penalty._id, waived: { $ne: true } } } },
+      {
+        $set: {
+          'penalties.$.waived': true,
+          'penalties.$.waivedAt': waivedAt,
+          'penalties.$.waivedBy': user.email,
+          'penalties.$.waiverReason': reason,
+        },
+      },
+      { new: true }
+    );
+    if (!updated) return res.status(409).json({ error: 'Penalty was changed by another request' });
+
+    // Metrics: reverse the penalty income
+    try {
+      await recordMany([
+        {
+          metric: 'penaltyIncome',
+          value: -Number(penalty.amount || 0),
+          date: waivedAt,
+          branchName: loan.branchName,
+          branchCode: loan.branchCode,
+          loanOfficerName: loan.loanOfficerName,
+          currency: loan.currency,
+          loan: loan._id,
+          group: loan.group,
+          client: loan.client,
+          extra: { waiver: String(penalty._id), installmentNumber: penalty.installmentNumber },
+        },
+      ]);
+    } catch (mErr) {
+      console.error('[Metrics:waivePenalty] failed:', mErr.message);
+    }
+
+    res.json(updated);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// POST /api/loans/:id/write-off { reason, approverSignature?, date? } — approvers only
+exports.writeOffLoan = async (req, res) => {
+  try {
+    const reason = String((req.body && req.body.reason) || '').trim();
+    if (!reason) return res.status(400).json({ error: 'reason is required to write off a loan' });
+    const loan = await Loan.findById(req.params.id);
+    if (!loan) return res.status(404).json({ error: 'Loan not found' });
+    const user = req.userDoc;
+    if (!can(user, 'loan.writeOff', loan)) return res.status(403).json({ error: 'Your role cannot write off loans' });
+    if (!['active', 'defaulted'].includes(loan.status)) {
+      return res.status(400).json({ error: `Cannot write off a loan with status ${loan.status}` });
+    }
+
+    const date = req.body.date ? new Date(req.body.date) : new Date();
+    if (isNaN(date)) return res.status(400).json({ error: 'Invalid date' });
+    const { principal, interest } = outstandingBreakdown(loan, date);
+    const writeOff = {
+      date,
+      principal,
+      interest,
+      reason,
+      approvedBy: user.email,
+      approverSignature: req.body.approverSignature,
+      previousStatus: loan.status,
+      recoveredAmount: 0,
+    };
+    const updated = await Loan.findOneAndUpdate(
+      { _id: loan._id, status: loan.status },
+      { $set: { status: 'written_off', writeOff } },
+      { new: true }
+    );
+    if (!updated) return res.status(409).json({ error: 'Loan was changed by another request' });
+
+    // Metrics: the loss reduces the loan-loss allowance and the amount is no longer receivable
+    try {
+      const amount = Number((principal + interest).toFixed(2));
+      const base = {
+        date,
+        branchName: loan.branchName,
+        branchCode: loan.branchCode,
+        loanOfficerName: loan.loanOfficerName,
+        currency: loan.currency,
+        loan: loan._id,
+        group: loan.group,
+        client: loan.client,
+        extra: { writeOff: true, principal, interest },
+      };
+      if (amount > 0) {
+        await recordMany([
+          { ...base, metric: 'loanWriteOff', value: amount },
+          { ...base, metric: 'waitingToBeCollected', value: -amount },
+        ]);
+      }
+    } catch (mErr) {
+      console.error('[Metrics:writeOffLoan] failed:', mErr.message);
+    }
+
+    res.json(updated);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// POST /api/loans/:id/reschedule — approvers only
+// { reason, loanDurationNumber, loanDurationUnit, paymentPlan?, firstDueDate?, capitaliseArrears?, date?, approverSignature? }
+exports.rescheduleLoan = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const reason = String(body.reason || '').trim();
+    if (!reason) return res.status(400).json({ error: 'reason is required to reschedule a loan' });
+    const loanDurationNumber = Number(body.loanDurationNumber);
+    if (!(loanDurationNumber > 0)) return res.status(400).json({ error: 'loanDurationNumber must be greater than 0' });
+    if (!['days', 'weeks', 'months', 'years'].includes(body.loanDurationUnit)) {
+      return res.status(400).json({ error: 'loanDurationUnit must be one of days, weeks, months, years' });
+    }
+    if (body.paymentPlan && !['weekly', 'bi-weekly', 'monthly'].includes(body.paymentPlan)) {
+      return res.status(400).json({ error: 'Invalid paymentPlan' });
+    }
+    const date = body.date ? new Date(body.date) : new Date();
+    if (isNaN(date)) return res.status(400).json({ error: 'Invalid date' });
+    if (body.firstDueDate && (isNaN(new Date(body.firstDueDate)) || new Date(body.firstDueDate) < date)) {
+      return res.status(400).json({ error: 'firstDueDate must be a valid date on or after the reschedule date' });
+    }
+
+    const loan = await Loan.findById(req.params.id);
+    if (!loan) return res.status(404).json({ error: 'Loan not found' });
+    const user = req.userDoc;
+    if (!can(user, 'loan.reschedule', loan)) return res.status(403).json({ error: 'Your role cannot reschedule loans' });
+    if (!['active', 'defaulted'].includes(loan.status)) {
+      return res.status(400).json({ error: `Cannot reschedule a loan with status ${loan.status}` });
+    }
+
+    const result = rescheduleLoan(loan, {
+      date,
+      loanDurationNumber,
+      loanDurationUnit: body.loanDurationUnit,
+      paymentPlan: body.paymentPlan,
+      firstDueDate: body.firstDueDate,
+      capitaliseArrears: body.capitaliseArrears === true || body.capitaliseArrears === 'true',
+    });
+    const restructure = {
+      ...result.restructure,
+      reason,
+      approvedBy: user.email,
+      approverSignature: body.approverSignature,
+      previousEndingDate: loan.endingDate,
+    };
+
+    // A restructured defaulted loan is performing again
+    const updated = await Loan.findOneAndUpdate(
+      { _id: loan._id, updatedAt: loan.updatedAt },
+      {
+        $set: {
+          schedule: result.schedule,
+          endingDate: result.endingDate,
+          weeklyInstallment: result.weeklyInstallment,
+          isRestructured: true,
+          status: 'active',
+        },
+        $push: { restructures: restructure },
+      },
+      { new: true, runValidators: true }
+    );
+    if (!updated) return res.status(409).json({ error: 'Loan was changed by another request' });
+    res.json(updated);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// POST /api/loans/penalties/accrue — run penalty accrual now for the caller's branches
+exports.runPenaltyAccrual = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.body && req.body.branchCode) filter.branchCode = req.body.branchCode;
+    if (!applyBranchScope(req.userDoc, filter)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+    const asOf = req.body && req.body.asOf ? new Date(req.body.asOf) : new Date();
+    if (isNaN(asOf)) return res.status(400).json({ error: 'Invalid asOf date' });
+    const summary = await accruePenalties({ asOf, filter });
+    res.json(summary);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -381,16 +789,65 @@ exports.getLoanById = async (req, res) => {
 exports.updateLoan = async (req, res) => {
   try {
     const before = await Loan.findById(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Loan not found' });
     const { clean, error } = sanitizeLoanPayload(req.body);
     if (error) return res.status(400).json({ error });
+    // The schedule is derived and penalties change only through accrual/waivers
+    delete clean.schedule;
+    delete clean.penalties;
+    delete clean.restructures;
+    delete clean.isRestructured;
+    delete clean.settlement;
+    delete clean.closedAt;
+    delete clean.closureReason;
+    delete clean.collateralReleasedAt;
+    delete clean.product;
+    // Status moves through PATCH /:id/status and the approval endpoints
+    delete clean.status;
+    delete clean.approvalChain;
+    delete clean.approvals;
+    delete clean.submittedAt;
+    delete clean.submittedBy;
+    delete clean.approvedAt;
+    delete clean.loanCycle;
+    delete clean.isReturningClient;
+    delete clean.exposureOverrides;
+    delete clean.riskFlags;
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
-      // Must own the loan
-      if (!before) return res.status(404).json({ error: 'Loan not found' });
-      const own = (before.createdByEmail && before.createdByEmail.toLowerCase() === String(user.email).toLowerCase()) || (before.loanOfficerName === user.username);
-      if (!own) return res.status(403).json({ error: 'Forbidden' });
+    // Restricted roles must own the loan
+    if (!can(user, 'loan.update', before)) return res.status(403).json({ error: 'Forbidden' });
+    // Once submitted, amounts and terms change only through the approval chain (or a reschedule)
+    if (before.status !== 'pending') {
+      const locked = lockedFieldChanges(before, clean);
+      if (locked.length) {
+        return res.status(400).json({ error: `Cannot change ${locked.join(', ')} on a ${before.status} loan` });
+      }
+    }
+    // Keep the approved amount when the rest of officialUse is edited
+    if (clean.officialUse && before.officialUse && before.officialUse.approvedAmountToBeGiven != null) {
+      clean.officialUse.approvedAmountToBeGiven = before.officialUse.approvedAmountToBeGiven;
+    }
+    // Changed fields must stay within the loan's product (deactivated products still govern their loans)
+    const product = before.product ? await LoanProduct.findById(before.product) : null;
+    if (product) {
+      const productError = checkLoanEdit(product, before.toObject(), clean);
+      if (productError) return res.status(400).json({ error: productError });
+    }
+    if (clean.loanAmount != null && Number(clean.loanAmount) !== Number(before.loanAmount)) {
+      const cycleError = await checkCycleLimit({ ...before.toObject(), ...clean }, before.loanCycle || 1);
+      if (cycleError) return res.status(400).json({ error: cycleError });
+    }
+    // Changed guarantors are linked to the registry and held to the guarantor limits
+    let guarantors = [];
+    if (clean.guarantors || clean.guarantorInfo) {
+      const merged = { ...before.toObject(), ...clean };
+      guarantors = await resolveLoanGuarantors(merged, { createdByEmail: user.email });
+      const guarantorError = await checkGuarantorLimits(merged, guarantors, { excludeLoan: before._id });
+      if (guarantorError) return res.status(400).json({ error: guarantorError });
+      if (clean.guarantors) clean.guarantors = merged.guarantors;
+      if (clean.guarantorInfo) clean.guarantorInfo = merged.guarantorInfo;
+    }
+    if (isOwnRecordsOnly(user)) {
       // Enforce branch/officer identity
       clean.branchName = user.branchName;
       clean.branchCode = user.branchCode;
@@ -400,8 +857,11 @@ exports.updateLoan = async (req, res) => {
       // Preserve creator if not set
       if (!clean.createdByEmail) clean.createdByEmail = user.email;
     }
+    // Loans cannot be moved into a branch outside the user's scope
+    if (clean.branchCode && !canAccessBranch(user, clean.branchCode)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
     const loan = await Loan.findByIdAndUpdate(req.params.id, clean, { new: true, runValidators: true });
     if (!loan) return res.status(404).json({ error: 'Loan not found' });
+    await saveGuarantors(guarantors);
     // Recalculate group totals if relevant loan changed
     const beforeGroup = before && before.loanType === 'individual' ? before.group?.toString() : null;
     const afterGroup = loan && loan.loanType === 'individual' ? loan.group?.toString() : null;
@@ -423,12 +883,7 @@ exports.deleteLoan = async (req, res) => {
     const existing = await Loan.findById(req.params.id);
     if (!existing) return res.status(404).json({ error: 'Loan not found' });
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
-      const own = (existing.createdByEmail && existing.createdByEmail.toLowerCase() === String(user.email).toLowerCase()) || (existing.loanOfficerName === user.username);
-      if (!own) return res.status(403).json({ error: 'Forbidden' });
-    }
+    if (!can(user, 'loan.delete', existing)) return res.status(403).json({ error: 'Forbidden' });
     const loan = await Loan.findByIdAndDelete(req.params.id);
     if (!loan) return res.status(404).json({ error: 'Loan not found' });
     if (loan.loanType === 'individual' && loan.group) {
@@ -453,260 +908,428 @@ exports.addCollection = async (req, res) => {
     if (!loan) return res.status(404).json({ error: 'Loan not found' });
     // Access control
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
-      const own = (loan.createdByEmail && loan.createdByEmail.toLowerCase() === String(user.email).toLowerCase()) || (loan.loanOfficerName === user.username);
-      if (!own) return res.status(403).json({ error: 'Forbidden' });
-    }
-
-    // Compute defaults based on payment plan (weekly/bi-weekly/monthly)
-    const toWeeks = (n, unit) => {
-      const num = Number(n || 0);
-      switch ((unit || '').toLowerCase()) {
-        case 'days': return Math.max(Math.ceil(num / 7), 0);
-        case 'weeks': return Math.max(num, 0);
-        case 'months': return Math.max(num * 4, 0);
-        case 'years': return Math.max(num * 52, 0);
-        default: return Math.max(num, 0);
-      }
-    };
-    const plan = String(loan.paymentPlan || 'weekly').toLowerCase();
-    const totalWithInterest = Number(loan.loanAmount || 0) * (1 + Number(loan.interestRate || 0) / 100);
-    const calcPeriods = () => {
-      const start = (loan.collectionStartDate ? new Date(loan.collectionStartDate) : (loan.disbursementDate ? new Date(loan.disbursementDate) : null));
-      const end = loan.endingDate ? new Date(loan.endingDate) : null;
-      if (!loan.collectionStartDate && start && end && !isNaN(start) && !isNaN(end)) {
-        let i = 0;
-        let current = new Date(start);
-        while (current <= end && i < 500) {
-          if (plan === 'weekly') current.setDate(current.getDate() + 7);
-          else if (plan === 'bi-weekly') current.setDate(current.getDate() + 14);
-          else current.setMonth(current.getMonth() + 1);
-          i += 1;
-        }
-        return i;
-      }
-      const weeks = toWeeks(loan.loanDurationNumber, loan.loanDurationUnit);
-      if (plan === 'weekly') return weeks;
-      if (plan === 'bi-weekly') return Math.max(Math.ceil(weeks / 2), 0);
-      // monthly fallback using approximate months from duration
-      const n = Number(loan.loanDurationNumber || 0);
-      const unit = String(loan.loanDurationUnit || 'weeks').toLowerCase();
-      let months = 0;
-      switch (unit) {
-        case 'days': months = Math.max(Math.ceil(n / 30), 0); break;
-        case 'weeks': months = Math.max(Math.ceil(weeks / 4), 0); break;
-        case 'months': months = Math.max(n, 0); break;
-        case 'years': months = Math.max(n * 12, 0); break;
-        default: months = Math.max(n, 0); break;
-      }
-      return months;
-    };
-    const periods = Math.max(calcPeriods(), 1);
-    const expectedWeekly = periods > 0 ? (totalWithInterest / periods) : 0;
-
-    // Normalize incoming
-    const currency = req.body.currency || loan.currency;
-    if (currency !== loan.currency) {
-      return res.status(400).json({ error: `Collection currency ${currency} does not match loan currency ${loan.currency}` });
-    }
-    const weeklyAmount = Number(req.body.weeklyAmount || expectedWeekly);
-    const fieldCollection = Number(req.body.fieldCollection || 0);
-    const advancePayment = Number(req.body.advancePayment || 0);
-    const fieldBalance = (req.body.fieldBalance == null)
-      ? Math.max(Number(weeklyAmount || 0) - fieldCollection - advancePayment, 0)
-      : Number(req.body.fieldBalance);
-    const memberName = req.body.memberName || (loan.client ? undefined : '');
-
-    const record = {
-      memberName: memberName || (req.body.memberName || ''),
-      loanAmount: Number(req.body.loanAmount || weeklyAmount),
-      weeklyAmount,
-      fieldCollection,
-      advancePayment,
-      fieldBalance,
-      currency,
-      collectionDate: req.body.collectionDate || new Date(),
-    };
-    // If per-client loan and memberName missing, try to populate from client
-    if (!record.memberName && loan.client) {
-      try {
-        const Client = require('../models/Client');
-        const c = await Client.findById(loan.client).select('memberName');
-        if (c && c.memberName) record.memberName = c.memberName;
-      } catch (_) {}
+    if (!can(user, 'collection.create', loan)) return res.status(403).json({ error: 'Forbidden' });
+    // A retried entry that was already posted is answered with the loan as it stands
+    const clientEntryId = req.body.clientEntryId ? String(req.body.clientEntryId) : undefined;
+    if (clientEntryId && loan.collections.some((c) => c.clientEntryId === clientEntryId)) {
+      return res.status(200).json(loan);
+    }
+
+    // Default expected amount is what is still open on the next installment
+    const expectedWeekly = expectedInstallmentAmount(loan);
+    const record = await collectionRecordFrom(loan, req.body, expectedWeekly);
+
+    await postCollections(loan, [record], { overpayment: req.body.overpayment });
+    await recordCollectionMetrics(loan, [record], { tag: 'addCollection' });
+
+    res.status(201).json(loan);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+exports.addCollectionsBatch = async (req, res) => {
+  try {
+    const { entries } = req.body;
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return res.status(400).json({ error: 'entries array is required' });
+    }
+
+    const loan = await Loan.findById(req.params.id);
+    if (!loan) return res.status(404).json({ error: 'Loan not found' });
+    // Access control
+    const user = req.userDoc;
+    if (!can(user, 'collection.create', loan)) return res.status(403).json({ error: 'Forbidden' });
+
+    // Default expected amount is what is still open on the next installment
+    const expectedWeekly = expectedInstallmentAmount(loan);
+
+    // Entries whose clientEntryId was already posted (or repeats within the batch) are skipped
+    const seenEntryIds = new Set(loan.collections.map((c) => c.clientEntryId).filter(Boolean));
+    const records = [];
+    for (const entry of entries) {
+      const clientEntryId = entry.clientEntryId ? String(entry.clientEntryId) : undefined;
+      if (clientEntryId && seenEntryIds.has(clientEntryId)) continue;
+      if (clientEntryId) seenEntryIds.add(clientEntryId);
+      records.push(await collectionRecordFrom(loan, entry, expectedWeekly));
+    }
+    if (!records.length) return res.status(200).json(loan);
+
+    await postCollections(loan, records, { overpayment: req.body.overpayment });
+    await recordCollectionMetrics(loan, records, { extra: { batch: true }, tag: 'addCollectionsBatch' });
+
+    res.status(201).json(loan);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// POST /api/loans/:id/collections/:collectionId/reverse { reason, approverSignature? } — approvers only.
+// The row stays on the loan marked reversed; a repaid loan that owes money again is reopened.
+// An overpayment moved to savings is not touched and must be corrected on the savings account.
+exports.reverseCollection = async (req, res) => {
+  try {
+    const reason = String((req.body && req.body.reason) || '').trim();
+    if (!reason) return res.status(400).json({ error: 'reason is required to reverse a collection' });
+    const loan = await Loan.findById(req.params.id);
+    if (!loan) return res.status(404).json({ error: 'Loan not found' });
+    const user = req.userDoc;
+    if (!can(user, 'collection.reverse', loan)) return res.status(403).json({ error: 'Your role cannot reverse collections' });
+    const collection = loan.collections.id(req.params.collectionId);
+    if (!collection) return res.status(404).json({ error: 'Collection not found' });
+    if (collection.reversed) return res.status(400).json({ error: 'Collection already reversed' });
+    if (collection.lienOffset && collection.lienOffset.account) {
+      return res.status(400).json({ error: 'Collections from a collateral lien offset cannot be reversed' });
+    }
+    if (loan.closureReason === 'settled') {
+      return res.status(400).json({ error: 'Collections on a settled loan cannot be reversed' });
     }
 
-    loan.collections.push(record);
-    loan.totalRealization = Number(loan.totalRealization || 0) + Number(record.fieldCollection || 0);
+    const amount = Number(collection.fieldCollection || 0);
+    const wasRecovery = loan.status === 'written_off' && loan.writeOff && loan.writeOff.date
+      && new Date(collection.collectionDate) >= new Date(loan.writeOff.date);
+    const date = new Date();
+    collection.reversed = true;
+    collection.reversal = { date, reason, approvedBy: user.email, approverSignature: req.body.approverSignature };
+    loan.totalRealization = Number(loan.totalRealization || 0) - amount;
+    if (wasRecovery) {
+      loan.writeOff.recoveredAmount = Number(loan.writeOff.recoveredAmount || 0) - amount;
+    }
+    const reopened = loan.status === 'paid' && amountToClose(loan) > 0;
+    const collateralWasReleased = reopened && !!loan.collateralReleasedAt;
+    if (reopened) {
+      reopenLoan(loan);
+      loan.collateralReleasedAt = undefined;
+    }
+    syncSchedule(loan);
     await loan.save();
+    if (reopened) announceReopened(loan);
+    if (collateralWasReleased) {
+      try {
+        await reinstateLoanLiens(loan);
+      } catch (lErr) {
+        console.error('[Savings:reinstateLien] failed:', lErr.message);
+      }
+    }
+    if (loan.loanType === 'individual' && loan.group) {
+      await recalcGroupLoanTotal(loan.group);
+    }
 
-    // Metrics for single collection
+    // Metrics: compensating events for what the collection recorded (and for the closure it caused)
     try {
-      const overdueVal = Math.max(Number(record.weeklyAmount || 0) - Number(record.fieldCollection || 0), 0);
       const base = {
-        date: record.collectionDate || new Date(),
+        date,
         branchName: loan.branchName,
         branchCode: loan.branchCode,
         loanOfficerName: loan.loanOfficerName,
-        currency: record.currency || loan.currency,
+        currency: collection.currency || loan.currency,
         loan: loan._id,
         group: loan.group,
         client: loan.client,
-        extra: { collectionIdx: loan.collections.length - 1 },
+        extra: { reversal: String(collection._id), receiptNumber: collection.receiptNumber },
       };
-      const events = [
-        { ...base, metric: 'totalCollectionsCollected', value: Number(record.fieldCollection || 0) },
-        { ...base, metric: 'waitingToBeCollected', value: -Number(record.fieldCollection || 0) },
-      ];
-      if (overdueVal > 0) events.push({ ...base, metric: 'overdue', value: overdueVal });
-      await recordMany(events);
+      const events = [];
+      if (wasRecovery) {
+        if (amount) events.push({ ...base, metric: 'loanRecovery', value: -amount });
+      } else {
+        if (amount) {
+          events.push(
+            { ...base, metric: 'totalCollectionsCollected', value: -amount },
+            { ...base, metric: 'waitingToBeCollected', value: amount }
+          );
+        }
+        const overdueVal = Math.max(Number(collection.weeklyAmount || 0) - amount, 0);
+        if (overdueVal > 0) events.push({ ...base, metric: 'overdue', value: -overdueVal });
+      }
+      if (reopened) {
+        events.push({ ...base, metric: 'loansClosed', value: -1 });
+        if (collateralWasReleased) {
+          events.push({ ...base, metric: 'collateralCashReleased', value: -Number(loan.collateralCashAmount || 0) });
+        }
+      }
+      if (events.length) await recordMany(events);
     } catch (mErr) {
-      console.error('[Metrics:addCollection] failed:', mErr.message);
+      console.error('[Metrics:reverseCollection] failed:', mErr.message);
     }
 
-    res.status(201).json(loan);
+    res.json(loan);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 };
 
-exports.addCollectionsBatch = async (req, res) => {
+// Installments due by `asOf` that are still unpaid, plus outstanding penalties
+function arrearsOf(loan, asOf = new Date()) {
+  const schedule = currentSchedule(loan, asOf);
+  const due = schedule
+    .filter((inst) => inst.status !== 'rescheduled' && new Date(inst.dueDate) <= asOf)
+    .reduce((s, inst) => s + Math.max(Number(inst.amountDue || 0) - Number(inst.amountPaid || 0), 0), 0);
+  return Number((due + penaltyTotals(loan, schedule).outstanding).toFixed(2));
+}
+
+// POST /api/loans/:id/lien-offset { reason, amount?, approverSignature? } — approvers only.
+// Applies the collateral cash held under a lien in savings to the arrears of a defaulted (or
+// written-off) loan: one savings withdrawal and one collection, sharing a receipt number.
+exports.offsetCollateralLien = async (req, res) => {
   try {
-    const { entries } = req.body;
-    if (!Array.isArray(entries) || entries.length === 0) {
-      return res.status(400).json({ error: 'entries array is required' });
+    const reason = String((req.body && req.body.reason) || '').trim();
+    if (!reason) return res.status(400).json({ error: 'reason is required to offset a collateral lien' });
+    const requested = req.body.amount == null ? Infinity : Number(req.body.amount);
+    if (!(requested > 0)) return res.status(400).json({ error: 'amount must be greater than 0' });
+    const loan = await Loan.findById(req.params.id);
+    if (!loan) return res.status(404).json({ error: 'Loan not found' });
+    const user = req.userDoc;
+    if (!can(user, 'lien.offset', loan)) return res.status(403).json({ error: 'Your role cannot offset collateral liens' });
+    if (!['defaulted', 'written_off'].includes(loan.status)) {
+      return res.status(400).json({ error: `Collateral liens are offset only on defaulted loans; loan is ${loan.status}` });
     }
+    const { account, lien } = await activeLienFor(loan);
+    if (!lien) return res.status(400).json({ error: 'Loan has no collateral held under a lien' });
+    if (account.currency !== loan.currency) {
+      return res.status(400).json({ error: `Cannot offset a ${account.currency} savings lien against a ${loan.currency} loan` });
+    }
+
+    const date = new Date();
+    const arrears = arrearsOf(loan, date);
+    const offset = Number(Math.min(requested, lien.amount, Math.max(account.currentBalance, 0), arrears).toFixed(2));
+    if (!(offset > 0)) return res.status(400).json({ error: 'Loan has no arrears to offset', arrears });
 
+    // Savings side first, then the collection; the withdrawal is undone if posting fails. The
+    // withdrawal and the lien change are written only if the lien and balance are as loaded here.
+    const receiptNumber = await nextReceiptNumber();
+    const transactionId = new mongoose.Types.ObjectId();
+    const remaining = Number((lien.amount - offset).toFixed(2));
+    const offsets = [
+      ...lien.offsets.map((o) => o.toObject()),
+      { date, amount: offset, by: user.email, reason, receiptNumber, transaction: transactionId },
+    ];
+    const posted = await withdrawFromAccount(
+      account,
+      offset,
+      {
+        type: 'transfer',
+        date,
+        _id: transactionId,
+        loan: loan._id,
+        receiptNumber,
+        narration: 'Collateral lien offset',
+        postedBy: user.email,
+      },
+      {
+        filter: { currentBalance: { $gte: offset }, liens: { $elemMatch: { _id: lien._id, status: 'active', amount: lien.amount } } },
+        updates: [{ path: 'liens', _id: lien._id, set: { amount: remaining, status: remaining <= 0 ? 'offset' : 'active', offsets } }],
+      }
+    );
+    if (!posted) return res.status(409).json({ error: 'The savings balance or lien changed while offsetting; reload and retry' });
+
+    const record = await collectionRecordFrom(loan, { weeklyAmount: offset, fieldCollection: offset, collectionDate: date }, offset);
+    record.receiptNumber = receiptNumber;
+    record.lienOffset = { account: account._id, transaction: transactionId };
+    try {
+      await postCollections(loan, [record]);
+    } catch (pErr) {
+      await SavingsAccount.updateOne(
+        { _id: account._id, 'liens._id': lien._id },
+        {
+          $pull: { transactions: { _id: transactionId } },
+          $inc: { currentBalance: offset },
+          $set: { 'liens.$.amount': lien.amount, 'liens.$.status': lien.status, 'liens.$.offsets': lien.offsets.map((o) => o.toObject()) },
+        }
+      );
+      throw pErr;
+    }
+    await recordCollectionMetrics(loan, [record], { extra: { lienOffset: true }, tag: 'lienOffset' });
+    try {
+      await recordMany([
+        {
+          metric: 'collateralSavingsWithdrawal',
+          value: offset,
+          date,
+          branchName: account.branchName,
+          branchCode: account.branchCode,
+          currency: account.currency,
+          loan: loan._id,
+          client: account.client,
+          group: account.group,
+          extra: { lienOffset: true, receiptNumber },
+        },
+      ]);
+    } catch (mErr) {
+      console.error('[Metrics:lienOffset] failed:', mErr.message);
+    }
+
+    res.status(201).json({ loan, savingsAccount: posted.account, offset, arrears });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// POST /api/loans/:id/submit — the loan officer sends a pending loan into the approval chain
+// { loanOfficerSignature? }
+exports.submitLoan = async (req, res) => {
+  try {
     const loan = await Loan.findById(req.params.id);
     if (!loan) return res.status(404).json({ error: 'Loan not found' });
-    // Access control
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
-      const own = (loan.createdByEmail && loan.createdByEmail.toLowerCase() === String(user.email).toLowerCase()) || (loan.loanOfficerName === user.username);
-      if (!own) return res.status(403).json({ error: 'Forbidden' });
-    }
-
-    // Defaults using payment plan (weekly/bi-weekly/monthly)
-    const toWeeks = (n, unit) => {
-      const num = Number(n || 0);
-      switch ((unit || '').toLowerCase()) {
-        case 'days': return Math.max(Math.ceil(num / 7), 0);
-        case 'weeks': return Math.max(num, 0);
-        case 'months': return Math.max(num * 4, 0);
-        case 'years': return Math.max(num * 52, 0);
-        default: return Math.max(num, 0);
-      }
+    if (!can(user, 'loan.submit', loan)) return res.status(403).json({ error: 'Forbidden' });
+    if (loan.status !== 'pending') {
+      return res.status(400).json({ error: `Only pending loans can be submitted (loan is ${loan.status})` });
+    }
+    const chain = await approvalChainFor(loan);
+    if (!chain.length) return res.status(400).json({ error: 'No approval stages are configured' });
+    const body = req.body || {};
+    const set = {
+      status: 'submitted',
+      approvalChain: chain,
+      approvals: [],
+      submittedAt: new Date(),
+      submittedBy: user.email,
     };
-    const plan = String(loan.paymentPlan || 'weekly').toLowerCase();
-    const totalWithInterest = Number(loan.loanAmount || 0) * (1 + Number(loan.interestRate || 0) / 100);
-    const calcPeriods = () => {
-      const start = (loan.collectionStartDate ? new Date(loan.collectionStartDate) : (loan.disbursementDate ? new Date(loan.disbursementDate) : null));
-      const end = loan.endingDate ? new Date(loan.endingDate) : null;
-      if (start && end && !isNaN(start) && !isNaN(end)) {
-        let i = 0; let current = new Date(start);
-        while (current <= end && i < 500) {
-          if (plan === 'weekly') current.setDate(current.getDate() + 7);
-          else if (plan === 'bi-weekly') current.setDate(current.getDate() + 14);
-          else current.setMonth(current.getMonth() + 1);
-          i += 1;
-        }
-        return i;
-      }
-      const weeks = toWeeks(loan.loanDurationNumber, loan.loanDurationUnit);
-      if (plan === 'weekly') return weeks;
-      if (plan === 'bi-weekly') return Math.max(Math.ceil(weeks / 2), 0);
-      // monthly fallback
-      const n = Number(loan.loanDurationNumber || 0);
-      const unit = String(loan.loanDurationUnit || 'weeks').toLowerCase();
-      let months = 0;
-      switch (unit) {
-        case 'days': months = Math.max(Math.ceil(n / 30), 0); break;
-        case 'weeks': months = Math.max(Math.ceil(weeks / 4), 0); break;
-        case 'months': months = Math.max(n, 0); break;
-        case 'years': months = Math.max(n * 12, 0); break;
-        default: months = Math.max(n, 0); break;
-      }
-      return months;
+    if (body.loanOfficerSignature) set['officialUse.loanOfficerSignature'] = body.loanOfficerSignature;
+    const updated = await Loan.findOneAndUpdate(
+      { _id: loan._id, status: 'pending' },
+      { $set: set },
+      { new: true, runValidators: true }
+    );
+    if (!updated) return res.status(409).json({ error: 'Loan was changed by another request' });
+    res.json({ loan: updated, nextStage: nextApprovalStage(updated) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// POST /api/loans/:id/approval — decides the loan's current approval stage
+// { decision: 'approve'|'reject', comments?, approvedAmount?, dateOfInspection?, signature? }
+exports.decideLoanApproval = async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!['approve', 'reject'].includes(body.decision)) {
+      return res.status(400).json({ error: "decision must be 'approve' or 'reject'" });
+    }
+    const comments = String(body.comments || '').trim();
+    if (body.decision === 'reject' && !comments) return res.status(400).json({ error: 'comments are required to reject a loan' });
+
+    const loan = await Loan.findById(req.params.id);
+    if (!loan) return res.status(404).json({ error: 'Loan not found' });
+    const user = req.userDoc;
+    if (!can(user, 'loan.review', loan)) return res.status(403).json({ error: 'Forbidden' });
+    if (!IN_APPROVAL_STATUSES.includes(loan.status)) {
+      return res.status(400).json({ error: `Loan is not awaiting approval (status ${loan.status})` });
+    }
+    const stage = nextApprovalStage(loan);
+    if (!stage) return res.status(400).json({ error: 'Loan has no approval stage pending' });
+    if (!canDecideStage(user, stage)) {
+      return res.status(403).json({ error: `${stage.label} must be decided by: ${stage.roles.join(', ')}` });
+    }
+    // Whoever submitted or already approved the loan cannot approve another stage of it
+    const email = String(user.email || '').toLowerCase();
+    const actedBefore = String(loan.submittedBy || '').toLowerCase() === email
+      || (loan.approvals || []).some((a) => String(a.by).toLowerCase() === email);
+    if (body.decision === 'approve' && actedBefore) {
+      return res.status(403).json({ error: 'You have already acted on this loan; another approver must decide this stage' });
+    }
+
+    const date = new Date();
+    const set = {};
+    const decision = {
+      stage: stage.key,
+      label: stage.label,
+      decision: body.decision === 'approve' ? 'approved' : 'rejected',
+      by: user.email,
+      role: roleOf(user),
+      date,
+      comments: comments || undefined,
+      signature: body.signature,
     };
-    const periods = Math.max(calcPeriods(), 1);
-    const expectedWeekly = periods > 0 ? (totalWithInterest / periods) : 0;
 
-    let totalAdd = 0;
-    for (const entry of entries) {
-      const currency = entry.currency || loan.currency;
-      if (currency !== loan.currency) {
-        return res.status(400).json({ error: `Collection currency ${currency} does not match loan currency ${loan.currency}` });
+    if (body.decision === 'approve') {
+      if (body.dateOfInspection) {
+        const inspected = new Date(body.dateOfInspection);
+        if (isNaN(inspected) || inspected > date) return res.status(400).json({ error: 'Invalid dateOfInspection' });
+        set['officialUse.dateOfInspection'] = inspected;
       }
-      const weeklyAmount = Number(entry.weeklyAmount || expectedWeekly);
-      const fieldCollection = Number(entry.fieldCollection || 0);
-      const advancePayment = Number(entry.advancePayment || 0);
-      const fieldBalance = (entry.fieldBalance == null)
-        ? Math.max(Number(weeklyAmount || 0) - fieldCollection - advancePayment, 0)
-        : Number(entry.fieldBalance);
-      let memberName = entry.memberName || '';
-      if (!memberName && loan.client) {
-        try {
-          const Client = require('../models/Client');
-          const c = await Client.findById(loan.client).select('memberName');
-          if (c && c.memberName) memberName = c.memberName;
-        } catch (_) {}
+      if (stage.requiresInspection && !set['officialUse.dateOfInspection'] && !(loan.officialUse && loan.officialUse.dateOfInspection)) {
+        return res.status(400).json({ error: `${stage.label} requires the inspection date (dateOfInspection)` });
       }
-      const rec = {
-        memberName,
-        loanAmount: Number(entry.loanAmount || weeklyAmount),
-        weeklyAmount,
-        fieldCollection,
-        advancePayment,
-        fieldBalance,
-        currency,
-        collectionDate: entry.collectionDate || new Date(),
-      };
-      loan.collections.push(rec);
-      totalAdd += Number(rec.fieldCollection || 0);
+      // Each stage may approve the amount on the table or less, never more
+      const onTable = amountUnderApproval(loan);
+      const approvedAmount = body.approvedAmount == null || body.approvedAmount === '' ? onTable : Number(body.approvedAmount);
+      if (!(approvedAmount > 0) || approvedAmount > onTable) {
+        return res.status(400).json({ error: `approvedAmount must be greater than 0 and at most ${onTable}` });
+      }
+      const ltvError = await checkLoanToValue(loan, approvedAmount);
+      if (ltvError) return res.status(400).json({ error: ltvError });
+      decision.approvedAmount = approvedAmount;
+      set['officialUse.approvedAmountToBeGiven'] = approvedAmount;
+      if (stage.requiresInspection && body.signature) set['officialUse.loanSupervisorApprovalSignature'] = body.signature;
     }
 
-    loan.totalRealization = Number(loan.totalRealization || 0) + totalAdd;
-    await loan.save();
-
-    // Metrics for batch
-    try {
-      const events = [];
-      let totalCollected = 0;
-      for (let i = 0; i < entries.length; i++) {
-        const rec = entries[i];
-        const collected = Number(rec.fieldCollection || 0);
-        const overdueVal = Math.max(Number(rec.weeklyAmount || 0) - collected, 0);
-        totalCollected += collected;
-        const base = {
-          date: rec.collectionDate || new Date(),
-          branchName: loan.branchName,
-          branchCode: loan.branchCode,
-          loanOfficerName: loan.loanOfficerName,
-          currency: rec.currency || loan.currency,
-          loan: loan._id,
-          group: loan.group,
-          client: loan.client,
-          extra: { batch: true, entryIndex: i },
-        };
-        events.push({ ...base, metric: 'totalCollectionsCollected', value: collected });
-        events.push({ ...base, metric: 'waitingToBeCollected', value: -collected });
-        if (overdueVal > 0) events.push({ ...base, metric: 'overdue', value: overdueVal });
-      }
-      if (events.length) await recordMany(events);
-    } catch (mErr) {
-      console.error('[Metrics:addCollectionsBatch] failed:', mErr.message);
+    // Work out where the loan stands once this decision is recorded
+    const after = {
+      approvalChain: loan.approvalChain,
+      approvals: [...(loan.approvals || []), decision],
+      loanAmount: loan.loanAmount,
+      officialUse: { approvedAmountToBeGiven: decision.approvedAmount != null ? decision.approvedAmount : amountUnderApproval(loan) },
+    };
+    const remaining = body.decision === 'approve' ? nextApprovalStage(after) : null;
+    if (body.decision === 'reject') {
+      set.status = 'rejected';
+    } else if (remaining) {
+      set.status = 'under_review';
+    } else {
+      set.status = 'approved';
+      set.approvedAt = date;
     }
 
-    res.status(201).json(loan);
+    const updated = await Loan.findOneAndUpdate(
+      { _id: loan._id, updatedAt: loan.updatedAt },
+      { $set: set, $push: { approvals: decision } },
+      { new: true, runValidators: true }
+    );
+    if (!updated) return res.status(409).json({ error: 'Loan was changed by another request' });
+
+    // Final approval of less than was applied for: the loan is re-priced on the approved amount
+    if (updated.status === 'approved' && decision.approvedAmount < Number(updated.loanAmount || 0)) {
+      updated.loanAmount = decision.approvedAmount;
+      updated.totalAmountToBePaid = undefined;
+      updated.cashAmountCredited = undefined;
+      await updated.save();
+    }
+    res.json({ loan: updated, nextStage: remaining });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 };
 
+// GET /api/loans/approvals/inbox — loans whose current approval stage the user's role decides
+exports.getApprovalsInbox = async (req, res) => {
+  try {
+    const user = req.userDoc;
+    const filter = { status: { $in: IN_APPROVAL_STATUSES } };
+    if (req.query.branchCode) filter.branchCode = req.query.branchCode;
+    if (!applyBranchScope(user, filter)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+    const loans = await Loan.find(filter)
+      .select('loanType product group client clients loanAmount currency branchName branchCode loanOfficerName createdByEmail status approvalChain approvals submittedAt submittedBy riskFlags officialUse.approvedAmountToBeGiven officialUse.dateOfInspection')
+      .populate('client', 'memberName')
+      .populate('group', 'groupName')
+      .sort({ submittedAt: 1 });
+    const email = String(user.email || '').toLowerCase();
+    const actedOn = (loan) => String(loan.submittedBy || '').toLowerCase() === email
+      || (loan.approvals || []).some((a) => String(a.by).toLowerCase() === email);
+    const inbox = loans
+      .map((loan) => ({ loan, stage: nextApprovalStage(loan) }))
+      .filter(({ loan, stage }) => canDecideStage(user, stage) && !actedOn(loan))
+      .map(({ loan, stage }) => ({
+        ...loan.toObject(),
+        amountUnderApproval: amountUnderApproval(loan),
+        pendingStage: stage,
+      }));
+    res.json(inbox);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
 exports.setLoanStatus = async (req, res) => {
   try {
     const allowed = ['pending', 'active', 'paid', 'defaulted'];
@@ -714,51 +1337,84 @@ exports.setLoanStatus = async (req, res) => {
     if (!allowed.includes(status)) return res.status(400).json({ error: 'Invalid status' });
     // Require authenticated identity for status changes
     if (!req.userDoc) {
-      return res.status(401).json({ error: 'Authentication required. Please include x-user-email header.' });
+      return res.status(401).json({ error: 'Authentication required. Please sign in.' });
     }
     // Access control: must own loan for restricted roles
     const current = await Loan.findById(req.params.id);
     if (!current) return res.status(404).json({ error: 'Loan not found' });
+    if (current.status === 'written_off') {
+      return res.status(400).json({ error: 'Written-off loans cannot change status' });
+    }
+    // Loans in the approval workflow move only through its endpoints
+    if (IN_APPROVAL_STATUSES.includes(current.status)) {
+      return res.status(400).json({ error: 'Loan is awaiting approval; use the approval endpoints' });
+    }
+    if (current.status === 'rejected') {
+      return res.status(400).json({ error: 'Rejected loans cannot change status' });
+    }
+    // Nothing here moves a loan back to draft: that would reopen the terms locked at submission
+    if (status === 'pending' && current.status !== 'pending') {
+      return res.status(400).json({ error: `Cannot move a ${current.status} loan back to pending` });
+    }
+    if (current.status === 'approved' && status !== 'active') {
+      return res.status(400).json({ error: 'Approved loans can only be activated' });
+    }
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
-      const own = (current.createdByEmail && current.createdByEmail.toLowerCase() === String(user.email).toLowerCase()) || (current.loanOfficerName === user.username);
-      if (!own) return res.status(403).json({ error: 'Forbidden' });
-    }
-    // Only admin/branch head can approve (activate) loans
-    if (status === 'active') {
-      const roleForApprove = (user && user.role ? String(user.role).trim().toLowerCase() : '');
-      const approvers = ['admin', 'branch head'];
-      if (!approvers.includes(roleForApprove)) {
-        return res.status(403).json({ error: 'Only admins and branch heads can approve loans' });
-      }
+    if (!can(user, 'loan.status', current)) return res.status(403).json({ error: 'Forbidden' });
+    // Only approvers can approve (activate) loans
+    if (status === 'active' && !can(user, 'loan.approve')) {
+      return res.status(403).json({ error: 'Your role cannot approve loans' });
     }
-
-    // Helper: convert loan duration to weeks (approximate months=4 weeks, years=52 weeks)
-    const toWeeks = (n, unit) => {
-      const num = Number(n || 0);
-      switch ((unit || '').toLowerCase()) {
-        case 'days': return Math.max(Math.ceil(num / 7), 0);
-        case 'weeks': return Math.max(num, 0);
-        case 'months': return Math.max(num * 4, 0);
-        case 'years': return Math.max(num * 52, 0);
-        default: return Math.max(num, 0);
+    // A loan is disbursed only once it has completed the approval chain
+    if (status === 'active' && current.status === 'pending') {
+      return res.status(400).json({ error: 'Loan must be submitted and approved before it can be activated' });
+    }
+    // Loans close on their own once collections or a settlement clear them; a manual close is for
+    // approvers, and only when nothing is owed
+    if (status === 'paid' && current.status !== 'paid') {
+      if (!can(user, 'loan.close', current)) return res.status(403).json({ error: 'Your role cannot close loans' });
+      const owed = amountToClose(current);
+      if (owed > 0) {
+        return res.status(400).json({ error: `Loan still owes ${current.currency} ${owed}; post a collection or settle it instead` });
       }
-    };
+    }
 
-    // Prepare update doc and compute weekly installment on activation
+    // Prepare update doc and generate the repayment schedule on activation
     const update = { status };
     const prevStatus = current.status;
+    // First disbursement, as opposed to a defaulted or closed loan being reopened
+    const firstActivation = status === 'active' && !['active', 'defaulted', 'paid'].includes(prevStatus);
+    // First activation re-checks the borrower's exposure, which may have changed since creation
+    let exposure = {};
+    if (firstActivation) {
+      exposure = await evaluateExposure(current, { user, override: req.body.exposureOverride, stage: 'activation' });
+      if (exposure.error) return res.status(exposure.status).json({ error: exposure.error, conflicts: exposure.conflicts });
+      if (exposure.override) update.$push = { exposureOverrides: exposure.override };
+      // Collateral cash is deposited to the client's savings account, which must be in the loan currency
+      if (current.client && Number(current.collateralCashAmount || 0) > 0) {
+        const savings = await SavingsAccount.findOne({ accountType: 'individual', client: current.client }).select('currency');
+        if (savings && savings.currency !== current.currency) {
+          return res.status(400).json({ error: `Collateral cash cannot be held in the client's ${savings.currency} savings account for a ${current.currency} loan` });
+        }
+      }
+    }
+    if (status === 'paid' && prevStatus !== 'paid') {
+      update.closedAt = new Date();
+      update.closureReason = 'repaid';
+    }
+    // Reopening a closed loan puts its collateral back under the lien (as reverseCollection does)
+    const collateralWasReleased = prevStatus === 'paid' && status !== 'paid' && !!current.collateralReleasedAt;
+    if (prevStatus === 'paid' && status !== 'paid') {
+      update.$unset = { closedAt: 1, closureReason: 1, collateralReleasedAt: 1 };
+    }
     if (prevStatus !== 'active' && status === 'active') {
       // If disbursementDate missing, set to now to align future metrics
       if (!current.disbursementDate) update.disbursementDate = new Date();
-      const weeks = toWeeks(current.loanDurationNumber, current.loanDurationUnit);
-      if (weeks > 0 && Number.isFinite(current.loanAmount)) {
-        const ratePct = Number(current.interestRate || 0);
-        const totalRepayable = Number(current.loanAmount) * (1 + (ratePct / 100));
-        const weekly = totalRepayable / weeks; // per-loan weekly installment
-        update.weeklyInstallment = Math.round(weekly * 100) / 100;
+      // A loan returning to active (from defaulted or paid) keeps its schedule: rebuilding from the
+      // original terms would lose installments set by a reschedule and the allocation of collections
+      const keepSchedule = current.isRestructured || (current.collections && current.collections.length);
+      if (Number.isFinite(current.loanAmount) && !keepSchedule) {
+        Object.assign(update, rebuildSchedule(current, update));
       }
     }
     const loan = await Loan.findByIdAndUpdate(
@@ -770,9 +1426,9 @@ exports.setLoanStatus = async (req, res) => {
     if (loan.loanType === 'individual' && loan.group) {
       await recalcGroupLoanTotal(loan.group);
     }
-    // Metrics: when loan becomes active, record interestCollected (planned interest)
+    // Metrics: when loan is first disbursed, record interestCollected (planned interest)
     try {
-      if (status === 'active') {
+      if (firstActivation) {
         const interest = computeInterestForLoan(loan);
         if (interest && !isNaN(interest)) {
           await recordMany([
@@ -843,42 +1499,15 @@ exports.setLoanStatus = async (req, res) => {
     } catch (aErr) {
       console.error('[Agreement:setLoanStatus] failed to ensure agreement:', aErr.message);
     }
-    // Auto-create collateral savings account and deposit collateral upon activation
+    // Auto-create collateral savings account and deposit collateral upon first activation
     try {
-      if (status === 'active') {
+      if (firstActivation) {
         // Only for loans tied to a single client (express/individual) and positive collateral amount
         const hasClient = !!loan.client;
         const collateralAmt = Number(loan.collateralCashAmount || 0);
         if (hasClient && collateralAmt > 0) {
-          // Ensure individual savings account exists for this client
-          let account = await SavingsAccount.findOne({ accountType: 'individual', client: loan.client });
-          if (!account) {
-            account = await SavingsAccount.create({
-              accountType: 'individual',
-              client: loan.client,
-              group: loan.group || undefined,
-              branchName: loan.branchName,
-              branchCode: loan.branchCode,
-              loanCycle: 1,
-              currency: loan.currency,
-            });
-          }
-          // Deposit the collateral into the savings account
-          const prev = Number(account.currentBalance || 0);
-          const newBalance = prev + collateralAmt;
-          account.transactions.push({
-            date: loan.disbursementDate || new Date(),
-            savingAmount: collateralAmt,
-            withdrawalAmount: 0,
-            balance: newBalance,
-            currency: account.currency,
-            tellerSignature: undefined,
-            managerSignature: undefined,
-            branchName: loan.branchName,
-            branchCode: loan.branchCode,
-          });
-          account.currentBalance = newBalance;
-          await account.save();
+          // Deposit the collateral into the client's savings account (created on first use), held under a lien
+          const account = await holdCollateralCash(loan, collateralAmt, { date: loan.disbursementDate || new Date() });
           // Record metrics for collateral cash deposited into savings
           try {
             await recordMany([
@@ -905,6 +1534,39 @@ exports.setLoanStatus = async (req, res) => {
       console.error('[Savings:setLoanStatus] failed to ensure collateral savings:', sErr.message);
       // Do not fail the status change due to savings errors
     }
+    if (status === 'paid' && prevStatus !== 'paid') {
+      await finalizeClosure(loan);
+    } else if (prevStatus === 'paid' && status !== 'paid') {
+      announceReopened(loan);
+      if (collateralWasReleased) {
+        try {
+          await reinstateLoanLiens(loan);
+        } catch (lErr) {
+          console.error('[Savings:reinstateLien] failed:', lErr.message);
+        }
+      }
+      try {
+        const base = {
+          date: new Date(),
+          branchName: loan.branchName,
+          branchCode: loan.branchCode,
+          loanOfficerName: loan.loanOfficerName,
+          currency: loan.currency,
+          loan: loan._id,
+          group: loan.group,
+          client: loan.client,
+          extra: { statusChange: status },
+        };
+        const events = [{ ...base, metric: 'loansClosed', value: -1 }];
+        if (collateralWasReleased) {
+          events.push({ ...base, metric: 'collateralCashReleased', value: -Number(loan.collateralCashAmount || 0) });
+        }
+        await recordMany(events);
+      } catch (mErr) {
+        console.error('[Metrics:setLoanStatus] failed:', mErr.message);
+      }
+    }
+    if (exposure.warnings) return res.json({ ...loan.toObject(), exposureWarnings: exposure.warnings });
     res.json(loan);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -922,19 +1584,13 @@ exports.getLoansByGroup = async (req, res) => {
     try {
       const g = await Group.findById(groupId);
       if (!g) return res.status(404).json({ error: 'Group not found' });
-      const user = req.userDoc;
-      const role = (user && user.role ? String(user.role).trim().toLowerCase() : '');
-      const restricted = role === 'loan officer' || role === 'field agent';
-      if (restricted && user) {
-        if (!g.createdByEmail || g.createdByEmail.toLowerCase() !== String(user.email).toLowerCase()) {
-          return res.status(403).json({ error: 'Forbidden' });
-        }
-      }
+      if (!can(req.userDoc, 'group.view', g)) return res.status(403).json({ error: 'Forbidden' });
     } catch (e) {}
     const { loanType, status } = req.query;
     const filter = { group: groupId };
     if (loanType) filter.loanType = loanType;
     if (status) filter.status = status;
+    applyBranchScope(req.userDoc, filter);
     const loans = await Loan.find(filter)
       .populate('group client')
       .sort({ createdAt: -1 });
@@ -963,24 +1619,22 @@ exports.searchLoansByName = async (req, res) => {
     if (branchCode) loanFilter.branchCode = branchCode;
     if (branchName) loanFilter.branchName = branchName;
     const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).trim().toLowerCase() : '');
-    const restricted = role === 'loan officer' || role === 'field agent';
-    if (restricted && user) {
+    if (isOwnRecordsOnly(user)) {
       loanFilter.$or = [
         { createdByEmail: user.email },
         { loanOfficerName: user.username },
       ];
-      if (!branchCode) loanFilter.branchCode = user.branchCode;
     }
+    if (!applyBranchScope(user, loanFilter)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
 
     // Clients by name
     const clientFilter = { memberName: regex };
     if (branchCode) clientFilter.branchCode = branchCode;
     if (branchName) clientFilter.branchName = branchName;
-    if (restricted && user) {
+    if (isOwnRecordsOnly(user)) {
       clientFilter.createdByEmail = user.email;
-      if (!branchCode) clientFilter.branchCode = user.branchCode;
     }
+    if (!applyBranchScope(user, clientFilter)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
     const clients = await Client.find(clientFilter).select('memberName branchName branchCode');
     const clientIds = clients.map(c => c._id);
 
@@ -988,10 +1642,10 @@ exports.searchLoansByName = async (req, res) => {
     const groupFilter = { groupName: regex };
     if (branchCode) groupFilter.branchCode = branchCode;
     if (branchName) groupFilter.branchName = branchName;
-    if (restricted && user) {
+    if (isOwnRecordsOnly(user)) {
       groupFilter.createdByEmail = user.email;
-      if (!branchCode) groupFilter.branchCode = user.branchCode;
     }
+    if (!applyBranchScope(user, groupFilter)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
     const groups = await Group.find(groupFilter).select('groupName branchName branchCode');
     const groupIds = groups.map(g => g._id);
 
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const LoanProduct = require('../models/LoanProduct');
+const Loan = require('../models/Loan');
+
+// The product catalog is shared by every branch
+
+exports.createProduct = async (req, res) => {
+  try {
+    const product = await LoanProduct.create(req.body);
+    res.status(201).json(product);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+exports.getAllProducts = async (req, res) => {
+  try {
+    const { loanType, currency, active } = req.query;
+    const filter = {};
+    if (loanType) filter.loanType = loanType;
+    if (currency) filter.currency = currency;
+    if (active != null && active !== '') filter.active = active === 'true';
+    const products = await LoanProduct.find(filter).sort({ loanType: 1, name: 1 });
+    res.json(products);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+exports.getProductById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid product id' });
+    const product = await LoanProduct.findById(req.params.id);
+    if (!product) return res.status(404).json({ error: 'Loan product not found' });
+    res.json(product);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+exports.updateProduct = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid product id' });
+    const product = await LoanProduct.findById(req.params.id);
+    if (!product) return res.status(404).json({ error: 'Loan product not found' });
+    // Loans keep the terms they were created with; changes only affect new loans
+    product.set(req.body);
+    await product.save();
+    res.json(product);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+exports.deleteProduct = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid product id' });
+    const product = await LoanProduct.findById(req.params.id);
+    if (!product) return res.status(404).json({ error: 'Loan product not found' });
+    const inUse = await Loan.exists({ product: product._id });
+    if (inUse) return res.status(400).json({ error: 'Loan product has loans; deactivate it instead' });
+    await product.deleteOne();
+    res.json({ message: 'Loan product deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
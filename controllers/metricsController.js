@@ -1,6 +1,8 @@
 const Metric = require('../models/Metric');
 const { recordMetric, recordMany, normalizeDay } = require('../utils/metrics');
 const { recalculateAllMetrics } = require('../utils/recalcMetrics');
+const { can } = require('../utils/permissions');
+const { applyBranchScope, canAccessBranch } = require('../utils/branchScope');
 
 function parseMetricsParam(q) {
   if (!q) return undefined;
@@ -60,6 +62,8 @@ function parseSplitBy(q) {
 exports.createMetrics = async (req, res) => {
   try {
     const { entries } = req.body || {};
+    const list = Array.isArray(entries) && entries.length > 0 ? entries : [req.body || {}];
+    if (!list.every((e) => canAccessBranch(req.userDoc, e && e.branchCode))) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
     if (Array.isArray(entries) && entries.length > 0) {
       const saved = await recordMany(entries);
       return res.status(201).json(saved);
@@ -74,6 +78,7 @@ exports.createMetrics = async (req, res) => {
 exports.getSummary = async (req, res) => {
   try {
     const match = buildMatch(req.query);
+    if (!applyBranchScope(req.userDoc, match)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
     const groupBy = (req.query.groupBy || 'day').toLowerCase();
     const splitFields = parseSplitBy(req.query.splitBy);
     const groupId = buildGroupId(groupBy, splitFields);
@@ -173,12 +178,13 @@ exports.getSummary = async (req, res) => {
 exports.getProfit = async (req, res) => {
   try {
     const match = buildMatch(req.query);
+    if (!applyBranchScope(req.userDoc, match)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
     const groupBy = (req.query.groupBy || 'day').toLowerCase();
     const splitFields = parseSplitBy(req.query.splitBy);
     const groupId = buildGroupId(groupBy, splitFields);
 
-    const incomeMetrics = ['interestCollected', 'totalFormFees', 'totalInspectionFees', 'totalProcessingFees', 'lostDueBookFee'];
-    const expenseMetrics = ['expenses'];
+    const incomeMetrics = ['interestCollected', 'totalFormFees', 'totalInspectionFees', 'totalProcessingFees', 'lostDueBookFee', 'penaltyIncome', 'loanRecovery', 'savingsFeeIncome'];
+    const expenseMetrics = ['expenses', 'loanLossProvision', 'savingsInterestPaid'];
 
     const pipeline = [
       { $match: match },
@@ -272,11 +278,8 @@ exports.getProfit = async (req, res) => {
 
 exports.recalculateMetrics = async (req, res) => {
   try {
-    const user = req.userDoc;
-    const role = (user && user.role ? String(user.role).trim().toLowerCase() : '');
-    const allowed = ['admin', 'branch head', 'ceo', 'manager'];
-    if (!allowed.includes(role)) {
-       return res.status(403).json({ error: 'Forbidden: Only admins/managers can recalculate metrics' });
+    if (!can(req.userDoc, 'metrics.recalculate')) {
+      return res.status(403).json({ error: 'Forbidden: your role cannot recalculate metrics' });
     }
 
     const result = await recalculateAllMetrics();
@@ -0,0 +1,22 @@
+const { ROLES, OWN_RECORDS_ROLES, PERMISSIONS, actionsForRole, roleOf } = require('../utils/permissions');
+
+// GET /api/permissions — full action/role matrix
+exports.getPermissionMatrix = async (req, res) => {
+  try {
+    const byRole = {};
+    for (const role of ROLES) byRole[role] = actionsForRole(role);
+    res.json({ roles: ROLES, ownRecordsRoles: OWN_RECORDS_ROLES, actions: PERMISSIONS, byRole });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// GET /api/permissions/me — actions granted to the signed-in user
+exports.getMyPermissions = async (req, res) => {
+  try {
+    const role = roleOf(req.userDoc);
+    res.json({ role, ownRecordsOnly: OWN_RECORDS_ROLES.includes(role), actions: actionsForRole(role) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
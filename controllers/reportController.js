@@ -0,0 +1,84 @@
+const Loan = require('../models/Loan');
+const { applyBranchScope } = require('../utils/branchScope');
+const { AGING_BUCKETS, buildParReport } = require('../utils/portfolio');
+const { computeProvisioning, runProvisioning } = require('../utils/provisioning');
+
+const PAR_SPLIT_FIELDS = ['branchCode', 'loanOfficerName', 'loanType', 'currency'];
+
+function parseSplitBy(q) {
+  if (!q) return [];
+  const parts = Array.isArray(q) ? q : String(q).split(',');
+  return parts.map((s) => s.trim()).filter((p) => PAR_SPLIT_FIELDS.includes(p) && p !== 'currency');
+}
+
+// GET /api/reports/par?asOf=&branchCode=&loanOfficerName=&loanType=&currency=&splitBy=branchCode,loanOfficerName,loanType
+// Outstanding principal of open loans aged by the oldest unpaid installment, with PAR1/PAR30 ratios.
+// Rows are always split by currency.
+exports.getParReport = async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (isNaN(asOf)) return res.status(400).json({ error: 'Invalid asOf date' });
+
+    const { branchCode, loanOfficerName, loanType, currency } = req.query;
+    // Defaulted loans stay in the portfolio until they are written off
+    const filter = { status: { $in: ['active', 'defaulted'] } };
+    if (branchCode) filter.branchCode = branchCode;
+    if (loanOfficerName) filter.loanOfficerName = loanOfficerName;
+    if (loanType) filter.loanType = loanType;
+    if (currency) filter.currency = currency;
+    if (!applyBranchScope(req.userDoc, filter)) {
+      return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+    }
+
+    const splitFields = parseSplitBy(req.query.splitBy);
+    const loans = await Loan.find(filter)
+      .select('schedule collections loanAmount interestRate interestMethod interestRateBasis totalAmountToBePaid currency paymentPlan loanDurationNumber loanDurationUnit disbursementDate collectionStartDate createdAt branchName branchCode loanOfficerName loanType isRestructured')
+      .lean();
+
+    const report = buildParReport(loans, { asOf, splitFields });
+    res.json({
+      asOf,
+      buckets: AGING_BUCKETS.map((b) => b.key),
+      splitBy: ['currency', ...splitFields],
+      ...report,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+function provisioningScope(req, source) {
+  const filter = {};
+  if (source.branchCode) filter.branchCode = source.branchCode;
+  if (!applyBranchScope(req.userDoc, filter)) return null;
+  return filter;
+}
+
+// GET /api/reports/provisioning?asOf=&branchCode= — required provision vs current allowance (no posting)
+exports.getProvisioning = async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (isNaN(asOf)) return res.status(400).json({ error: 'Invalid asOf date' });
+    const filter = provisioningScope(req, req.query);
+    if (!filter) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+    const rows = await computeProvisioning({ asOf, filter });
+    res.json({ asOf, rows });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// POST /api/reports/provisioning/run { asOf?, branchCode? } — posts the provision adjustments
+exports.runProvisioning = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const asOf = body.asOf ? new Date(body.asOf) : new Date();
+    if (isNaN(asOf)) return res.status(400).json({ error: 'Invalid asOf date' });
+    const filter = provisioningScope(req, body);
+    if (!filter) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+    const result = await runProvisioning({ asOf, filter, postedBy: req.userDoc.email });
+    res.status(201).json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
@@ -1,5 +1,25 @@
+const mongoose = require('mongoose');
 const SavingsAccount = require('../models/Savings');
+const SavingsProduct = require('../models/SavingsProduct');
 const { recordMany } = require('../utils/metrics');
+const { applyBranchScope, canAccessBranch, inBranchScope } = require('../utils/branchScope');
+const { clientLoanCycle, groupLoanCycle } = require('../utils/loanCycle');
+const { nextMonth, accrueAccountInterest, accrueSavingsInterest } = require('../utils/savingsInterest');
+const { postTransaction, unpostTransaction } = require('../utils/savingsPosting');
+const { withdrawalApprovalLimitFor, balanceToKeep, checkWithdrawal } = require('../utils/savingsWithdrawals');
+const { can } = require('../utils/permissions');
+
+// Active savings product `id` for an account in `currency`; throws when it cannot be used
+async function savingsProductFor(id, currency) {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new Error('Invalid savings product id');
+  const product = await SavingsProduct.findById(id);
+  if (!product) throw new Error('Savings product not found');
+  if (!product.active) throw new Error(`Savings product ${product.name} is not active`);
+  if (product.currency !== currency) {
+    throw new Error(`Savings product ${product.name} is for ${product.currency} accounts, not ${currency}`);
+  }
+  return product;
+}
 
 exports.createSavingsAccount = async (req, res) => {
   try {
@@ -9,13 +29,16 @@ exports.createSavingsAccount = async (req, res) => {
       group,
       branchName,
       branchCode,
-      loanCycle,
       currency,
+      product,
     } = req.body;
 
     if (!branchName || !branchCode) {
       return res.status(400).json({ error: 'branchName and branchCode are required' });
     }
+    if (!canAccessBranch(req.userDoc, branchCode)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+    // Accounts opened with a product earn interest from the month they are opened
+    if (product) await savingsProductFor(product, currency || 'LRD'); // LRD is the account default
 
     if (accountType === 'individual') {
       if (!client) return res.status(400).json({ error: 'client is required for individual savings' });
@@ -27,8 +50,10 @@ exports.createSavingsAccount = async (req, res) => {
         group: group || undefined,
         branchName,
         branchCode,
-        loanCycle,
+        // Derived from the client's repaid loans (see utils/loanCycle)
+        loanCycle: await clientLoanCycle(client),
         currency,
+        product: product || undefined,
       });
       return res.status(201).json(account);
     }
@@ -43,8 +68,9 @@ exports.createSavingsAccount = async (req, res) => {
         client: undefined,
         branchName,
         branchCode,
-        loanCycle,
+        loanCycle: await groupLoanCycle(group),
         currency,
+        product: product || undefined,
       });
       return res.status(201).json(account);
     }
@@ -67,6 +93,7 @@ exports.getAllSavingsAccounts = async (req, res) => {
     } else if (accountType === 'group') {
       filter.accountType = 'group';
     }
+    if (!applyBranchScope(req.userDoc, filter)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
     const accounts = await SavingsAccount.find(filter).populate('client group').sort({ createdAt: -1 });
     res.json(accounts);
   } catch (err) {
@@ -78,62 +105,420 @@ exports.getSavingsAccountById = async (req, res) => {
   try {
     const account = await SavingsAccount.findById(req.params.id).populate('client group');
     if (!account) return res.status(404).json({ error: 'Savings account not found' });
+    // Savings accounts carry no owner, so only the branch is checked
+    if (!inBranchScope(req.userDoc, account)) return res.status(403).json({ error: 'Forbidden' });
     res.json(account);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 };
 
+const TELLER_TYPES = ['deposit', 'withdrawal', 'fee', 'transfer', 'reversal'];
+
+// Type and amount of a posted entry; requests from before transaction types send savingAmount or withdrawalAmount
+function entryFromBody(body) {
+  if (body.type) return { type: body.type, amount: Number(body.amount) };
+  const saving = Number(body.savingAmount || 0);
+  const withdrawal = Number(body.withdrawalAmount || 0);
+  if (saving > 0 && !(withdrawal > 0)) return { type: 'deposit', amount: saving };
+  if (withdrawal > 0 && !(saving > 0)) return { type: 'withdrawal', amount: withdrawal };
+  return { error: 'type and amount are required' };
+}
+
+// Metric events for `txn` on `account`; `sign` -1 compensates an entry being reversed
+function entryMetrics(account, txn, { sign = 1, date = txn.date } = {}) {
+  const base = {
+    date: date || new Date(),
+    branchName: txn.branchName || account.branchName,
+    branchCode: txn.branchCode || account.branchCode,
+    currency: account.currency,
+    client: account.client,
+    group: account.group,
+    extra: { savingsAccount: String(account._id), transaction: String(txn._id), type: txn.type },
+  };
+  const value = sign * Number(txn.amount || 0);
+  switch (txn.type) {
+    case 'interest':
+      return [{ ...base, metric: 'savingsInterestPaid', value }];
+    case 'fee':
+      return [
+        { ...base, metric: 'collateralSavingsWithdrawal', value },
+        { ...base, metric: 'savingsFeeIncome', value },
+      ];
+    default:
+      return [{ ...base, metric: txn.direction === 'in' ? 'collateralSavingsDeposit' : 'collateralSavingsWithdrawal', value }];
+  }
+}
+
+async function recordEntryMetrics(events, tag) {
+  try {
+    if (events.length) await recordMany(events);
+  } catch (mErr) {
+    console.error(`[Metrics:${tag}] failed:`, mErr.message);
+  }
+}
+
+// Target of a transfer out of `account`; throws when it cannot receive one
+async function transferTarget(user, account, toAccount) {
+  if (!mongoose.Types.ObjectId.isValid(toAccount)) throw new Error('Invalid or missing toAccount id');
+  if (String(toAccount) === String(account._id)) throw new Error('Cannot transfer to the same account');
+  const target = await SavingsAccount.findById(toAccount);
+  if (!target) throw new Error('Target savings account not found');
+  if (!inBranchScope(user, target)) throw new Error('Target savings account is outside your branch scope');
+  if (target.currency !== account.currency) {
+    throw new Error(`Cannot transfer from a ${account.currency} account to a ${target.currency} account`);
+  }
+  return target;
+}
+
+// Posts a withdrawal, fee, deposit or transfer on `account` (and `target` for transfers); `conditions`
+// apply to `account` as for postTransaction. Returns { account, entries } with the saved account and
+// the entries posted, or null when the conditions did not match.
+async function postEntry(account, { type, amount, target, _id, ...fields }, conditions = {}) {
+  if (type !== 'transfer') {
+    const posted = await postTransaction(account, { ...fields, _id, type, amount }, conditions);
+    return posted && { account: posted.account, entries: [posted.transaction] };
+  }
+  const out = await postTransaction(account, { ...fields, _id, type, direction: 'out', amount, counterpartAccount: target._id }, conditions);
+  if (!out) return null;
+  try {
+    const incoming = await postTransaction(target, { ...fields, type, direction: 'in', amount, counterpartAccount: account._id });
+    return { account: out.account, entries: [out.transaction, incoming.transaction] };
+  } catch (err) {
+    await unpostTransaction(account, out.transaction);
+    throw err;
+  }
+}
+
+// Answer when a conditional posting found the account changed since it was loaded
+const changedMeanwhile = (res, what) => res.status(409).json({ error: `The account changed while posting the ${what}; reload and retry` });
+
+// POST /api/savings/:id/transactions
+// { type: deposit|withdrawal|fee|transfer|reversal, amount, currency?, narration?, tellerSignature?,
+//   toAccount (transfer), reverses + reason (reversal) }
+// Withdrawals and transfers above the branch approval limit are queued for a manager (202).
 exports.addTransaction = async (req, res) => {
   try {
-    const { savingAmount = 0, withdrawalAmount = 0, currency, tellerSignature, managerSignature } = req.body;
+    const body = req.body || {};
     const account = await SavingsAccount.findById(req.params.id);
     if (!account) return res.status(404).json({ error: 'Savings account not found' });
+    if (!inBranchScope(req.userDoc, account)) return res.status(403).json({ error: 'Forbidden' });
+    if (body.branchCode && !canAccessBranch(req.userDoc, body.branchCode)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+    const user = req.userDoc;
+
+    const { type, amount, error } = entryFromBody(body);
+    if (error) return res.status(400).json({ error });
+    if (type === 'interest') return res.status(400).json({ error: 'Interest is posted by the savings interest run' });
+    if (!TELLER_TYPES.includes(type)) return res.status(400).json({ error: `Invalid transaction type ${type}` });
+    if (body.currency && body.currency !== account.currency) {
+      return res.status(400).json({ error: `Transaction currency ${body.currency} does not match account currency ${account.currency}` });
+    }
+    if (type === 'reversal') return reverseEntry(req, res, account);
+    if (!(amount > 0)) return res.status(400).json({ error: 'amount must be greater than 0' });
+
+    const target = type === 'transfer' ? await transferTarget(user, account, body.toAccount) : undefined;
+    const keep = type !== 'deposit' ? await balanceToKeep(account, type) : undefined;
+    if (type !== 'deposit') {
+      const refused = await checkWithdrawal(account, amount, type);
+      if (refused) return res.status(400).json({ error: refused, availableBalance: account.availableBalance });
+    }
+    if (['withdrawal', 'transfer'].includes(type)) {
+      const limit = await withdrawalApprovalLimitFor(account);
+      if (limit != null && amount > limit) {
+        account.withdrawalRequests.push({
+          type,
+          amount,
+          currency: account.currency,
+          toAccount: target && target._id,
+          narration: body.narration,
+          tellerSignature: body.tellerSignature,
+          requestedBy: user.email,
+          requestedByUser: user._id,
+        });
+        await account.save();
+        const request = account.withdrawalRequests[account.withdrawalRequests.length - 1];
+        return res.status(202).json({
+          message: `${type === 'transfer' ? 'Transfer' : 'Withdrawal'} above ${account.currency} ${limit} is waiting for manager approval`,
+          request,
+        });
+      }
+    }
+
+    // Debits are written only while the balance, less liens and `keep`, still covers them
+    const posted = await postEntry(account, {
+      type,
+      amount,
+      target,
+      narration: body.narration,
+      tellerSignature: body.tellerSignature,
+      managerSignature: body.managerSignature,
+      branchName: body.branchName,
+      branchCode: body.branchCode,
+      postedBy: user.email,
+    }, { keep });
+    if (!posted) return changedMeanwhile(res, type);
+    const { entries } = posted;
+    await recordEntryMetrics(
+      [...entryMetrics(account, entries[0]), ...(target ? entryMetrics(target, entries[1]) : [])],
+      'savingsTransaction'
+    );
+
+    res.status(201).json(posted.account);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// Reversal entry for `body.reverses` on `account`: the same amount in the other direction.
+// Transfers are undone with a transfer back and loan-related entries on the loan.
+async function reverseEntry(req, res, account) {
+  const body = req.body || {};
+  const user = req.userDoc;
+  if (!can(user, 'savings.reverse', account)) return res.status(403).json({ error: 'Your role cannot reverse savings transactions' });
+  const reason = String(body.reason || '').trim();
+  if (!reason) return res.status(400).json({ error: 'reason is required to reverse a transaction' });
+  const original = mongoose.Types.ObjectId.isValid(body.reverses) ? account.transactions.id(body.reverses) : null;
+  if (!original) return res.status(404).json({ error: 'Transaction to reverse not found' });
+  if (original.reversedBy) return res.status(400).json({ error: 'Transaction already reversed' });
+  if (original.type === 'reversal') return res.status(400).json({ error: 'A reversal cannot be reversed' });
+  if (original.type === 'transfer') return res.status(400).json({ error: 'Transfers are undone with a transfer back' });
+  if (original.loan) return res.status(400).json({ error: 'Entries posted for a loan are corrected on the loan' });
+
+  const direction = original.direction === 'in' ? 'out' : 'in';
+  if (direction === 'out') {
+    const refused = await checkWithdrawal(account, original.amount, 'reversal');
+    if (refused) return res.status(400).json({ error: refused, availableBalance: account.availableBalance });
+  }
+  // Written only if the entry is still unreversed (and, going out, the balance less liens covers it)
+  const _id = new mongoose.Types.ObjectId();
+  const posted = await postTransaction(account, {
+    _id,
+    type: 'reversal',
+    direction,
+    amount: original.amount,
+    reverses: original._id,
+    narration: reason,
+    approvedBy: user.email,
+    approvedByUser: user._id,
+    managerSignature: body.managerSignature,
+    postedBy: user.email,
+  }, {
+    keep: direction === 'out' ? 0 : undefined,
+    filter: { transactions: { $elemMatch: { _id: original._id, reversedBy: { $exists: false } } } },
+    updates: [{ path: 'transactions', _id: original._id, set: { reversedBy: _id } }],
+  });
+  if (!posted) return changedMeanwhile(res, 'reversal');
+  await recordEntryMetrics(entryMetrics(account, original, { sign: -1, date: posted.transaction.date }), 'savingsReversal');
+  return res.status(201).json(posted.account);
+}
+
+// GET /api/savings/withdrawal-requests?status=pending&branchCode= — the approvals queue
+exports.getWithdrawalRequests = async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    const filter = { withdrawalRequests: { $elemMatch: { status } } };
+    if (req.query.branchCode) filter.branchCode = req.query.branchCode;
+    if (!applyBranchScope(req.userDoc, filter)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+    const accounts = await SavingsAccount.find(filter)
+      .select('accountType client group branchName branchCode currency currentBalance liens withdrawalRequests')
+      .populate('client', 'memberName')
+      .populate('group', 'groupName');
+    const rows = [];
+    accounts.forEach((account) => {
+      account.withdrawalRequests
+        .filter((r) => r.status === status)
+        .forEach((r) => rows.push({
+          ...r.toObject(),
+          account: account._id,
+          accountType: account.accountType,
+          client: account.client,
+          group: account.group,
+          branchName: account.branchName,
+          branchCode: account.branchCode,
+          availableBalance: account.availableBalance,
+        }));
+    });
+    rows.sort((a, b) => new Date(a.requestedAt) - new Date(b.requestedAt));
+    res.json(rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Loads the account and pending request a manager is deciding, answering the request itself on failure
+async function loadWithdrawalRequest(req, res) {
+  const account = await SavingsAccount.findById(req.params.id);
+  if (!account) {
+    res.status(404).json({ error: 'Savings account not found' });
+    return null;
+  }
+  const user = req.userDoc;
+  if (!can(user, 'savings.approveWithdrawal', account)) {
+    res.status(403).json({ error: 'Your role cannot decide withdrawal requests' });
+    return null;
+  }
+  const request = mongoose.Types.ObjectId.isValid(req.params.requestId) ? account.withdrawalRequests.id(req.params.requestId) : null;
+  if (!request) {
+    res.status(404).json({ error: 'Withdrawal request not found' });
+    return null;
+  }
+  if (request.status !== 'pending') {
+    res.status(400).json({ error: `Withdrawal request is already ${request.status}` });
+    return null;
+  }
+  // Segregation of duties: the person who took the request does not approve it
+  if (request.requestedBy && request.requestedBy === user.email) {
+    res.status(403).json({ error: 'You cannot decide a withdrawal you requested' });
+    return null;
+  }
+  return { account, request };
+}
 
-    const prev = account.currentBalance || 0;
-    const newBalance = prev + Number(savingAmount || 0) - Number(withdrawalAmount || 0);
+// POST /api/savings/:id/withdrawal-requests/:requestId/approve { managerSignature }
+exports.approveWithdrawalRequest = async (req, res) => {
+  try {
+    const managerSignature = req.body && req.body.managerSignature;
+    if (!managerSignature) return res.status(400).json({ error: 'managerSignature is required to approve a withdrawal' });
+    const found = await loadWithdrawalRequest(req, res);
+    if (!found) return;
+    const { account, request } = found;
+    const user = req.userDoc;
+    // The balance may have moved since the request was taken
+    const refused = await checkWithdrawal(account, request.amount, request.type);
+    if (refused) return res.status(400).json({ error: refused, availableBalance: account.availableBalance });
+    const target = request.type === 'transfer' ? await transferTarget(user, account, request.toAccount) : undefined;
 
-    const txn = {
-      savingAmount,
-      withdrawalAmount,
-      balance: newBalance,
-      currency: currency || account.currency,
-      tellerSignature,
+    // The request is written as approved together with the entry it posts, only while it is still
+    // pending and the balance covers it
+    const decidedAt = new Date();
+    const transaction = new mongoose.Types.ObjectId();
+    const decision = {
+      status: 'approved',
+      decidedBy: user.email,
+      decidedByUser: user._id,
+      decidedAt,
       managerSignature,
-      branchName: req.body.branchName || account.branchName,
-      branchCode: req.body.branchCode || account.branchCode,
-      date: new Date(),
+      transaction,
     };
-
-    account.transactions.push(txn);
-    account.currentBalance = newBalance;
-    await account.save();
-    // Metrics: record deposit and/or withdrawal
+    let posted;
     try {
-      const events = [];
-      const base = {
-        date: txn.date || new Date(),
-        branchName: txn.branchName || account.branchName,
-        branchCode: txn.branchCode || account.branchCode,
-        currency: txn.currency || account.currency,
-        client: account.client,
-        group: account.group,
-      };
-      const dep = Number(savingAmount || 0);
-      const wit = Number(withdrawalAmount || 0);
-      if (dep > 0) {
-        events.push({ ...base, metric: 'collateralSavingsDeposit', value: dep });
+      posted = await postEntry(account, {
+        _id: transaction,
+        type: request.type,
+        amount: request.amount,
+        target,
+        date: decidedAt,
+        narration: request.narration,
+        tellerSignature: request.tellerSignature,
+        managerSignature,
+        approvedBy: user.email,
+        approvedByUser: user._id,
+        postedBy: request.requestedBy,
+      }, {
+        keep: await balanceToKeep(account, request.type),
+        filter: { withdrawalRequests: { $elemMatch: { _id: request._id, status: 'pending' } } },
+        updates: [{ path: 'withdrawalRequests', _id: request._id, set: decision }],
+      });
+    } catch (pErr) {
+      await SavingsAccount.updateOne(
+        { _id: account._id, withdrawalRequests: { $elemMatch: { _id: request._id, transaction } } },
+        {
+          $set: { 'withdrawalRequests.$.status': 'pending' },
+          $unset: {
+            'withdrawalRequests.$.decidedBy': 1,
+            'withdrawalRequests.$.decidedByUser': 1,
+            'withdrawalRequests.$.decidedAt': 1,
+            'withdrawalRequests.$.managerSignature': 1,
+            'withdrawalRequests.$.transaction': 1,
+          },
+        }
+      );
+      throw pErr;
+    }
+    if (!posted) return changedMeanwhile(res, request.type);
+    const { entries } = posted;
+    await recordEntryMetrics(
+      [...entryMetrics(account, entries[0]), ...(target ? entryMetrics(target, entries[1]) : [])],
+      'savingsWithdrawalApproval'
+    );
+    res.json(posted.account);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// POST /api/savings/:id/withdrawal-requests/:requestId/reject { reason }
+exports.rejectWithdrawalRequest = async (req, res) => {
+  try {
+    const reason = String((req.body && req.body.reason) || '').trim();
+    if (!reason) return res.status(400).json({ error: 'reason is required to reject a withdrawal' });
+    const found = await loadWithdrawalRequest(req, res);
+    if (!found) return;
+    const { account, request } = found;
+    // Only a request still pending is rejected; an approval may have got there first
+    const result = await SavingsAccount.updateOne(
+      { _id: account._id, withdrawalRequests: { $elemMatch: { _id: request._id, status: 'pending' } } },
+      {
+        $set: {
+          'withdrawalRequests.$.status': 'rejected',
+          'withdrawalRequests.$.decidedBy': req.userDoc.email,
+          'withdrawalRequests.$.decidedByUser': req.userDoc._id,
+          'withdrawalRequests.$.decidedAt': new Date(),
+          'withdrawalRequests.$.reason': reason,
+        },
       }
-      if (wit > 0) {
-        events.push({ ...base, metric: 'collateralSavingsWithdrawal', value: wit });
+    );
+    if (!result.modifiedCount) return res.status(409).json({ error: 'Withdrawal request was decided meanwhile; reload and retry' });
+    res.json(await SavingsAccount.findById(account._id));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// PUT /api/savings/:id/product { product } — link an account to a savings product (null to unlink).
+// Ended months are first accrued under the current product; the new one earns from the next full month.
+exports.setSavingsProduct = async (req, res) => {
+  try {
+    let account = await SavingsAccount.findById(req.params.id);
+    if (!account) return res.status(404).json({ error: 'Savings account not found' });
+    if (!inBranchScope(req.userDoc, account)) return res.status(403).json({ error: 'Forbidden' });
+    const productId = req.body && req.body.product;
+    if (account.product && String(account.product) !== String(productId || '')) {
+      const current = await SavingsProduct.findById(account.product);
+      // Accrual writes straight to the database; carry on with the account as it now stands
+      if (current) {
+        await accrueAccountInterest(account, current);
+        account = await SavingsAccount.findById(account._id);
       }
-      if (events.length) await recordMany(events);
-    } catch (mErr) {
-      console.error('[Metrics:savingsTransaction] failed:', mErr.message);
     }
-
-    res.status(201).json(account);
+    if (!productId) {
+      account.product = undefined;
+    } else {
+      const product = await savingsProductFor(productId, account.currency);
+      if (String(account.product) !== String(product._id)) {
+        account.product = product._id;
+        account.interestAccruedThrough = nextMonth(new Date());
+      }
+    }
+    await account.save();
+    res.json(account);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 };
+
+// POST /api/savings/interest/run { branchCode?, asOf? } — accrue and post interest now for the caller's branches
+exports.runSavingsInterest = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.body && req.body.branchCode) filter.branchCode = req.body.branchCode;
+    if (!applyBranchScope(req.userDoc, filter)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+    const asOf = req.body && req.body.asOf ? new Date(req.body.asOf) : new Date();
+    if (isNaN(asOf)) return res.status(400).json({ error: 'Invalid asOf date' });
+    if (asOf > new Date()) return res.status(400).json({ error: 'asOf cannot be in the future' });
+    const summary = await accrueSavingsInterest({ asOf, filter });
+    res.json(summary);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const SavingsProduct = require('../models/SavingsProduct');
+const SavingsAccount = require('../models/Savings');
+
+// Savings products are shared by every branch
+
+exports.createProduct = async (req, res) => {
+  try {
+    const product = await SavingsProduct.create(req.body);
+    res.status(201).json(product);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+exports.getAllProducts = async (req, res) => {
+  try {
+    const { currency, active } = req.query;
+    const filter = {};
+    if (currency) filter.currency = currency;
+    if (active != null && active !== '') filter.active = active === 'true';
+    const products = await SavingsProduct.find(filter).sort({ currency: 1, name: 1 });
+    res.json(products);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+exports.getProductById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid product id' });
+    const product = await SavingsProduct.findById(req.params.id);
+    if (!product) return res.status(404).json({ error: 'Savings product not found' });
+    res.json(product);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+exports.updateProduct = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid product id' });
+    const product = await SavingsProduct.findById(req.params.id);
+    if (!product) return res.status(404).json({ error: 'Savings product not found' });
+    if (req.body.currency && req.body.currency !== product.currency && (await SavingsAccount.exists({ product: product._id }))) {
+      return res.status(400).json({ error: 'Savings product has accounts; its currency cannot change' });
+    }
+    // Rate changes apply from the next month accrued
+    product.set(req.body);
+    await product.save();
+    res.json(product);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+exports.deleteProduct = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid product id' });
+    const product = await SavingsProduct.findById(req.params.id);
+    if (!product) return res.status(404).json({ error: 'Savings product not found' });
+    const inUse = await SavingsAccount.exists({ product: product._id });
+    if (inUse) return res.status(400).json({ error: 'Savings product has accounts; deactivate it instead' });
+    await product.deleteOne();
+    res.json({ message: 'Savings product deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
@@ -0,0 +1,281 @@
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const Client = require('../models/Client');
+const Group = require('../models/Group');
+const SavingsAccount = require('../models/Savings');
+const { createClientFor } = require('./clientController');
+const { can, isOwnRecordsOnly, applyOwnLoansFilter } = require('../utils/permissions');
+const { applyBranchScope, inBranchScope } = require('../utils/branchScope');
+const { currentSchedule } = require('../utils/loanSchedule');
+const {
+  expectedInstallmentAmount,
+  collectionRecordFrom,
+  postCollections,
+  recordCollectionMetrics,
+} = require('../utils/collectionPosting');
+const { postTransaction } = require('../utils/savingsPosting');
+const { clientLoanCycle } = require('../utils/loanCycle');
+const { recordMany } = require('../utils/metrics');
+
+// Offline sync for field agents.
+// Pull: the user's open loans (same ownership rules as GET /api/loans/due-collections) with their
+// schedules, plus the clients and groups on them, changed since the cursor from the last pull.
+// Push: queued clients, collections and savings deposits, each carrying a clientEntryId so a
+// retried push never posts twice. Every item gets its own result:
+//   accepted  - posted now
+//   duplicate - already posted by an earlier push (id of the existing record returned)
+//   conflict  - the server state no longer allows it (loan closed, would overpay, ...)
+//   rejected  - invalid item or not permitted
+
+const SYNC_LOAN_STATUSES = ['active', 'defaulted'];
+const LOAN_FIELDS = 'loanType group client clients collections schedule penalties loanAmount interestRate interestMethod interestRateBasis totalAmountToBePaid totalRealization currency paymentPlan loanDurationNumber loanDurationUnit disbursementDate collectionStartDate endingDate weeklyInstallment branchName branchCode loanOfficerName createdByEmail status updatedAt';
+
+// GET /api/sync/pull?since=<cursor>
+exports.pull = async (req, res) => {
+  try {
+    const since = req.query.since ? new Date(req.query.since) : null;
+    if (since && isNaN(since)) return res.status(400).json({ error: 'Invalid since cursor' });
+    // Taken before querying so nothing written meanwhile is missed by the next pull
+    const cursor = new Date();
+    const user = req.userDoc;
+
+    const loanFilter = applyOwnLoansFilter(user, { status: { $in: SYNC_LOAN_STATUSES } });
+    if (!applyBranchScope(user, loanFilter)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+    const assigned = await Loan.find(loanFilter).select('_id client clients group updatedAt').lean();
+    const changedLoanIds = assigned.filter((l) => !since || l.updatedAt > since).map((l) => l._id);
+    const loans = changedLoanIds.length ? await Loan.find({ _id: { $in: changedLoanIds } }).select(LOAN_FIELDS) : [];
+
+    const clientIds = new Set();
+    const groupIds = new Set();
+    assigned.forEach((l) => {
+      if (l.client) clientIds.add(String(l.client));
+      (l.clients || []).forEach((c) => clientIds.add(String(c)));
+      if (l.group) groupIds.add(String(l.group));
+    });
+    const changed = since ? { updatedAt: { $gt: since } } : {};
+
+    // Clients on the user's loans plus, for own-records roles, the clients they registered
+    const clientFilter = { $or: [{ _id: { $in: Array.from(clientIds) } }], ...changed };
+    if (isOwnRecordsOnly(user)) clientFilter.$or.push({ createdByEmail: user.email });
+    if (!applyBranchScope(user, clientFilter)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+    const clients = await Client.find(clientFilter).select('-picture -memberSignature');
+
+    const groupFilter = { $or: [{ _id: { $in: Array.from(groupIds) } }, { loanOfficer: user._id }], ...changed };
+    if (isOwnRecordsOnly(user)) groupFilter.$or.push({ createdByEmail: user.email });
+    if (!applyBranchScope(user, groupFilter)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
+    const groups = await Group.find(groupFilter).select('-clients');
+
+    res.json({
+      cursor: cursor.toISOString(),
+      since: since ? since.toISOString() : null,
+      // Every assigned loan id, so the app can drop loans it holds that are no longer assigned or open
+      assignedLoanIds: assigned.map((l) => l._id),
+      loans: loans.map((loan) => ({ ...loan.toObject(), schedule: currentSchedule(loan) })),
+      clients,
+      groups,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+function result(item, status, extra = {}) {
+  return { clientEntryId: item && item.clientEntryId != null ? String(item.clientEntryId) : null, status, ...extra };
+}
+
+// Timestamps recorded on the device; the server clock is used when missing
+function deviceDate(value) {
+  if (value == null || value === '') return { date: new Date() };
+  const date = new Date(value);
+  if (isNaN(date)) return { error: 'Invalid timestamp' };
+  // Allow a little clock drift on the device
+  if (date.getTime() > Date.now() + 5 * 60 * 1000) return { error: 'Timestamp is in the future' };
+  return { date };
+}
+
+async function pushClient(user, item, clientIdsByEntry) {
+  if (!item || !item.clientEntryId) return result(item, 'rejected', { error: 'clientEntryId is required' });
+  if (!can(user, 'client.manage')) return result(item, 'rejected', { error: 'Your role cannot register clients' });
+  const findPushed = () => Client.findOne({ clientEntryId: String(item.clientEntryId), createdByEmail: user.email }).select('_id');
+  const duplicate = (existing) => {
+    clientIdsByEntry.set(String(item.clientEntryId), existing._id);
+    return result(item, 'duplicate', { id: existing._id });
+  };
+  const existing = await findPushed();
+  if (existing) return duplicate(existing);
+  let created;
+  try {
+    created = await createClientFor(user, item);
+  } catch (cErr) {
+    // A concurrent push of the same entry got there first (unique createdByEmail + clientEntryId)
+    const pushed = cErr && cErr.code === 11000 ? await findPushed() : null;
+    if (pushed) return duplicate(pushed);
+    throw cErr;
+  }
+  const { client, status, error } = created;
+  if (error) return result(item, status >= 500 ? 'conflict' : 'rejected', { error });
+  clientIdsByEntry.set(String(item.clientEntryId), client._id);
+  return result(item, 'accepted', { id: client._id, passBookNumber: client.passBookNumber });
+}
+
+async function pushCollection(user, item) {
+  if (!item || !item.clientEntryId) return result(item, 'rejected', { error: 'clientEntryId is required' });
+  if (!mongoose.Types.ObjectId.isValid(item.loan)) return result(item, 'rejected', { error: 'Invalid loan id' });
+  const { date, error } = deviceDate(item.collectionDate);
+  if (error) return result(item, 'rejected', { error });
+
+  const loan = await Loan.findById(item.loan);
+  if (!loan) return result(item, 'rejected', { error: 'Loan not found' });
+  if (!can(user, 'collection.create', loan)) return result(item, 'rejected', { error: 'Forbidden' });
+  const existing = loan.collections.find((c) => c.clientEntryId === String(item.clientEntryId));
+  if (existing) return result(item, 'duplicate', { id: existing._id, receiptNumber: existing.receiptNumber });
+  if (!SYNC_LOAN_STATUSES.includes(loan.status) && loan.status !== 'written_off') {
+    return result(item, 'conflict', { error: `Loan is ${loan.status}`, loanStatus: loan.status });
+  }
+
+  let record;
+  try {
+    record = await collectionRecordFrom(loan, { ...item, collectionDate: date }, expectedInstallmentAmount(loan));
+  } catch (vErr) {
+    return result(item, 'rejected', { error: vErr.message });
+  }
+  // Saved only if the loan is unchanged since it was read, so a concurrent push of the same entry fails
+  loan.increment();
+  try {
+    await postCollections(loan, [record], { overpayment: item.overpayment });
+  } catch (pErr) {
+    if (pErr instanceof mongoose.Error.VersionError) {
+      const current = await Loan.findById(loan._id).select('collections status');
+      const posted = current && current.collections.find((c) => c.clientEntryId === String(item.clientEntryId));
+      if (posted) return result(item, 'duplicate', { id: posted._id, receiptNumber: posted.receiptNumber });
+      return result(item, 'conflict', { error: 'Loan changed while posting; push again', loanStatus: current ? current.status : loan.status });
+    }
+    return result(item, 'conflict', { error: pErr.message, loanStatus: loan.status });
+  }
+  await recordCollectionMetrics(loan, [record], { extra: { sync: true }, tag: 'syncCollection' });
+  const posted = loan.collections[loan.collections.length - 1];
+  return result(item, 'accepted', { id: posted._id, receiptNumber: posted.receiptNumber, loanStatus: loan.status });
+}
+
+// Deposit target: `account` (savings account id), `client` (client id) or `clientRef` (the
+// clientEntryId of a client pushed in the same or an earlier sync)
+async function resolveSavingsAccount(user, item, clientIdsByEntry) {
+  if (item.account) {
+    if (!mongoose.Types.ObjectId.isValid(item.account)) return { error: 'Invalid savings account id' };
+    return { account: await SavingsAccount.findById(item.account) };
+  }
+  let clientId = item.client;
+  if (!clientId && item.clientRef) {
+    clientId = clientIdsByEntry.get(String(item.clientRef));
+    if (!clientId) {
+      const pushed = await Client.findOne({ clientEntryId: String(item.clientRef), createdByEmail: user.email }).select('_id');
+      clientId = pushed && pushed._id;
+    }
+  }
+  if (!clientId || !mongoose.Types.ObjectId.isValid(String(clientId))) return { error: 'account, client or a known clientRef is required' };
+  const client = await Client.findById(clientId);
+  if (!client) return { error: 'Client not found' };
+  let account = await SavingsAccount.findOne({ accountType: 'individual', client: client._id });
+  if (!account) {
+    if (!item.currency) return { error: 'currency is required to open a savings account' };
+    account = await SavingsAccount.create({
+      accountType: 'individual',
+      client: client._id,
+      group: client.group || undefined,
+      branchName: client.branchName,
+      branchCode: client.branchCode,
+      loanCycle: await clientLoanCycle(client._id),
+      currency: item.currency,
+    });
+  }
+  return { account };
+}
+
+async function pushSavingsDeposit(user, item, clientIdsByEntry) {
+  if (!item || !item.clientEntryId) return result(item, 'rejected', { error: 'clientEntryId is required' });
+  if (!can(user, 'savings.transact')) return result(item, 'rejected', { error: 'Your role cannot post savings transactions' });
+  const amount = Number(item.amount);
+  if (!(amount > 0)) return result(item, 'rejected', { error: 'amount must be greater than 0' });
+  const { date, error: dateError } = deviceDate(item.date);
+  if (dateError) return result(item, 'rejected', { error: dateError });
+
+  const { account, error } = await resolveSavingsAccount(user, item, clientIdsByEntry);
+  if (error) return result(item, 'rejected', { error });
+  if (!account) return result(item, 'rejected', { error: 'Savings account not found' });
+  // Savings accounts carry no owner, so only the branch is checked
+  if (!inBranchScope(user, account)) return result(item, 'rejected', { error: 'Forbidden' });
+  const existing = account.transactions.find((t) => t.clientEntryId === String(item.clientEntryId));
+  if (existing) return result(item, 'duplicate', { id: existing._id, account: account._id });
+  if (item.currency && item.currency !== account.currency) {
+    return result(item, 'rejected', { error: `Deposit currency ${item.currency} does not match account currency ${account.currency}` });
+  }
+
+  // Written only if no deposit with this clientEntryId was posted meanwhile
+  const clientEntryId = String(item.clientEntryId);
+  const posted = await postTransaction(
+    account,
+    { type: 'deposit', amount, date, clientEntryId },
+    { filter: { 'transactions.clientEntryId': { $ne: clientEntryId } } }
+  );
+  if (!posted) {
+    const current = await SavingsAccount.findById(account._id).select('transactions');
+    const pushed = current && current.transactions.find((t) => t.clientEntryId === clientEntryId);
+    if (pushed) return result(item, 'duplicate', { id: pushed._id, account: account._id });
+    return result(item, 'conflict', { error: 'Savings account not found' });
+  }
+  try {
+    await recordMany([
+      {
+        metric: 'collateralSavingsDeposit',
+        value: amount,
+        date,
+        branchName: account.branchName,
+        branchCode: account.branchCode,
+        currency: account.currency,
+        client: account.client,
+        group: account.group,
+        extra: { sync: true },
+      },
+    ]);
+  } catch (mErr) {
+    console.error('[Metrics:syncSavingsDeposit] failed:', mErr.message);
+  }
+  return result(item, 'accepted', { id: posted.transaction._id, account: account._id, balance: posted.account.currentBalance });
+}
+
+// Runs `fn` on each item, turning unexpected errors into a conflict so one bad item does not
+// fail the whole push
+async function eachItem(items, fn) {
+  const out = [];
+  for (const item of items) {
+    try {
+      out.push(await fn(item));
+    } catch (err) {
+      out.push(result(item, 'conflict', { error: err.message }));
+    }
+  }
+  return out;
+}
+
+// POST /api/sync/push { clients: [], collections: [], savingsDeposits: [] }
+// Clients are processed first so deposits can reference them by clientRef.
+exports.push = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const lists = ['clients', 'collections', 'savingsDeposits'];
+    for (const name of lists) {
+      if (body[name] != null && !Array.isArray(body[name])) return res.status(400).json({ error: `${name} must be an array` });
+    }
+    const user = req.userDoc;
+    const clientIdsByEntry = new Map();
+
+    const clients = await eachItem(body.clients || [], (item) => pushClient(user, item, clientIdsByEntry));
+    // Collections are posted in queue order, which is the order they were taken on the device
+    const collections = await eachItem(body.collections || [], (item) => pushCollection(user, item));
+    const savingsDeposits = await eachItem(body.savingsDeposits || [], (item) => pushSavingsDeposit(user, item, clientIdsByEntry));
+
+    res.json({ syncedAt: new Date().toISOString(), clients, collections, savingsDeposits });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
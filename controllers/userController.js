@@ -1,5 +1,9 @@
 const User = require('../models/User');
+const Session = require('../models/Session');
 const crypto = require('crypto');
+const { signToken, getTtlSeconds } = require('../utils/authToken');
+const { can } = require('../utils/permissions');
+const { applyBranchScope, allowedBranches, inBranchScope } = require('../utils/branchScope');
 
 function hashPassword(plain) {
   if (!plain || typeof plain !== 'string' || !plain.trim()) {
@@ -10,6 +14,26 @@ function hashPassword(plain) {
   return { salt, hash };
 }
 
+function verifyPassword(plain, salt, hash) {
+  if (!plain || typeof plain !== 'string' || !salt || !hash) return false;
+  const candidate = crypto.pbkdf2Sync(plain, salt, 100000, 64, 'sha512');
+  const stored = Buffer.from(String(hash), 'hex');
+  return stored.length === candidate.length && crypto.timingSafeEqual(stored, candidate);
+}
+
+// Create a session for the user and return the signed token bound to it
+async function issueSession(user, req) {
+  const ttl = getTtlSeconds();
+  const session = await Session.create({
+    user: user._id,
+    expiresAt: new Date(Date.now() + ttl * 1000),
+    ip: req.ip,
+    userAgent: (req.headers['user-agent'] || '').toString().slice(0, 300),
+  });
+  const { token, expiresAt } = signToken({ sub: user._id, sid: session._id }, ttl);
+  return { token, expiresAt };
+}
+
 function sanitizeUser(doc) {
   if (!doc) return doc;
   const obj = doc.toObject ? doc.toObject() : { ...doc };
@@ -20,6 +44,13 @@ function sanitizeUser(doc) {
 
 exports.createUser = async (req, res) => {
   try {
+    // Anonymous sign-up is only allowed to bootstrap the very first account
+    if (!req.userDoc) {
+      const existing = await User.estimatedDocumentCount();
+      if (existing > 0) return res.status(401).json({ error: 'Authentication required. Please sign in.' });
+    } else if (!can(req.userDoc, 'user.manage')) {
+      return res.status(403).json({ error: 'Access denied: your role cannot perform user.manage' });
+    }
     const { password, ...rest } = req.body;
     const { salt, hash } = hashPassword(password);
     const payload = { ...rest, passwordSalt: salt, passwordHash: hash };
@@ -37,6 +68,7 @@ exports.getAllUsers = async (req, res) => {
     if (branchName) filter.branchName = branchName;
     if (branchCode) filter.branchCode = branchCode;
     if (role) filter.role = role;
+    if (!applyBranchScope(req.userDoc, filter)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
     const users = await User.find(filter).sort({ createdAt: -1 });
     res.json(users.map(sanitizeUser));
   } catch (err) {
@@ -48,6 +80,8 @@ exports.getUserById = async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) return res.status(404).json({ error: 'User not found' });
+    const self = req.userDoc && String(req.userDoc._id) === String(user._id);
+    if (!self && !inBranchScope(req.userDoc, user)) return res.status(403).json({ error: 'Forbidden' });
     res.json(sanitizeUser(user));
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -71,6 +105,10 @@ exports.updateUser = async (req, res) => {
     }
     const user = await User.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
     if (!user) return res.status(404).json({ error: 'User not found' });
+    // A password change signs the user out everywhere
+    if (update.passwordHash) {
+      await Session.updateMany({ user: user._id, revokedAt: { $exists: false } }, { revokedAt: new Date() });
+    }
     res.json(sanitizeUser(user));
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -81,6 +119,7 @@ exports.deleteUser = async (req, res) => {
   try {
     const user = await User.findByIdAndDelete(req.params.id);
     if (!user) return res.status(404).json({ error: 'User not found' });
+    await Session.deleteMany({ user: user._id });
     res.json({ message: 'User deleted' });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -93,6 +132,7 @@ exports.getLoanOfficers = async (req, res) => {
     const filter = { role: 'loan officer' };
     if (branchName) filter.branchName = branchName;
     if (branchCode) filter.branchCode = branchCode;
+    if (!applyBranchScope(req.userDoc, filter)) return res.status(403).json({ error: 'Forbidden: branch outside your scope' });
     const officers = await User.find(filter).sort({ username: 1 });
     res.json(officers);
   } catch (err) {
@@ -102,7 +142,9 @@ exports.getLoanOfficers = async (req, res) => {
 
 exports.getBranches = async (req, res) => {
   try {
+    const allowed = allowedBranches(req.userDoc);
     const branches = await User.aggregate([
+      ...(allowed ? [{ $match: { branchCode: { $in: allowed } } }] : []),
       { $group: { _id: { branchCode: '$branchCode', branchName: '$branchName' } } },
       { $project: { _id: 0, branchCode: '$_id.branchCode', branchName: '$_id.branchName' } },
       { $sort: { branchName: 1 } },
@@ -112,3 +154,53 @@ exports.getBranches = async (req, res) => {
     res.status(500).json({ error: err.message });
   }
 };
+
+// POST /api/users/login { email | username, password }
+exports.login = async (req, res) => {
+  try {
+    const { password } = req.body || {};
+    const email = (req.body && req.body.email ? String(req.body.email) : '').trim().toLowerCase();
+    const username = (req.body && req.body.username ? String(req.body.username) : '').trim();
+    if ((!email && !username) || !password) {
+      return res.status(400).json({ error: 'email or username and password are required' });
+    }
+    const user = await User.findOne(email ? { email } : { username }).select('+passwordHash +passwordSalt');
+    if (!user || !verifyPassword(String(password), user.passwordSalt, user.passwordHash)) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    const { token, expiresAt } = await issueSession(user, req);
+    res.json({ token, expiresAt, user: sanitizeUser(user) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// POST /api/users/logout — revokes the session behind the presented token
+exports.logout = async (req, res) => {
+  try {
+    if (req.authSession) {
+      await Session.findByIdAndUpdate(req.authSession._id, { revokedAt: new Date() });
+    }
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// POST /api/users/refresh — exchanges a still-valid token for a fresh one and revokes the old session
+exports.refresh = async (req, res) => {
+  try {
+    const { token, expiresAt } = await issueSession(req.userDoc, req);
+    if (req.authSession) {
+      await Session.findByIdAndUpdate(req.authSession._id, { revokedAt: new Date() });
+    }
+    res.json({ token, expiresAt, user: sanitizeUser(req.userDoc) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// GET /api/users/me
+exports.getCurrentUser = async (req, res) => {
+  res.json(sanitizeUser(req.userDoc));
+};
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// Replays the stored response when a mutating request is retried with the same
+// `Idempotency-Key` header (or, without the header, the same body `clientEntryId`).
+// Keys are per user and kept for IDEMPOTENCY_TTL_HOURS (default 24). Only successful (2xx)
+// responses are stored; any error releases the key, so a corrected or retried request runs.
+const TTL_MS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24) * 60 * 60 * 1000;
+
+function keyFromRequest(req) {
+  const header = req.get('Idempotency-Key');
+  if (header && String(header).trim()) return String(header).trim();
+  const entryId = req.body && req.body.clientEntryId;
+  return entryId ? `entry:${String(entryId).trim()}` : null;
+}
+
+function requestHash(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+}
+
+module.exports = async function idempotency(req, res, next) {
+  const key = keyFromRequest(req);
+  if (!key || !req.userDoc) return next();
+  if (key.length > 200) return res.status(400).json({ error: 'Idempotency-Key must be at most 200 characters' });
+
+  const hash = requestHash(req);
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      user: req.userDoc._id,
+      method: req.method,
+      route: `${req.baseUrl}${req.path}`,
+      requestHash: hash,
+      expiresAt: new Date(Date.now() + TTL_MS),
+    });
+  } catch (err) {
+    if (err.code !== 11000) return res.status(500).json({ error: err.message });
+    const existing = await IdempotencyKey.findOne({ user: req.userDoc._id, key });
+    if (!existing) return res.status(409).json({ error: 'Idempotency-Key conflict, please retry' });
+    if (existing.requestHash !== hash) {
+      return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+    }
+    if (existing.status !== 'completed') {
+      return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // Capture the JSON response and store it once it has been sent
+  const json = res.json.bind(res);
+  let body;
+  res.json = (payload) => {
+    body = payload === undefined ? payload : JSON.parse(JSON.stringify(payload));
+    return json(payload);
+  };
+  res.on('close', () => {
+    // Aborted or failed requests release the key
+    const done = !res.writableFinished || res.statusCode < 200 || res.statusCode >= 300
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        { $set: { status: 'completed', responseStatus: res.statusCode, responseBody: body } }
+      );
+    done.catch((err) => console.error('[Idempotency] failed to store response:', err.message));
+  });
+  return next();
+};
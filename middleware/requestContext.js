@@ -0,0 +1,19 @@
+const { runWithContext } = require('../utils/requestContext');
+
+// Captures who is making the request so model hooks (e.g. the audit trail) can attribute changes.
+// Must run after userIdentity so req.userDoc is resolved.
+module.exports = function requestContext(req, res, next) {
+  const user = req.userDoc;
+  const forwarded = (req.headers['x-forwarded-for'] || '').toString().split(',')[0].trim();
+  const context = {
+    user: user ? user._id : undefined,
+    email: user ? user.email : undefined,
+    username: user ? user.username : undefined,
+    role: user ? user.role : undefined,
+    method: req.method,
+    route: req.originalUrl,
+    ip: forwarded || req.ip,
+    userAgent: req.headers['user-agent'],
+  };
+  runWithContext(context, next);
+};
@@ -1,11 +1,12 @@
 // Simple role-based access middleware using req.userDoc from userIdentity
 // Usage:
-//   const { requireUser, forbidRoles } = require('../middleware/roleGuard');
-//   router.use(requireUser, forbidRoles('loan officer'));
+//   const { requireUser, authorize } = require('../middleware/roleGuard');
+//   router.post('/', requireUser, authorize('loan.create'), createLoan);
+const { can } = require('../utils/permissions');
 
 function requireUser(req, res, next) {
   if (!req.userDoc) {
-    return res.status(401).json({ error: 'Authentication required. Please include x-user-email header.' });
+    return res.status(401).json({ error: 'Authentication required. Please sign in.' });
   }
   next();
 }
@@ -14,7 +15,7 @@ function forbidRoles(...disallowed) {
   const set = new Set((disallowed || []).map((s) => String(s).trim().toLowerCase()));
   return function (req, res, next) {
     if (!req.userDoc) {
-      return res.status(401).json({ error: 'Authentication required. Please include x-user-email header.' });
+      return res.status(401).json({ error: 'Authentication required. Please sign in.' });
     }
     const userRole = (req.userDoc.role || '').toString().trim().toLowerCase();
     if (set.has(userRole)) {
@@ -28,7 +29,7 @@ function allowRoles(...allowed) {
   const set = new Set((allowed || []).map((s) => String(s).trim().toLowerCase()));
   return function (req, res, next) {
     if (!req.userDoc) {
-      return res.status(401).json({ error: 'Authentication required. Please include x-user-email header.' });
+      return res.status(401).json({ error: 'Authentication required. Please sign in.' });
     }
     const userRole = (req.userDoc.role || '').toString().trim().toLowerCase();
     if (!set.has(userRole)) {
@@ -38,15 +39,18 @@ function allowRoles(...allowed) {
   };
 }
 
-function forbidLoanOfficer(req, res, next) {
-  if (!req.userDoc) {
-    return res.status(401).json({ error: 'Authentication required. Please include x-user-email header.' });
-  }
-  if ((req.userDoc.role || '').toString().trim().toLowerCase() === 'loan officer') {
-    return res.status(403).json({ error: 'Loan officers are not allowed to access this resource' });
-  }
-  next();
+// Checks the permission matrix in utils/permissions for the given action
+function authorize(action) {
+  return function (req, res, next) {
+    if (!req.userDoc) {
+      return res.status(401).json({ error: 'Authentication required. Please sign in.' });
+    }
+    if (!can(req.userDoc, action)) {
+      return res.status(403).json({ error: `Access denied: your role cannot perform ${action}` });
+    }
+    next();
+  };
 }
 
-module.exports = { requireUser, forbidRoles, allowRoles, forbidLoanOfficer };
+module.exports = { requireUser, forbidRoles, allowRoles, authorize };
 
@@ -1,26 +1,28 @@
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { verifyToken, tokenFromRequest } = require('../utils/authToken');
 
-// Attaches req.userEmail and req.userDoc (if x-user-email or x-user-username headers present)
+// Attaches req.userEmail, req.userDoc and req.authSession when the request carries a valid
+// `Authorization: Bearer <token>` issued by POST /api/users/login. Identity headers are ignored.
 module.exports = async function userIdentity(req, res, next) {
   try {
-    const email = (req.headers['x-user-email'] || '').toString().trim().toLowerCase();
-    const username = (req.headers['x-user-username'] || '').toString().trim();
+    const payload = verifyToken(tokenFromRequest(req));
+    if (!payload) return next();
 
-    let user = null;
-    if (email) {
-      user = await User.findOne({ email });
-    } else if (username) {
-      user = await User.findOne({ username });
-    }
+    const session = await Session.findById(payload.sid);
+    if (!session || session.revokedAt || String(session.user) !== String(payload.sub)) return next();
+    if (session.expiresAt && session.expiresAt.getTime() <= Date.now()) return next();
 
+    const user = await User.findById(payload.sub);
     if (user) {
       // Always reflect canonical email on the request for downstream consumers
-      try { req.userEmail = String(user.email || email || '').toLowerCase(); } catch (_) { req.userEmail = email || null; }
+      req.userEmail = String(user.email || '').toLowerCase();
       // Normalize role in-memory for consistent checks
       if (user.role) {
         try { user.role = String(user.role).trim().toLowerCase(); } catch (_) {}
       }
       req.userDoc = user;
+      req.authSession = session;
     }
   } catch (e) {
     // non-fatal
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema(
+  {
+    path: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed },
+  },
+  { _id: false }
+);
+
+// Append-only record of a create/update/delete/status change on a financial entity
+const auditLogSchema = new mongoose.Schema(
+  {
+    action: { type: String, enum: ['create', 'update', 'delete', 'status'], required: true, index: true },
+    entity: { type: String, required: true, index: true }, // model name, e.g. 'Loan'
+    entityId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    branchCode: { type: String, index: true },
+
+    // Actor (empty for background jobs)
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    userEmail: { type: String },
+    username: { type: String },
+    role: { type: String },
+
+    // Request
+    method: { type: String },
+    route: { type: String },
+    ip: { type: String },
+    userAgent: { type: String },
+
+    changes: [changeSchema],
+    at: { type: Date, default: Date.now, index: true },
+  },
+  { versionKey: false }
+);
+
+// Audit entries are never edited or removed
+function rejectMutation(next) {
+  next(new Error('Audit log entries are immutable'));
+}
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach((op) => {
+  auditLogSchema.pre(op, rejectMutation);
+});
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
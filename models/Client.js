@@ -21,9 +21,19 @@ const clientSchema = new mongoose.Schema(
     nationalId: { type: String },
     memberSignature: { type: String }, // Base64
     group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group' },
+    // Repaid loans + 1, kept up to date by utils/loanCycle
+    loanCycle: { type: Number, default: 1 },
+    // Id generated by the field app for clients registered offline (see /api/sync/push)
+    clientEntryId: { type: String, index: true, sparse: true },
   },
   { timestamps: true }
 );
 
+// A client pushed from the field app is created once per device entry, even when pushes overlap
+clientSchema.index(
+  { createdByEmail: 1, clientEntryId: 1 },
+  { unique: true, partialFilterExpression: { clientEntryId: { $type: 'string' } } }
+);
+
 module.exports = mongoose.model('Client', clientSchema);
 
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+// Collateral pledged against a loan. Custody moves held -> released once the loan is paid, or
+// held -> seized -> sold when the loan defaults (see controllers/collateralController).
+
+const COLLATERAL_TYPES = ['land', 'building', 'vehicle', 'equipment', 'household', 'inventory', 'livestock', 'jewelry', 'other'];
+const CUSTODY_STATUSES = ['held', 'released', 'seized', 'sold'];
+
+const collateralDocumentSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    kind: { type: String }, // e.g. title deed, registration, receipt, photo
+    url: { type: String },
+    data: { type: String }, // Base64 when stored inline
+    uploadedAt: { type: Date, default: Date.now },
+    uploadedBy: { type: String }, // user email
+  },
+  { _id: true }
+);
+
+const collateralSchema = new mongoose.Schema(
+  {
+    loan: { type: mongoose.Schema.Types.ObjectId, ref: 'Loan', required: true, index: true },
+    client: { type: mongoose.Schema.Types.ObjectId, ref: 'Client', index: true },
+    group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group' },
+    branchName: { type: String, required: true },
+    branchCode: { type: String, required: true, index: true },
+    loanOfficerName: { type: String },
+    createdByEmail: { type: String },
+
+    itemType: { type: String, enum: COLLATERAL_TYPES, required: true },
+    description: { type: String, required: true },
+    serialNumber: { type: String }, // registration, chassis or deed number
+    location: { type: String },
+    currency: { type: String, required: true, enum: ['USD', 'LRD'] },
+    valuation: {
+      amount: { type: Number, required: true, min: 0 },
+      valuer: { type: String, required: true },
+      date: { type: Date, required: true },
+    },
+    documents: [collateralDocumentSchema],
+
+    status: { type: String, enum: CUSTODY_STATUSES, default: 'held', index: true },
+    pledgedAt: { type: Date, default: Date.now },
+    pledgedBy: { type: String }, // user email
+    released: {
+      date: { type: Date },
+      by: { type: String },
+      reason: { type: String },
+    },
+    seized: {
+      date: { type: Date },
+      by: { type: String },
+      reason: { type: String },
+    },
+    // Sale proceeds are applied to the loan separately, as a collection
+    sold: {
+      date: { type: Date },
+      by: { type: String },
+      amount: { type: Number },
+      buyer: { type: String },
+    },
+  },
+  { timestamps: true }
+);
+
+collateralSchema.plugin(auditPlugin, { entity: 'Collateral' });
+
+module.exports = mongoose.model('Collateral', collateralSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
 
 const distributionSchema = new mongoose.Schema(
   {
@@ -16,4 +17,6 @@ const distributionSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+distributionSchema.plugin(auditPlugin, { entity: 'Distribution' });
+
 module.exports = mongoose.model('Distribution', distributionSchema);
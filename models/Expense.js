@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
 
 const expenseSchema = new mongoose.Schema({
   // Basic expense information
@@ -72,4 +73,6 @@ expenseSchema.pre('save', function(next) {
   next();
 });
 
+expenseSchema.plugin(auditPlugin, { entity: 'Expense' });
+
 module.exports = mongoose.model('Expense', expenseSchema);
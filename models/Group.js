@@ -18,6 +18,8 @@ const groupSchema = new mongoose.Schema(
     totalLoans: { type: Number, default: 0 },
     // Sum of loanAmount across individual member loans associated with this group
     groupLoanTotal: { type: Number, default: 0 },
+    // Repaid group loans + 1, kept up to date by utils/loanCycle
+    loanCycle: { type: Number, default: 1 },
   },
   {
     timestamps: true,
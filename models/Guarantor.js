@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// A person who guarantees loans. Loan guarantor entries (Loan.guarantors, Loan.guarantorInfo) are
+// matched to a registry entry by national ID, else by phone and name, else by name within the
+// branch (see utils/guarantors), so one person's guarantees can be followed across loans.
+const guarantorSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    phoneNumber: { type: String },
+    nationalId: { type: String },
+    // Match keys, normalised from the fields above
+    nameKey: { type: String, required: true, index: true },
+    phoneKey: { type: String, index: true },
+    nationalIdKey: { type: String, index: true, sparse: true },
+    address: { type: String },
+    occupation: { type: String },
+    // Set when the guarantor is also a client
+    client: { type: mongoose.Schema.Types.ObjectId, ref: 'Client', index: true },
+    branchName: { type: String },
+    branchCode: { type: String, index: true },
+    createdByEmail: { type: String },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('Guarantor', guarantorSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Response stored for a mutating request sent with an Idempotency-Key (or clientEntryId) so a
+// retried request gets the original answer instead of posting twice
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    method: { type: String, required: true },
+    route: { type: String, required: true },
+    requestHash: { type: String, required: true },
+    status: { type: String, enum: ['in_progress', 'completed'], default: 'in_progress' },
+    responseStatus: { type: Number },
+    responseBody: { type: mongoose.Schema.Types.Mixed },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+// Keys are per user
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+// Let MongoDB purge keys once they have expired
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
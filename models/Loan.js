@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
 const LoanConfig = require('./LoanConfig');
+const { INTEREST_METHODS, RATE_BASES, totalRepayable } = require('../utils/loanSchedule');
 
 const signatorySchema = new mongoose.Schema(
   {
@@ -12,6 +14,9 @@ const signatorySchema = new mongoose.Schema(
     address: { type: String },
     occupation: { type: String },
     monthlyIncome: { type: Number },
+    nationalId: { type: String },
+    // Guarantor entries only: the registry entry they were matched to (see utils/guarantors)
+    guarantor: { type: mongoose.Schema.Types.ObjectId, ref: 'Guarantor' },
   },
   { _id: false }
 );
@@ -28,6 +33,13 @@ const collateralSchema = new mongoose.Schema(
 const loanCollectionSchema = new mongoose.Schema(
   {
     memberName: { type: String, required: true },
+    // Group loans: the member (one of loan.clients) the collection was paid by
+    member: { type: mongoose.Schema.Types.ObjectId, ref: 'Client' },
+    // Set when the collection came from offsetting the collateral lien in savings
+    lienOffset: {
+      account: { type: mongoose.Schema.Types.ObjectId, ref: 'SavingsAccount' },
+      transaction: { type: mongoose.Schema.Types.ObjectId },
+    },
     loanAmount: { type: Number, required: true },
     weeklyAmount: { type: Number, required: true },
     fieldCollection: { type: Number, required: true },
@@ -35,6 +47,137 @@ const loanCollectionSchema = new mongoose.Schema(
     fieldBalance: { type: Number, required: true },
     currency: { type: String, required: true, enum: ['USD', 'LRD'] },
     collectionDate: { type: Date, default: Date.now },
+    // Part of the amount received beyond what closed the loan, moved to savings
+    overpayment: { type: Number },
+    receiptNumber: { type: String, index: true },
+    // Id generated by the field app; a retried entry with the same id is not posted twice
+    clientEntryId: { type: String },
+    // Set by POST /api/loans/:id/collections/:collectionId/reverse; the row stays for history
+    reversed: { type: Boolean, default: false },
+    reversal: {
+      date: { type: Date },
+      reason: { type: String },
+      approvedBy: { type: String }, // approver email
+      approverSignature: { type: String }, // Base64 or string
+    },
+  }
+);
+
+// One row of the repayment schedule (see utils/loanSchedule)
+const installmentSchema = new mongoose.Schema(
+  {
+    installmentNumber: { type: Number, required: true },
+    dueDate: { type: Date, required: true },
+    principal: { type: Number, default: 0 },
+    interest: { type: Number, default: 0 },
+    fees: { type: Number, default: 0 },
+    amountDue: { type: Number, required: true },
+    amountPaid: { type: Number, default: 0 },
+    status: { type: String, enum: ['pending', 'partial', 'paid', 'overdue', 'rescheduled'], default: 'pending' },
+    paidAt: { type: Date },
+    // Set when a reschedule superseded this installment (amountDue is then reduced to what was paid)
+    originalAmountDue: { type: Number },
+    // Interest waived on this installment by an early settlement
+    interestRebate: { type: Number },
+  },
+  { _id: false }
+);
+
+// One reschedule/restructure of the loan (POST /api/loans/:id/reschedule)
+const restructureSchema = new mongoose.Schema(
+  {
+    date: { type: Date, required: true },
+    reason: { type: String, required: true },
+    approvedBy: { type: String, required: true }, // approver email
+    approverSignature: { type: String }, // Base64 or string
+    newTerm: {
+      loanDurationNumber: { type: Number },
+      loanDurationUnit: { type: String },
+      paymentPlan: { type: String },
+    },
+    firstDueDate: { type: Date },
+    newInstallment: { type: Number },
+    capitaliseArrears: { type: Boolean, default: false },
+    arrearsCapitalised: { type: Number, default: 0 },
+    principalRescheduled: { type: Number },
+    interestRescheduled: { type: Number },
+    previousEndingDate: { type: Date },
+    previousSchedule: [installmentSchema],
+  },
+  { timestamps: true }
+);
+
+// Late payment penalty charged against an overdue installment
+const penaltySchema = new mongoose.Schema(
+  {
+    installmentNumber: { type: Number, required: true },
+    kind: { type: String, enum: ['flat', 'arrears'], required: true },
+    amount: { type: Number, required: true },
+    arrearsAmount: { type: Number }, // unpaid installment amount the charge was based on
+    accruedAt: { type: Date, default: Date.now },
+    waived: { type: Boolean, default: false },
+    waivedAt: { type: Date },
+    waivedBy: { type: String }, // approver email
+    waiverReason: { type: String },
+  }
+);
+
+// Risk noted on a loan at creation for the approvers to weigh
+const riskFlagSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ['guarantor_of_defaulted_loan'], required: true },
+    client: { type: mongoose.Schema.Types.ObjectId, ref: 'Client' }, // borrower the flag concerns
+    guarantor: { type: mongoose.Schema.Types.ObjectId, ref: 'Guarantor' },
+    loan: { type: mongoose.Schema.Types.ObjectId, ref: 'Loan' }, // the defaulted loan they guarantee
+    loanStatus: { type: String },
+    date: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Approver override of the exposure policy (see utils/exposure)
+const exposureOverrideSchema = new mongoose.Schema(
+  {
+    date: { type: Date, default: Date.now },
+    stage: { type: String, enum: ['creation', 'activation'], required: true },
+    reason: { type: String, required: true },
+    approvedBy: { type: String, required: true }, // approver email
+    conflicts: [
+      {
+        _id: false,
+        client: { type: mongoose.Schema.Types.ObjectId, ref: 'Client' },
+        loan: { type: mongoose.Schema.Types.ObjectId, ref: 'Loan' },
+        rules: [{ type: String }],
+      },
+    ],
+  },
+  { _id: false }
+);
+
+// Stage of the approval chain copied onto the loan at submission (see utils/loanApproval)
+const approvalStageSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    label: { type: String },
+    roles: [{ type: String }],
+    requiresInspection: { type: Boolean, default: false },
+    amountAbove: { type: Number }, // in the loan currency
+  },
+  { _id: false }
+);
+
+// Decision taken on an approval stage
+const approvalDecisionSchema = new mongoose.Schema(
+  {
+    stage: { type: String, required: true },
+    label: { type: String },
+    decision: { type: String, enum: ['approved', 'rejected'], required: true },
+    by: { type: String, required: true }, // approver email
+    role: { type: String },
+    date: { type: Date, default: Date.now },
+    comments: { type: String },
+    approvedAmount: { type: Number },
+    signature: { type: String }, // Base64 or string
   },
   { _id: false }
 );
@@ -46,6 +189,8 @@ const loanSchema = new mongoose.Schema(
     branchCode: { type: String, required: true },
     createdByEmail: { type: String, index: true },
     loanType: { type: String, enum: ['express', 'group', 'individual'], required: true },
+    // Catalog product the loan was created under (see utils/loanProducts)
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'LoanProduct', index: true },
 
     // Relations
     group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group' },
@@ -87,24 +232,76 @@ const loanSchema = new mongoose.Schema(
     // Loan Financials
     loanAmount: { type: Number, required: true },
     interestRate: { type: Number, required: true },
+    // How interest accrues and what period interestRate refers to (see utils/loanSchedule);
+    // defaulted from the branch loan config for the loan type, else flat / term
+    interestMethod: { type: String, enum: INTEREST_METHODS },
+    interestRateBasis: { type: String, enum: RATE_BASES },
     currency: { type: String, required: true, enum: ['USD', 'LRD'], default: 'LRD' },
-    status: { type: String, enum: ['pending', 'active', 'paid', 'defaulted'], default: 'pending' },
+    // pending is a draft; submitted / under_review / approved / rejected belong to the approval workflow
+    status: {
+      type: String,
+      enum: ['pending', 'submitted', 'under_review', 'approved', 'rejected', 'active', 'paid', 'defaulted', 'written_off'],
+      default: 'pending',
+      index: true,
+    },
+    approvalChain: [approvalStageSchema],
+    approvals: [approvalDecisionSchema],
+    submittedAt: { type: Date },
+    submittedBy: { type: String }, // user email
+    approvedAt: { type: Date },
+    exposureOverrides: [exposureOverrideSchema],
+    riskFlags: [riskFlagSchema],
+    // Set by POST /api/loans/:id/write-off; later collections count as recoveries
+    writeOff: {
+      date: { type: Date },
+      principal: { type: Number },
+      interest: { type: Number },
+      reason: { type: String },
+      approvedBy: { type: String }, // approver email
+      approverSignature: { type: String }, // Base64 or string
+      previousStatus: { type: String },
+      recoveredAmount: { type: Number, default: 0 },
+    },
+    // Set when the loan moves to 'paid' through full repayment or early settlement
+    closedAt: { type: Date },
+    closureReason: { type: String, enum: ['repaid', 'settled'] },
+    // Set by POST /api/loans/:id/settle
+    settlement: {
+      date: { type: Date },
+      amount: { type: Number },
+      principal: { type: Number },
+      interest: { type: Number },
+      interestRebate: { type: Number },
+      penalties: { type: Number },
+      fees: { type: Number },
+      settledBy: { type: String }, // user email
+    },
+    collateralReleasedAt: { type: Date },
 
     // Payment plan and derived fee fields
     paymentPlan: { type: String, enum: ['weekly', 'bi-weekly', 'monthly'] },
-    processingFeePercent: { type: Number }, // group: 3%, individual: 4%
+    processingFeePercent: { type: Number }, // from the product, else the loan config
     processingFeeAmount: { type: Number, default: 0 },
-    formFeeAmount: { type: Number, default: 0 }, // LRD 200 for group; LRD 500 new / 400 returning for individual
+    formFeeAmount: { type: Number, default: 0 }, // from the product, else the loan config
     inspectionFeeAmount: { type: Number, default: 0 },
-    collateralCashPercent: { type: Number }, // default 8%
+    collateralCashPercent: { type: Number }, // from the product, else the loan config
     collateralCashAmount: { type: Number, default: 0 },
     netDisbursedAmount: { type: Number, default: 0 },
+    // Cycle the loan was written in (see utils/loanCycle); isReturningClient follows from it
+    loanCycle: { type: Number },
     isReturningClient: { type: Boolean, default: false },
 
     // Collections
     loanOfficerName: { type: String, required: true },
     totalRealization: { type: Number, default: 0 },
     collections: [loanCollectionSchema],
+    // Installments generated on activation; amountPaid/status follow the collections
+    schedule: [installmentSchema],
+    // Reschedule history; isRestructured flags the loan in PAR reporting
+    restructures: [restructureSchema],
+    isRestructured: { type: Boolean, default: false, index: true },
+    // Late payment penalties; settled from collections once scheduled installments are covered
+    penalties: [penaltySchema],
 
     // Guarantors and Signatories
     guarantors: [signatorySchema], // for individual loans (require 2)
@@ -324,7 +521,7 @@ loanSchema.pre('validate', async function (next) {
       configDoc = await LoanConfig.findOne({ branchCode: { $exists: false } });
     }
   } catch (e) {
-    // continue with built-in fallbacks
+    // continue without config defaults
   }
 
   const typeKey = String(this.loanType || '').toLowerCase();
@@ -336,30 +533,26 @@ loanSchema.pre('validate', async function (next) {
     this.invalidate('paymentPlan', 'paymentPlan is required for group and individual loans');
   }
 
-  // Default processing fee percent
+  // Fees not set from the loan product default to the loan config; nothing is charged when neither sets them
   if (this.processingFeePercent == null) {
-    const fallback = (this.loanType === 'group') ? 3 : (this.loanType === 'individual' ? (this.group ? 3 : 4) : 0);
-    this.processingFeePercent = Number(typeCfg.processingFeePercent ?? fallback);
+    this.processingFeePercent = Number(typeCfg.processingFeePercent ?? 0);
   }
 
-  // Default collateral cash percent
   if (this.collateralCashPercent == null && (this.loanType === 'group' || this.loanType === 'individual')) {
-    const fallback = (this.loanType === 'individual') ? 10 : 8; // individual collateral default 10%
-    this.collateralCashPercent = Number(typeCfg.collateralCashPercent ?? fallback);
+    this.collateralCashPercent = Number(typeCfg.collateralCashPercent ?? 0);
   }
 
-  // Default form fee amount if not provided
   if ((this.loanType === 'group' || this.loanType === 'individual') && (this.formFeeAmount == null)) {
     if (this.currency !== 'LRD') {
       this.formFeeAmount = 0;
     } else if (this.loanType === 'group' || this.group) {
       const grpCfgAmt = configDoc && configDoc.group && configDoc.group.formFeeAmountLRD;
-      this.formFeeAmount = Number(grpCfgAmt ?? 200);
+      this.formFeeAmount = Number(grpCfgAmt ?? 0);
     } else if (this.loanType === 'individual') {
       const returning = !!this.isReturningClient;
       const indNew = configDoc && configDoc.individual && configDoc.individual.formFeeAmountLRDNew;
       const indRet = configDoc && configDoc.individual && configDoc.individual.formFeeAmountLRDReturning;
-      this.formFeeAmount = Number(returning ? (indRet ?? 400) : (indNew ?? 500));
+      this.formFeeAmount = Number((returning ? indRet : indNew) ?? 0);
     }
   }
 
@@ -385,10 +578,14 @@ loanSchema.pre('validate', async function (next) {
   const net = Number((amt - (this.processingFeeAmount || 0) - formFee - inspection).toFixed(2));
   this.netDisbursedAmount = isNaN(net) ? 0 : net;
 
-  // Total amount to be paid default (principal + interest)
-  if (this.totalAmountToBePaid == null) {
-    const rate = Number(this.interestRate || 0);
-    const total = Number((amt * (1 + (rate / 100))).toFixed(2));
+  // Interest method and rate basis
+  if (!this.interestMethod) this.interestMethod = typeCfg.interestMethod || 'flat';
+  if (!this.interestRateBasis) this.interestRateBasis = typeCfg.interestRateBasis || 'term';
+
+  // Total amount to be paid (principal + interest). Flat loans keep a provided total (manual override);
+  // declining-balance totals always follow the amortization.
+  if (this.totalAmountToBePaid == null || this.interestMethod !== 'flat') {
+    const total = totalRepayable(this);
     this.totalAmountToBePaid = isNaN(total) ? undefined : total;
   }
 
@@ -400,4 +597,6 @@ loanSchema.pre('validate', async function (next) {
   next();
 });
 
+loanSchema.plugin(auditPlugin, { entity: 'Loan' });
+
 module.exports = mongoose.model('Loan', loanSchema);
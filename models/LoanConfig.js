@@ -1,4 +1,44 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+const { INTEREST_METHODS, RATE_BASES } = require('../utils/loanSchedule');
+const { ROLES } = require('../utils/permissions');
+
+// Late payment penalty rules (see utils/penaltyAccrual). All amounts are in the loan currency.
+const penaltyConfigSchema = new mongoose.Schema(
+  {
+    flatFeePerMissedInstallment: { type: Number, min: 0 },
+    arrearsPercent: { type: Number, min: 0 }, // percent of the installment's unpaid amount
+    graceDays: { type: Number, min: 0, default: 0 }, // days after the due date before penalties accrue
+    maxTotal: { type: Number, min: 0 }, // cap on penalties per loan (waived ones excluded)
+  },
+  { _id: false }
+);
+
+// Early settlement policy (see utils/loanClosure)
+const earlySettlementConfigSchema = new mongoose.Schema(
+  {
+    interestRebatePercent: { type: Number, min: 0, max: 100 }, // share of not-yet-due interest waived on payoff
+  },
+  { _id: false }
+);
+
+// Amounts per loan currency
+const amountByCurrencySchema = new mongoose.Schema(
+  {
+    USD: { type: Number, min: 0 },
+    LRD: { type: Number, min: 0 },
+  },
+  { _id: false }
+);
+
+// Largest loan amount from a given loan cycle on (see utils/loanCycle)
+const cycleLimitSchema = new mongoose.Schema(
+  {
+    cycle: { type: Number, required: true, min: 1 },
+    maxAmount: amountByCurrencySchema,
+  },
+  { _id: false }
+);
 
 // Inner config schema for a single loan type
 const loanTypeConfigSchema = new mongoose.Schema(
@@ -12,6 +52,72 @@ const loanTypeConfigSchema = new mongoose.Schema(
     formFeeAmountLRDReturning: { type: Number },
     // Optional default inspection fee for this loan type
     inspectionFeeDefault: { type: Number },
+    // Default interest method / rate basis for new loans of this type
+    interestMethod: { type: String, enum: INTEREST_METHODS },
+    interestRateBasis: { type: String, enum: RATE_BASES },
+    penalty: penaltyConfigSchema,
+    earlySettlement: earlySettlementConfigSchema,
+    cycleLimits: [cycleLimitSchema],
+  },
+  { _id: false }
+);
+
+// Loan-loss provision rates (percent of outstanding principal) per PAR aging bucket
+const provisionRatesSchema = new mongoose.Schema(
+  {
+    current: { type: Number, min: 0, max: 100, default: 0 },
+    days1to30: { type: Number, min: 0, max: 100, default: 0 },
+    days31to60: { type: Number, min: 0, max: 100, default: 0 },
+    days61to90: { type: Number, min: 0, max: 100, default: 0 },
+    over90: { type: Number, min: 0, max: 100, default: 0 },
+  },
+  { _id: false }
+);
+
+// One stage of the loan approval chain (see utils/loanApproval)
+const approvalStageSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    label: { type: String },
+    roles: [{ type: String, enum: ROLES }], // roles that may decide this stage
+    requiresInspection: { type: Boolean, default: false }, // officialUse.dateOfInspection must be set
+    amountAbove: amountByCurrencySchema, // stage only applies to amounts above this
+  },
+  { _id: false }
+);
+
+const approvalConfigSchema = new mongoose.Schema(
+  {
+    stages: [approvalStageSchema], // replaces the default chain when given
+    largeLoanThreshold: amountByCurrencySchema, // default chain: amounts above this also need manager/CEO approval
+  },
+  { _id: false }
+);
+
+// Borrower exposure policy (see utils/exposure)
+const exposureConfigSchema = new mongoose.Schema(
+  {
+    mode: { type: String, enum: ['off', 'warn', 'block'] },
+    maxOpenLoans: { type: Number, min: 1 }, // per borrower, including the new loan
+    allowGroupAndIndividual: { type: Boolean }, // group loan member may also hold an individual/express loan
+  },
+  { _id: false }
+);
+
+// Caps on what one guarantor may back across live loans (see utils/guarantors)
+const guarantorLimitsSchema = new mongoose.Schema(
+  {
+    maxLiveLoans: { type: Number, min: 1 },
+    maxOutstanding: amountByCurrencySchema,
+  },
+  { _id: false }
+);
+
+// Savings withdrawal rules (see utils/savingsWithdrawals)
+const savingsConfigSchema = new mongoose.Schema(
+  {
+    // Withdrawals and outgoing transfers above this need a manager's approval
+    withdrawalApprovalAbove: amountByCurrencySchema,
   },
   { _id: false }
 );
@@ -23,9 +129,16 @@ const loanConfigSchema = new mongoose.Schema(
     express: loanTypeConfigSchema,
     individual: loanTypeConfigSchema,
     group: loanTypeConfigSchema,
+    provisionRates: provisionRatesSchema,
+    approval: approvalConfigSchema,
+    exposure: exposureConfigSchema,
+    guarantorLimits: guarantorLimitsSchema,
+    savings: savingsConfigSchema,
     updatedBy: { type: String }, // user email or username
   },
   { timestamps: true }
 );
 
+loanConfigSchema.plugin(auditPlugin, { entity: 'LoanConfig' });
+
 module.exports = mongoose.model('LoanConfig', loanConfigSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+const { INTEREST_METHODS, RATE_BASES } = require('../utils/loanSchedule');
+
+// A loan product from the catalog. New loans must name an active product; its terms are checked
+// and its fees copied onto the loan in utils/loanProducts.
+
+const durationSchema = new mongoose.Schema(
+  {
+    number: { type: Number, required: true, min: 1 },
+    unit: { type: String, enum: ['days', 'weeks', 'months', 'years'], required: true },
+  },
+  { _id: false }
+);
+
+const loanProductSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, unique: true },
+    description: { type: String },
+    loanType: { type: String, enum: ['express', 'group', 'individual'], required: true, index: true },
+    currency: { type: String, required: true, enum: ['USD', 'LRD'] },
+    minAmount: { type: Number, required: true, min: 0 },
+    maxAmount: { type: Number, required: true, min: 0 },
+    // Empty means any duration / payment plan
+    allowedDurations: [durationSchema],
+    paymentPlans: [{ type: String, enum: ['weekly', 'bi-weekly', 'monthly'] }],
+    interestRate: { type: Number, required: true, min: 0 },
+    interestMethod: { type: String, enum: INTEREST_METHODS, default: 'flat' },
+    interestRateBasis: { type: String, enum: RATE_BASES, default: 'term' },
+    // Unset fees fall back to the branch loan config
+    fees: {
+      processingFeePercent: { type: Number, min: 0, max: 100 },
+      formFeeAmount: { type: Number, min: 0 }, // new clients (and every client when no returning fee is set)
+      formFeeAmountReturning: { type: Number, min: 0 },
+      inspectionFeeAmount: { type: Number, min: 0 },
+    },
+    collateral: {
+      cashPercent: { type: Number, min: 0, max: 100 }, // collateral cash deposited into savings
+      itemRequired: { type: Boolean, default: false }, // collateral item or property details must be given
+      // Loan amount as a percent of the pledged collateral's value, checked at approval (see utils/collateral)
+      maxLoanToValuePercent: { type: Number, min: 0 },
+    },
+    requiredGuarantors: { type: Number, min: 0, default: 0 },
+    active: { type: Boolean, default: true, index: true },
+  },
+  { timestamps: true }
+);
+
+loanProductSchema.pre('validate', function (next) {
+  if (this.minAmount != null && this.maxAmount != null && this.maxAmount < this.minAmount) {
+    this.invalidate('maxAmount', 'maxAmount must not be less than minAmount');
+  }
+  next();
+});
+
+loanProductSchema.plugin(auditPlugin, { entity: 'LoanProduct' });
+
+module.exports = mongoose.model('LoanProduct', loanProductSchema);
@@ -1,17 +1,120 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+const TRANSACTION_TYPES = ['deposit', 'withdrawal', 'interest', 'fee', 'transfer', 'reversal'];
+const CREDIT_TYPES = ['deposit', 'interest'];
+const DEBIT_TYPES = ['withdrawal', 'fee'];
 
 const savingsTransactionSchema = new mongoose.Schema({
   date: { type: Date, default: Date.now },
-  savingAmount: { type: Number, default: 0 },
-  withdrawalAmount: { type: Number, default: 0 },
+  // Entries recorded before transaction types carry only this pair; the defaults below read them
+  savingAmount: { type: Number },
+  withdrawalAmount: { type: Number },
+  type: {
+    type: String,
+    enum: TRANSACTION_TYPES,
+    required: true,
+    default() {
+      return Number(this.withdrawalAmount || 0) > 0 ? 'withdrawal' : 'deposit';
+    },
+  },
+  // 'in' adds to the balance, 'out' takes from it; transfers and reversals must say which
+  direction: {
+    type: String,
+    enum: ['in', 'out'],
+    required: true,
+    default() {
+      if (CREDIT_TYPES.includes(this.type)) return 'in';
+      if (DEBIT_TYPES.includes(this.type)) return 'out';
+      return undefined;
+    },
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+    default() {
+      return Number(this.withdrawalAmount || 0) || Number(this.savingAmount || 0);
+    },
+  },
   balance: { type: Number, required: true },
   currency: { type: String, required: true, enum: ['USD', 'LRD'] },
   tellerSignature: { type: String }, // Base64
   managerSignature: { type: String }, // Base64
   branchName: { type: String, required: true },
   branchCode: { type: String, required: true },
+  // Id generated by the field app for deposits taken offline (see /api/sync/push)
+  clientEntryId: { type: String },
+  // Set on entries posted against a loan (e.g. a lien offset) with the matching collection receipt
+  loan: { type: mongoose.Schema.Types.ObjectId, ref: 'Loan' },
+  receiptNumber: { type: String },
+  narration: { type: String },
+  // Withdrawals above the branch approval limit: the manager who approved it (see withdrawalRequests)
+  approvedBy: { type: String }, // user email
+  approvedByUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  postedBy: { type: String }, // user email
+  counterpartAccount: { type: mongoose.Schema.Types.ObjectId, ref: 'SavingsAccount' }, // transfers
+  reverses: { type: mongoose.Schema.Types.ObjectId }, // reversals: the entry reversed
+  reversedBy: { type: mongoose.Schema.Types.ObjectId },
+});
+
+// A withdrawal (or outgoing transfer) above the approval limit, waiting for a manager
+const withdrawalRequestSchema = new mongoose.Schema({
+  type: { type: String, enum: ['withdrawal', 'transfer'], required: true },
+  amount: { type: Number, required: true, min: 0 },
+  currency: { type: String, required: true, enum: ['USD', 'LRD'] },
+  toAccount: { type: mongoose.Schema.Types.ObjectId, ref: 'SavingsAccount' },
+  narration: { type: String },
+  tellerSignature: { type: String }, // Base64
+  requestedBy: { type: String }, // user email
+  requestedByUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  requestedAt: { type: Date, default: Date.now },
+  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+  decidedBy: { type: String }, // user email
+  decidedByUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  decidedAt: { type: Date },
+  managerSignature: { type: String }, // Base64
+  reason: { type: String },
+  transaction: { type: mongoose.Schema.Types.ObjectId }, // the posted entry once approved
+});
+
+// Collateral cash held against a loan (see utils/savingsPosting). `amount` is what is still held;
+// it cannot be withdrawn until released on payoff or offset against arrears on default.
+const lienSchema = new mongoose.Schema({
+  loan: { type: mongoose.Schema.Types.ObjectId, ref: 'Loan', required: true },
+  originalAmount: { type: Number, required: true },
+  amount: { type: Number, required: true },
+  status: { type: String, enum: ['active', 'released', 'offset'], default: 'active' },
+  placedAt: { type: Date, default: Date.now },
+  releasedAt: { type: Date },
+  offsets: [
+    {
+      _id: false,
+      date: { type: Date },
+      amount: { type: Number },
+      by: { type: String }, // approver email
+      reason: { type: String },
+      receiptNumber: { type: String },
+      transaction: { type: mongoose.Schema.Types.ObjectId },
+    },
+  ],
 });
 
+// One month of interest accrual on an account
+const interestAccrualSchema = new mongoose.Schema(
+  {
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+    method: { type: String },
+    balance: { type: Number }, // minimum or average daily balance the interest was calculated on
+    rate: { type: Number },
+    amount: { type: Number, required: true },
+    postedAt: { type: Date },
+    transaction: { type: mongoose.Schema.Types.ObjectId },
+  },
+  { _id: false }
+);
+
 const savingsAccountSchema = new mongoose.Schema(
   {
     // When accountType === 'individual': require client; group is optional (used for filtering/association)
@@ -21,14 +124,34 @@ const savingsAccountSchema = new mongoose.Schema(
     group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group' },
     branchName: { type: String, required: true },
     branchCode: { type: String, required: true },
-    loanCycle: { type: Number, default: 1 },
+    loanCycle: { type: Number, default: 1 }, // the holder's loan cycle (see utils/loanCycle)
     currentBalance: { type: Number, default: 0 },
     currency: { type: String, required: true, enum: ['USD', 'LRD'], default: 'LRD' },
     transactions: [savingsTransactionSchema],
+    liens: [lienSchema],
+    withdrawalRequests: [withdrawalRequestSchema],
+    // Interest (see utils/savingsInterest): accounts without a product earn none
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'SavingsProduct', index: true },
+    interestAccruedThrough: { type: Date }, // start of the first month not yet accrued
+    accruedInterest: { type: Number, default: 0 }, // accrued but not yet posted
+    interestAccruals: [interestAccrualSchema],
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
 );
 
+savingsAccountSchema.virtual('lienAmount').get(function () {
+  return (this.liens || []).filter((l) => l.status === 'active').reduce((s, l) => s + Number(l.amount || 0), 0);
+});
+
+// Balance that may be withdrawn
+savingsAccountSchema.virtual('availableBalance').get(function () {
+  return Number(this.currentBalance || 0) - this.lienAmount;
+});
+
 // Ensure uniqueness within type
 // One savings per client for individual accounts
 savingsAccountSchema.index(
@@ -41,4 +164,6 @@ savingsAccountSchema.index(
   { unique: true, partialFilterExpression: { accountType: 'group', group: { $type: 'objectId' } } }
 );
 
+savingsAccountSchema.plugin(auditPlugin, { entity: 'SavingsAccount' });
+
 module.exports = mongoose.model('SavingsAccount', savingsAccountSchema);
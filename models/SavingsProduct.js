@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+// A savings product. Accounts linked to a product earn interest, accrued at each month end and
+// posted to the account at the product's posting frequency (see utils/savingsInterest).
+
+const CALCULATION_METHODS = ['minimum_balance', 'average_daily_balance'];
+const POSTING_FREQUENCIES = ['monthly', 'quarterly', 'semi_annually', 'annually'];
+
+const savingsProductSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, unique: true },
+    description: { type: String },
+    currency: { type: String, required: true, enum: ['USD', 'LRD'] },
+    interestRate: { type: Number, required: true, min: 0 }, // percent per year
+    calculationMethod: { type: String, enum: CALCULATION_METHODS, default: 'minimum_balance' },
+    postingFrequency: { type: String, enum: POSTING_FREQUENCIES, default: 'monthly' },
+    // A month whose balance (by the calculation method) is below this earns nothing
+    minimumBalanceToEarn: { type: Number, min: 0, default: 0 },
+    // Balance that must stay in the account; withdrawals may not take it lower
+    minimumBalance: { type: Number, min: 0, default: 0 },
+    active: { type: Boolean, default: true, index: true },
+  },
+  { timestamps: true }
+);
+
+savingsProductSchema.plugin(auditPlugin, { entity: 'SavingsProduct' });
+
+module.exports = mongoose.model('SavingsProduct', savingsProductSchema);
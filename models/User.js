@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ROLES } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema(
   {
@@ -8,24 +9,15 @@ const userSchema = new mongoose.Schema(
     passwordSalt: { type: String, required: true, select: false },
     role: {
       type: String,
-      enum: [
-        'ceo',
-        'admin',
-        'manager',
-        'loan supervisor',
-        'branch head',
-        'loan officer',
-        'field agent',
-        'teller',
-        'customer service',
-        'staff',
-      ],
+      enum: ROLES,
       default: 'staff',
       trim: true,
       lowercase: true,
     },
     branchName: { type: String, required: true },
     branchCode: { type: String, required: true },
+    // Additional branches a manager oversees; widens branch scoping beyond branchCode
+    branchCodes: [{ type: String, trim: true }],
   },
   { timestamps: true }
 );
@@ -7,11 +7,12 @@ const {
   updateAsset,
   deleteAsset,
 } = require('../controllers/assetController');
+const { authorize } = require('../middleware/roleGuard');
 
-router.post('/', createAsset);
-router.get('/', getAllAssets);
-router.get('/:id', getAssetById);
-router.put('/:id', updateAsset);
-router.delete('/:id', deleteAsset);
+router.post('/', authorize('asset.manage'), createAsset);
+router.get('/', authorize('asset.view'), getAllAssets);
+router.get('/:id', authorize('asset.view'), getAssetById);
+router.put('/:id', authorize('asset.manage'), updateAsset);
+router.delete('/:id', authorize('asset.manage'), deleteAsset);
 
 module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { getAuditLogs } = require('../controllers/auditController');
+const { authorize } = require('../middleware/roleGuard');
+
+router.get('/', authorize('audit.view'), getAuditLogs);
+
+module.exports = router;
@@ -19,14 +19,15 @@ const {
   uploadClientPicture,
   getClientPicture,
 } = require('../controllers/clientController');
+const { authorize } = require('../middleware/roleGuard');
 
-router.post('/', createClient);
-router.get('/', getAllClients);
-router.get('/group/:groupId', getClientsByGroup);
-router.post('/:id/picture', upload.single('picture'), uploadClientPicture);
-router.get('/:id/picture', getClientPicture);
-router.get('/:id', getClientById);
-router.put('/:id', updateClient);
-router.delete('/:id', deleteClient);
+router.post('/', authorize('client.manage'), createClient);
+router.get('/', authorize('client.view'), getAllClients);
+router.get('/group/:groupId', authorize('client.view'), getClientsByGroup);
+router.post('/:id/picture', authorize('client.manage'), upload.single('picture'), uploadClientPicture);
+router.get('/:id/picture', authorize('client.view'), getClientPicture);
+router.get('/:id', authorize('client.view'), getClientById);
+router.put('/:id', authorize('client.manage'), updateClient);
+router.delete('/:id', authorize('client.delete'), deleteClient);
 
 module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  pledgeCollateral,
+  getAllCollateral,
+  getCollateralById,
+  updateCollateral,
+  releaseCollateral,
+  seizeCollateral,
+  sellCollateral,
+} = require('../controllers/collateralController');
+const { authorize } = require('../middleware/roleGuard');
+const idempotency = require('../middleware/idempotency');
+
+router.post('/', authorize('collateral.pledge'), idempotency, pledgeCollateral);
+router.get('/', authorize('collateral.view'), getAllCollateral);
+router.get('/:id', authorize('collateral.view'), getCollateralById);
+router.put('/:id', authorize('collateral.pledge'), updateCollateral);
+router.post('/:id/release', authorize('collateral.release'), releaseCollateral);
+router.post('/:id/seize', authorize('collateral.seize'), seizeCollateral);
+router.post('/:id/sell', authorize('collateral.seize'), sellCollateral);
+
+module.exports = router;
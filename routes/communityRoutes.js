@@ -8,14 +8,15 @@ const {
   deleteCommunity,
   getCommunityGroups,
 } = require('../controllers/communityController');
+const { authorize } = require('../middleware/roleGuard');
 
-router.post('/', createCommunity);
-router.get('/', getAllCommunities);
-router.get('/:id', getCommunityById);
-router.put('/:id', updateCommunity);
-router.delete('/:id', deleteCommunity);
+router.post('/', authorize('community.manage'), createCommunity);
+router.get('/', authorize('community.view'), getAllCommunities);
+router.get('/:id', authorize('community.view'), getCommunityById);
+router.put('/:id', authorize('community.manage'), updateCommunity);
+router.delete('/:id', authorize('community.delete'), deleteCommunity);
 
 // Nested
-router.get('/:id/groups', getCommunityGroups);
+router.get('/:id/groups', authorize('group.view'), getCommunityGroups);
 
 module.exports = router;
@@ -7,15 +7,17 @@ const {
   updateDistribution,
   deleteDistribution,
 } = require('../controllers/distributionController');
+const { authorize } = require('../middleware/roleGuard');
+const idempotency = require('../middleware/idempotency');
 
 // Top-level
-router.get('/', getAllDistributions);
-router.post('/', createDistribution);
-router.put('/:id', updateDistribution);
-router.delete('/:id', deleteDistribution);
+router.get('/', authorize('distribution.view'), getAllDistributions);
+router.post('/', authorize('distribution.create'), idempotency, createDistribution);
+router.put('/:id', authorize('distribution.update'), updateDistribution);
+router.delete('/:id', authorize('distribution.delete'), deleteDistribution);
 
 // Loan-scoped endpoints
-router.get('/loan/:loanId', getDistributionsByLoan);
-router.post('/loan/:id', createDistribution);
+router.get('/loan/:loanId', authorize('distribution.view'), getDistributionsByLoan);
+router.post('/loan/:id', authorize('distribution.create'), idempotency, createDistribution);
 
 module.exports = router;
@@ -9,25 +9,26 @@ const {
   updateExpenseStatus,
   getExpenseAnalytics,
 } = require('../controllers/expenseController');
-const { requireUser, forbidLoanOfficer } = require('../middleware/roleGuard');
+const { requireUser, authorize } = require('../middleware/roleGuard');
+const idempotency = require('../middleware/idempotency');
 
 // Note: Authentication is handled via global userIdentity middleware in server.js
-// Additional per-route guard: require authenticated user and forbid loan officers
-router.use(requireUser, forbidLoanOfficer);
+// Per-route guards come from the permission matrix in utils/permissions
+router.use(requireUser);
 
 // Create new expense
-router.post('/', createExpense);
+router.post('/', authorize('expense.create'), idempotency, createExpense);
 
 // Get all expenses with filtering
-router.get('/', getAllExpenses);
+router.get('/', authorize('expense.view'), getAllExpenses);
 
 // Analytics
-router.get('/analytics', getExpenseAnalytics);
+router.get('/analytics', authorize('expense.view'), getExpenseAnalytics);
 
 // Single expense
-router.get('/:id', getExpenseById);
-router.put('/:id', updateExpense);
-router.patch('/:id/status', updateExpenseStatus);
-router.delete('/:id', deleteExpense);
+router.get('/:id', authorize('expense.view'), getExpenseById);
+router.put('/:id', authorize('expense.update'), updateExpense);
+router.patch('/:id/status', authorize('expense.approve'), updateExpenseStatus);
+router.delete('/:id', authorize('expense.delete'), deleteExpense);
 
 module.exports = router;
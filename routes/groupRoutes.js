@@ -7,11 +7,12 @@ const {
   updateGroup,
   deleteGroup,
 } = require('../controllers/groupController');
+const { authorize } = require('../middleware/roleGuard');
 
-router.post('/', createGroup);
-router.get('/', getAllGroups);
-router.get('/:id', getGroupById);
-router.put('/:id', updateGroup);
-router.delete('/:id', deleteGroup);
+router.post('/', authorize('group.manage'), createGroup);
+router.get('/', authorize('group.view'), getAllGroups);
+router.get('/:id', authorize('group.view'), getGroupById);
+router.put('/:id', authorize('group.manage'), updateGroup);
+router.delete('/:id', authorize('group.delete'), deleteGroup);
 
 module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAllGuarantors,
+  getGuarantorById,
+  updateGuarantor,
+} = require('../controllers/guarantorController');
+const { authorize } = require('../middleware/roleGuard');
+
+// Registry entries are created from loan guarantor entries, so there is no POST
+router.get('/', authorize('guarantor.view'), getAllGuarantors);
+router.get('/:id', authorize('guarantor.view'), getGuarantorById);
+router.put('/:id', authorize('guarantor.manage'), updateGuarantor);
+
+module.exports = router;
@@ -1,12 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { requireUser } = require('../middleware/roleGuard');
+const { authorize } = require('../middleware/roleGuard');
 const controller = require('../controllers/loanConfigController');
 
 // Get effective config for current branch (or specified via ?branchCode=)
-router.get('/', requireUser, controller.getConfig);
+router.get('/', authorize('config.view'), controller.getConfig);
 
-// Upsert config for branch (admins/branch heads only)
-router.put('/', requireUser, controller.upsertConfig);
+// Upsert config for branch (approvers only)
+router.put('/', authorize('config.update'), controller.upsertConfig);
 
 module.exports = router;
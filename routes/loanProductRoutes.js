@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createProduct,
+  getAllProducts,
+  getProductById,
+  updateProduct,
+  deleteProduct,
+} = require('../controllers/loanProductController');
+const { authorize } = require('../middleware/roleGuard');
+
+router.post('/', authorize('product.manage'), createProduct);
+router.get('/', authorize('product.view'), getAllProducts);
+router.get('/:id', authorize('product.view'), getProductById);
+router.put('/:id', authorize('product.manage'), updateProduct);
+router.delete('/:id', authorize('product.manage'), deleteProduct);
+
+module.exports = router;
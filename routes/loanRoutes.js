@@ -5,40 +5,69 @@ const {
   getAllLoans,
   getDueCollections,
   getLoanById,
+  getLoanSchedule,
+  getLoanMembers,
+  getPayoffQuote,
+  settleLoan,
+  waivePenalty,
+  writeOffLoan,
+  rescheduleLoan,
+  runPenaltyAccrual,
   updateLoan,
   deleteLoan,
   addCollection,
   addCollectionsBatch,
+  reverseCollection,
+  offsetCollateralLien,
   setLoanStatus,
+  submitLoan,
+  decideLoanApproval,
+  getApprovalsInbox,
   getLoansByGroup,
   searchLoansByName,
 } = require('../controllers/loanController');
 const { getDistributionsByLoan, createDistribution } = require('../controllers/distributionController');
 const { getAgreementForLoan, initAgreementForLoan, updateAgreementForLoan } = require('../controllers/loanAgreementController');
-const { requireUser } = require('../middleware/roleGuard');
+const { authorize } = require('../middleware/roleGuard');
+const idempotency = require('../middleware/idempotency');
 
-router.post('/', createLoan);
-router.get('/', getAllLoans);
+router.post('/', authorize('loan.create'), createLoan);
+router.get('/', authorize('loan.view'), getAllLoans);
 // Daily/weekly due collections listing
-router.get('/due-collections', getDueCollections);
+router.get('/due-collections', authorize('loan.view'), getDueCollections);
 // Search by client or group name
-router.get('/search', searchLoansByName);
+router.get('/search', authorize('loan.view'), searchLoansByName);
 // Group-scoped listing (primarily individual loans for group members)
-router.get('/by-group/:groupId', getLoansByGroup);
-router.get('/:id', getLoanById);
-router.put('/:id', updateLoan);
-router.patch('/:id/status', requireUser, setLoanStatus);
-router.delete('/:id', deleteLoan);
+router.get('/by-group/:groupId', authorize('loan.view'), getLoansByGroup);
+// Loans awaiting a decision from the user's role
+router.get('/approvals/inbox', authorize('loan.review'), getApprovalsInbox);
+// Manual run of the daily penalty accrual
+router.post('/penalties/accrue', authorize('penalty.accrue'), runPenaltyAccrual);
+router.get('/:id', authorize('loan.view'), getLoanById);
+router.get('/:id/schedule', authorize('loan.view'), getLoanSchedule);
+router.get('/:id/members', authorize('loan.view'), getLoanMembers);
+router.get('/:id/payoff-quote', authorize('loan.view'), getPayoffQuote);
+router.put('/:id', authorize('loan.update'), updateLoan);
+router.patch('/:id/status', authorize('loan.status'), setLoanStatus);
+router.post('/:id/submit', authorize('loan.submit'), submitLoan);
+router.post('/:id/approval', authorize('loan.review'), decideLoanApproval);
+router.delete('/:id', authorize('loan.delete'), deleteLoan);
+router.post('/:id/write-off', authorize('loan.writeOff'), writeOffLoan);
+router.post('/:id/reschedule', authorize('loan.reschedule'), rescheduleLoan);
+router.post('/:id/settle', authorize('loan.settle'), settleLoan);
 
-router.post('/:id/collections', requireUser, addCollection);
-router.post('/:id/collections/batch', requireUser, addCollectionsBatch);
+router.post('/:id/collections', authorize('collection.create'), idempotency, addCollection);
+router.post('/:id/collections/batch', authorize('collection.create'), idempotency, addCollectionsBatch);
+router.post('/:id/collections/:collectionId/reverse', authorize('collection.reverse'), reverseCollection);
+router.post('/:id/lien-offset', authorize('lien.offset'), idempotency, offsetCollateralLien);
+router.post('/:id/penalties/:penaltyId/waive', authorize('penalty.waive'), waivePenalty);
 
-router.get('/:id/distributions', getDistributionsByLoan);
-router.post('/:id/distributions', requireUser, createDistribution);
+router.get('/:id/distributions', authorize('distribution.view'), getDistributionsByLoan);
+router.post('/:id/distributions', authorize('distribution.create'), idempotency, createDistribution);
 
 // Loan Agreement endpoints
-router.get('/:id/agreement', getAgreementForLoan);
-router.post('/:id/agreement/init', initAgreementForLoan);
-router.put('/:id/agreement', updateAgreementForLoan);
+router.get('/:id/agreement', authorize('agreement.view'), getAgreementForLoan);
+router.post('/:id/agreement/init', authorize('agreement.update'), initAgreementForLoan);
+router.put('/:id/agreement', authorize('agreement.update'), updateAgreementForLoan);
 
 module.exports = router;
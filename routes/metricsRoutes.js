@@ -1,12 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { createMetrics, getSummary, getProfit, recalculateMetrics } = require('../controllers/metricsController');
+const { authorize } = require('../middleware/roleGuard');
 
 // Create metrics (single or batch via { entries: [] })
-router.post('/', createMetrics);
+router.post('/', authorize('metrics.create'), createMetrics);
 
-// Recalculate all metrics from scratch (Admin only)
-router.post('/recalculate', recalculateMetrics);
+// Recalculate all metrics from scratch (approvers only)
+router.post('/recalculate', authorize('metrics.recalculate'), recalculateMetrics);
 
 // Get aggregated metrics summary
 // Query params:
@@ -14,9 +15,9 @@ router.post('/recalculate', recalculateMetrics);
 // - groupBy: day|week|month|year (default: day)
 // - dateFrom, dateTo: ISO dates
 // - branchName, branchCode, loanOfficerName, currency
-router.get('/summary', getSummary);
+router.get('/summary', authorize('metrics.view'), getSummary);
 
 // Get profit breakdown (income - expenses)
-router.get('/profit', getProfit);
+router.get('/profit', authorize('metrics.view'), getProfit);
 
 module.exports = router;
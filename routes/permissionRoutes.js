@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { getPermissionMatrix, getMyPermissions } = require('../controllers/permissionController');
+const { authorize } = require('../middleware/roleGuard');
+
+router.get('/', authorize('permission.view'), getPermissionMatrix);
+router.get('/me', getMyPermissions);
+
+module.exports = router;
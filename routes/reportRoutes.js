@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { getParReport, getProvisioning, runProvisioning } = require('../controllers/reportController');
+const { authorize } = require('../middleware/roleGuard');
+
+router.get('/par', authorize('report.view'), getParReport);
+router.get('/provisioning', authorize('report.view'), getProvisioning);
+router.post('/provisioning/run', authorize('provision.run'), runProvisioning);
+
+module.exports = router;
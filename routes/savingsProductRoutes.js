@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createProduct,
+  getAllProducts,
+  getProductById,
+  updateProduct,
+  deleteProduct,
+} = require('../controllers/savingsProductController');
+const { authorize } = require('../middleware/roleGuard');
+
+router.post('/', authorize('savingsProduct.manage'), createProduct);
+router.get('/', authorize('savingsProduct.view'), getAllProducts);
+router.get('/:id', authorize('savingsProduct.view'), getProductById);
+router.put('/:id', authorize('savingsProduct.manage'), updateProduct);
+router.delete('/:id', authorize('savingsProduct.manage'), deleteProduct);
+
+module.exports = router;
@@ -5,11 +5,23 @@ const {
   getAllSavingsAccounts,
   getSavingsAccountById,
   addTransaction,
+  setSavingsProduct,
+  runSavingsInterest,
+  getWithdrawalRequests,
+  approveWithdrawalRequest,
+  rejectWithdrawalRequest,
 } = require('../controllers/savingsController');
+const { authorize } = require('../middleware/roleGuard');
+const idempotency = require('../middleware/idempotency');
 
-router.post('/', createSavingsAccount);
-router.get('/', getAllSavingsAccounts);
-router.get('/:id', getSavingsAccountById);
-router.post('/:id/transactions', addTransaction);
+router.post('/', authorize('savings.create'), createSavingsAccount);
+router.get('/', authorize('savings.view'), getAllSavingsAccounts);
+router.post('/interest/run', authorize('savings.interest'), runSavingsInterest);
+router.get('/withdrawal-requests', authorize('savings.approveWithdrawal'), getWithdrawalRequests);
+router.get('/:id', authorize('savings.view'), getSavingsAccountById);
+router.post('/:id/transactions', authorize('savings.transact'), idempotency, addTransaction);
+router.put('/:id/product', authorize('savings.create'), setSavingsProduct);
+router.post('/:id/withdrawal-requests/:requestId/approve', authorize('savings.approveWithdrawal'), idempotency, approveWithdrawalRequest);
+router.post('/:id/withdrawal-requests/:requestId/reject', authorize('savings.approveWithdrawal'), rejectWithdrawalRequest);
 
 module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { pull, push } = require('../controllers/syncController');
+const { authorize } = require('../middleware/roleGuard');
+const idempotency = require('../middleware/idempotency');
+
+// Offline sync for field agents; push items are checked against their own permissions too
+router.get('/pull', authorize('sync.use'), pull);
+router.post('/push', authorize('sync.use'), idempotency, push);
+
+module.exports = router;
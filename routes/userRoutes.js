@@ -8,19 +8,32 @@ const {
   deleteUser,
   getLoanOfficers,
   getBranches,
+  login,
+  logout,
+  refresh,
+  getCurrentUser,
 } = require('../controllers/userController');
+const { requireUser, authorize } = require('../middleware/roleGuard');
 
-// No backend auth; assume frontend handled
+// Session endpoints (login is the only anonymous route)
+router.post('/login', login);
+router.post('/logout', requireUser, logout);
+router.post('/refresh', requireUser, refresh);
+router.get('/me', requireUser, getCurrentUser);
+
+// Creating the first account is allowed anonymously; the controller enforces the rest
+router.post('/', createUser);
+
+router.use(requireUser);
 
 // Helpers
-router.get('/loan-officers', getLoanOfficers);
-router.get('/branches', getBranches);
+router.get('/loan-officers', authorize('user.view'), getLoanOfficers);
+router.get('/branches', authorize('user.view'), getBranches);
 
 // CRUD
-router.get('/', getAllUsers);
-router.get('/:id', getUserById);
-router.post('/', createUser);
-router.put('/:id', updateUser);
-router.delete('/:id', deleteUser);
+router.get('/', authorize('user.view'), getAllUsers);
+router.get('/:id', authorize('user.view'), getUserById);
+router.put('/:id', authorize('user.manage'), updateUser);
+router.delete('/:id', authorize('user.manage'), deleteUser);
 
 module.exports = router;
@@ -3,6 +3,14 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const userIdentity = require('./middleware/userIdentity');
+const requestContext = require('./middleware/requestContext');
+const { requireUser } = require('./middleware/roleGuard');
+const { startPenaltyAccrualJob } = require('./utils/penaltyAccrual');
+const { startSavingsInterestJob } = require('./utils/savingsInterest');
+const { backfillCollectionIds } = require('./utils/collectionPosting');
+const { startLoanCycleTracking } = require('./utils/loanCycle');
+const { backfillLoanGuarantors } = require('./utils/guarantors');
+const { backfillCollateralLiens } = require('./utils/savingsPosting');
 
 const app = express();
 
@@ -11,6 +19,8 @@ app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(userIdentity);
+// Must follow userIdentity: records the actor for the audit trail
+app.use(requestContext);
 
 // Simple request logger (terminal)
 app.use((req, res, next) => {
@@ -18,7 +28,8 @@ app.use((req, res, next) => {
   const safeBody = (() => {
     try {
       if (!req.body) return undefined;
-      const str = JSON.stringify(req.body);
+      // Never echo credentials to the terminal
+      const str = JSON.stringify(req.body, (key, value) => (/password/i.test(key) ? '[redacted]' : value));
       return str.length > 500 ? str.slice(0, 500) + '...<truncated>' : str;
     } catch (_) {
       return '[unserializable body]';
@@ -41,17 +52,26 @@ app.get('/', (req, res) => {
 });
 
 // Routes
+// User routes handle their own authentication (login is anonymous); everything else requires a session
 app.use('/api/users', require('./routes/userRoutes'));
-app.use('/api/groups', require('./routes/groupRoutes'));
-app.use('/api/communities', require('./routes/communityRoutes'));
-app.use('/api/clients', require('./routes/clientRoutes'));
-app.use('/api/loans', require('./routes/loanRoutes'));
-app.use('/api/savings', require('./routes/savingsRoutes'));
-app.use('/api/assets', require('./routes/assetRoutes'));
-app.use('/api/distributions', require('./routes/distributionRoutes'));
-app.use('/api/metrics', require('./routes/metricsRoutes'));
-app.use('/api/expenses', require('./routes/expenseRoutes'));
-app.use('/api/loan-config', require('./routes/loanConfigRoutes'));
+app.use('/api/groups', requireUser, require('./routes/groupRoutes'));
+app.use('/api/communities', requireUser, require('./routes/communityRoutes'));
+app.use('/api/clients', requireUser, require('./routes/clientRoutes'));
+app.use('/api/guarantors', requireUser, require('./routes/guarantorRoutes'));
+app.use('/api/loans', requireUser, require('./routes/loanRoutes'));
+app.use('/api/savings', requireUser, require('./routes/savingsRoutes'));
+app.use('/api/savings-products', requireUser, require('./routes/savingsProductRoutes'));
+app.use('/api/assets', requireUser, require('./routes/assetRoutes'));
+app.use('/api/collateral', requireUser, require('./routes/collateralRoutes'));
+app.use('/api/distributions', requireUser, require('./routes/distributionRoutes'));
+app.use('/api/metrics', requireUser, require('./routes/metricsRoutes'));
+app.use('/api/expenses', requireUser, require('./routes/expenseRoutes'));
+app.use('/api/loan-config', requireUser, require('./routes/loanConfigRoutes'));
+app.use('/api/loan-products', requireUser, require('./routes/loanProductRoutes'));
+app.use('/api/permissions', requireUser, require('./routes/permissionRoutes'));
+app.use('/api/audit', requireUser, require('./routes/auditRoutes'));
+app.use('/api/reports', requireUser, require('./routes/reportRoutes'));
+app.use('/api/sync', requireUser, require('./routes/syncRoutes'));
 
 // MongoDB Connection
 const PORT = process.env.PORT || 5000;
@@ -63,6 +83,18 @@ mongoose
     app.listen(PORT, () => {
       console.log(`Server is listening on port ${PORT}`);
     });
+    startPenaltyAccrualJob();
+    startSavingsInterestJob();
+    startLoanCycleTracking();
+    backfillCollectionIds()
+      .then((summary) => console.log('[Collections] receipt backfill completed', summary))
+      .catch((err) => console.error('[Collections] receipt backfill failed:', err.message));
+    backfillLoanGuarantors()
+      .then((summary) => console.log('[Guarantors] registry backfill completed', summary))
+      .catch((err) => console.error('[Guarantors] registry backfill failed:', err.message));
+    backfillCollateralLiens()
+      .then((summary) => console.log('[Savings] collateral lien backfill completed', summary))
+      .catch((err) => console.error('[Savings] collateral lien backfill failed:', err.message));
   })
   .catch((error) => {
     console.error('Error connecting to MongoDB:', error.message);
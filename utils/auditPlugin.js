@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { getRequestContext } = require('./requestContext');
+
+// Mongoose plugin that writes an AuditLog entry for every create, update, delete and status change.
+// Usage: schema.plugin(auditPlugin, { entity: 'Loan' })
+
+const IGNORED_PATHS = new Set(['__v', 'createdAt', 'updatedAt']);
+const MAX_STRING = 200; // signatures and pictures are base64 blobs; keep only their size
+
+function isPlainObject(v) {
+  return v != null && typeof v === 'object' && Object.getPrototypeOf(v) === Object.prototype;
+}
+
+// Converts a leaf value to something small and JSON-friendly for storage/comparison
+function summarize(v) {
+  if (v == null) return null;
+  if (v instanceof Date) return v.toISOString();
+  if (v instanceof mongoose.Types.ObjectId) return String(v);
+  if (Buffer.isBuffer(v)) return `[binary ${v.length} bytes]`;
+  if (typeof v === 'string' && v.length > MAX_STRING) return `[${v.length} chars]`;
+  if (Array.isArray(v)) return v.map(summarize);
+  if (isPlainObject(v)) {
+    const out = {};
+    Object.keys(v).forEach((k) => { out[k] = summarize(v[k]); });
+    return out;
+  }
+  return v;
+}
+
+// Field-level diff between two plain snapshots; arrays are compared element by element
+function diff(before, after, prefix = '', out = []) {
+  const objA = isPlainObject(before);
+  const objB = isPlainObject(after);
+  if ((objA || objB) && (objA || before == null) && (objB || after == null)) {
+    const a = objA ? before : {};
+    const b = objB ? after : {};
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    keys.forEach((key) => {
+      if (!prefix && IGNORED_PATHS.has(key)) return;
+      diff(a[key], b[key], prefix ? `${prefix}.${key}` : key, out);
+    });
+    return out;
+  }
+  const arrA = Array.isArray(before);
+  const arrB = Array.isArray(after);
+  if ((arrA || arrB) && (arrA || before == null) && (arrB || after == null)) {
+    const a = arrA ? before : [];
+    const b = arrB ? after : [];
+    const len = Math.max(a.length, b.length);
+    for (let i = 0; i < len; i += 1) diff(a[i], b[i], `${prefix}.${i}`, out);
+    return out;
+  }
+  const from = summarize(before);
+  const to = summarize(after);
+  if (JSON.stringify(from) !== JSON.stringify(to)) {
+    out.push({ path: prefix, before: from === null ? undefined : from, after: to === null ? undefined : to });
+  }
+  return out;
+}
+
+function snapshot(doc) {
+  if (!doc) return null;
+  return typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+}
+
+async function writeAudit(entity, action, before, after) {
+  try {
+    const changes = diff(before, after);
+    if (action === 'update' && !changes.length) return;
+    const finalAction = action === 'update' && changes.some((c) => c.path === 'status') ? 'status' : action;
+    const ref = after || before;
+    const ctx = getRequestContext();
+    await AuditLog.create({
+      action: finalAction,
+      entity,
+      entityId: ref._id,
+      branchCode: ref.branchCode,
+      user: ctx.user,
+      userEmail: ctx.email,
+      username: ctx.username,
+      role: ctx.role,
+      method: ctx.method,
+      route: ctx.route,
+      ip: ctx.ip,
+      userAgent: ctx.userAgent,
+      changes,
+    });
+  } catch (err) {
+    console.error(`[Audit:${entity}] failed:`, err.message);
+  }
+}
+
+module.exports = function auditPlugin(schema, options = {}) {
+  const entity = options.entity;
+  if (!entity) throw new Error('auditPlugin requires an entity name');
+
+  // Document saves (create and in-place edits such as pushing collections or transactions)
+  schema.pre('save', async function () {
+    this.$locals.auditIsNew = this.isNew;
+    if (!this.isNew) {
+      this.$locals.auditBefore = await this.constructor.findById(this._id).lean();
+    }
+  });
+  schema.post('save', async function (doc) {
+    const isNew = doc.$locals.auditIsNew;
+    await writeAudit(entity, isNew ? 'create' : 'update', isNew ? null : doc.$locals.auditBefore, snapshot(doc));
+  });
+
+  schema.post('insertMany', async function (docs) {
+    for (const doc of docs || []) await writeAudit(entity, 'create', null, snapshot(doc));
+  });
+
+  // Query updates (findByIdAndUpdate, findOneAndUpdate, updateOne)
+  schema.pre(['findOneAndUpdate', 'updateOne'], { document: false, query: true }, async function () {
+    this._auditBefore = await this.model.findOne(this.getFilter()).lean();
+  });
+  schema.post(['findOneAndUpdate', 'updateOne'], { document: false, query: true }, async function (res) {
+    const before = this._auditBefore;
+    const id = (before && before._id) || (res && (res._id || res.upsertedId));
+    if (!id) return;
+    const after = await this.model.findById(id).lean();
+    if (!after) return;
+    await writeAudit(entity, before ? 'update' : 'create', before, after);
+  });
+
+  // Query deletes (findByIdAndDelete, findOneAndDelete, deleteOne)
+  schema.pre(['findOneAndDelete', 'deleteOne'], { document: false, query: true }, async function () {
+    this._auditBefore = await this.model.findOne(this.getFilter()).lean();
+  });
+  schema.post(['findOneAndDelete', 'deleteOne'], { document: false, query: true }, async function () {
+    if (this._auditBefore) await writeAudit(entity, 'delete', this._auditBefore, null);
+  });
+
+  // doc.deleteOne()
+  schema.post('deleteOne', { document: true, query: false }, async function (doc) {
+    await writeAudit(entity, 'delete', snapshot(doc), null);
+  });
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+// Signed session tokens: base64url(JSON payload) + '.' + base64url(HMAC-SHA256 signature)
+// Payload carries the user id (sub), the session id (sid), issued-at and expiry (seconds since epoch).
+
+const DEFAULT_TTL_MINUTES = 12 * 60;
+
+let fallbackSecret = null;
+function getSecret() {
+  const secret = process.env.AUTH_TOKEN_SECRET;
+  if (secret && secret.trim()) return secret;
+  if (!fallbackSecret) {
+    // Without a configured secret tokens only survive until the process restarts
+    console.warn('[Auth] AUTH_TOKEN_SECRET is not set; using a random per-process secret');
+    fallbackSecret = crypto.randomBytes(48).toString('hex');
+  }
+  return fallbackSecret;
+}
+
+function getTtlSeconds() {
+  const minutes = Number(process.env.AUTH_TOKEN_TTL_MINUTES || DEFAULT_TTL_MINUTES);
+  return Math.max(Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_TTL_MINUTES, 1) * 60;
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+function signToken({ sub, sid }, ttlSeconds = getTtlSeconds()) {
+  const iat = Math.floor(Date.now() / 1000);
+  const exp = iat + ttlSeconds;
+  const body = base64url(JSON.stringify({ sub: String(sub), sid: String(sid), iat, exp }));
+  return { token: `${body}.${sign(body)}`, expiresAt: new Date(exp * 1000) };
+}
+
+// Returns the payload for a well-formed, correctly signed and unexpired token; otherwise null
+function verifyToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 2) return null;
+  const [body, signature] = parts;
+  const expected = Buffer.from(sign(body));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (_) {
+    return null;
+  }
+  if (!payload || !payload.sub || !payload.sid || !payload.exp) return null;
+  if (payload.exp * 1000 <= Date.now()) return null;
+  return payload;
+}
+
+// Extracts a bearer token from the Authorization header
+function tokenFromRequest(req) {
+  const header = (req.headers.authorization || '').toString().trim();
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  return match ? match[1].trim() : null;
+}
+
+module.exports = { signToken, verifyToken, tokenFromRequest, getTtlSeconds };
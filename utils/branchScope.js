@@ -0,0 +1,58 @@
+// Branch-level data isolation driven by User.branchCode (plus optional User.branchCodes).
+// Only cross-branch roles see every branch; everyone else is confined to their assigned branches.
+
+const CROSS_BRANCH_ROLES = ['ceo', 'admin'];
+
+function roleOf(user) {
+  return (user && user.role ? String(user.role).trim().toLowerCase() : '');
+}
+
+function isCrossBranch(user) {
+  return CROSS_BRANCH_ROLES.includes(roleOf(user));
+}
+
+// Branch codes the user may work with; null means unrestricted
+function allowedBranches(user) {
+  if (isCrossBranch(user)) return null;
+  const codes = new Set();
+  if (user && user.branchCode) codes.add(String(user.branchCode));
+  if (user && Array.isArray(user.branchCodes)) {
+    user.branchCodes.filter(Boolean).forEach((c) => codes.add(String(c)));
+  }
+  return Array.from(codes);
+}
+
+function canAccessBranch(user, branchCode) {
+  const allowed = allowedBranches(user);
+  if (!allowed) return true;
+  return branchCode != null && allowed.includes(String(branchCode));
+}
+
+// True when the record's branch is within the user's scope (records without a branch are cross-branch only)
+function inBranchScope(user, record) {
+  if (!record) return false;
+  return canAccessBranch(user, record.branchCode);
+}
+
+// Constrains filter[field] to the user's branches. An explicitly requested branch outside the
+// scope returns false so the caller can answer 403; otherwise the filter is narrowed in place.
+function applyBranchScope(user, filter, field = 'branchCode') {
+  const allowed = allowedBranches(user);
+  if (!allowed) return true;
+  const requested = filter[field];
+  if (requested != null && requested !== '') {
+    if (typeof requested !== 'string' || !allowed.includes(requested)) return false;
+    return true;
+  }
+  filter[field] = allowed.length === 1 ? allowed[0] : { $in: allowed };
+  return true;
+}
+
+module.exports = {
+  CROSS_BRANCH_ROLES,
+  isCrossBranch,
+  allowedBranches,
+  canAccessBranch,
+  inBranchScope,
+  applyBranchScope,
+};
@@ -0,0 +1,30 @@
+const Collateral = require('../models/Collateral');
+const LoanProduct = require('../models/LoanProduct');
+
+// Collateral register helpers. The loan-to-value check compares the amount being approved with the
+// valuation of the collateral held for the loan, against the product's maxLoanToValuePercent.
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+// Valuation of the collateral currently held for `loan`
+async function heldCollateralValue(loan) {
+  const items = await Collateral.find({ loan: loan._id, status: 'held', currency: loan.currency }).select('valuation.amount');
+  return round2(items.reduce((s, c) => s + Number((c.valuation && c.valuation.amount) || 0), 0));
+}
+
+// Error message when lending `amount` on `loan` breaks its product's loan-to-value rule, else null
+async function checkLoanToValue(loan, amount) {
+  if (!loan.product) return null;
+  const product = await LoanProduct.findById(loan.product).select('name collateral');
+  const maxLtv = product && product.collateral && product.collateral.maxLoanToValuePercent;
+  if (maxLtv == null) return null;
+  const value = await heldCollateralValue(loan);
+  if (!(value > 0)) return `Loan product ${product.name} requires pledged collateral before approval`;
+  const ltv = round2((Number(amount || 0) / value) * 100);
+  if (ltv > maxLtv) {
+    return `Loan-to-value of ${ltv}% exceeds the ${maxLtv}% allowed by ${product.name} (collateral held: ${loan.currency} ${value})`;
+  }
+  return null;
+}
+
+module.exports = { heldCollateralValue, checkLoanToValue };
@@ -0,0 +1,234 @@
+const Loan = require('../models/Loan');
+const Counter = require('../models/Counter');
+const Client = require('../models/Client');
+const { currentSchedule, nextOpenInstallment } = require('./loanSchedule');
+const { penaltyTotals } = require('./penaltyAccrual');
+const { closeLoan, finalizeClosure } = require('./loanClosure');
+const { ensureSavingsAccount, depositForLoan } = require('./savingsPosting');
+const { recordMany } = require('./metrics');
+
+// Posting of collections onto a loan: schedule allocation, closure once the loan is fully repaid,
+// and overpayments. Anything beyond what closes the loan is either rejected (default) or, with
+// overpayment 'savings', moved into the client's (else the group's) savings account.
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+const OPEN_STATUSES = ['active', 'defaulted'];
+
+// Scheduled installments plus penalties still owed
+function amountToClose(loan, asOf = new Date()) {
+  const schedule = currentSchedule(loan, asOf);
+  const scheduled = schedule.reduce((s, inst) => s + Math.max(Number(inst.amountDue || 0) - Number(inst.amountPaid || 0), 0), 0);
+  return round2(scheduled + penaltyTotals(loan, schedule).outstanding);
+}
+
+// Next collection receipt number (RC-000001, ...)
+async function nextReceiptNumber() {
+  const counter = await Counter.findByIdAndUpdate('receipt', { $inc: { seq: 1 } }, { new: true, upsert: true });
+  return `RC-${String(counter.seq).padStart(6, '0')}`;
+}
+
+// Amount still open on the loan's next installment (used to default collection entries)
+function expectedInstallmentAmount(loan) {
+  const next = nextOpenInstallment(currentSchedule(loan));
+  if (!next) return 0;
+  return round2(Number(next.amountDue || 0) - Number(next.amountPaid || 0));
+}
+
+// Collection row for `loan` from a posted entry (addCollection body, batch entry or sync item).
+// weeklyAmount defaults to `expectedWeekly`; throws when the entry cannot be posted on the loan.
+async function collectionRecordFrom(loan, entry, expectedWeekly) {
+  const currency = entry.currency || loan.currency;
+  if (currency !== loan.currency) {
+    throw new Error(`Collection currency ${currency} does not match loan currency ${loan.currency}`);
+  }
+  const weeklyAmount = Number(entry.weeklyAmount || expectedWeekly);
+  const fieldCollection = Number(entry.fieldCollection || 0);
+  const advancePayment = Number(entry.advancePayment || 0);
+  const fieldBalance = (entry.fieldBalance == null)
+    ? Math.max(Number(weeklyAmount || 0) - fieldCollection - advancePayment, 0)
+    : Number(entry.fieldBalance);
+  // Group loans post collections against a member so each member's sub-ledger can be kept
+  let member;
+  if (entry.member) {
+    if (loan.loanType !== 'group') throw new Error('member can only be given for group loan collections');
+    if (!(loan.clients || []).some((c) => String(c) === String(entry.member))) {
+      throw new Error('member is not part of this group loan');
+    }
+    member = entry.member;
+  }
+  let memberName = entry.memberName || '';
+  // If per-client loan (or member) and memberName missing, try to populate from client
+  const nameFrom = member || loan.client;
+  if (!memberName && nameFrom) {
+    try {
+      const c = await Client.findById(nameFrom).select('memberName');
+      if (c && c.memberName) memberName = c.memberName;
+    } catch (_) {}
+  }
+  return {
+    memberName,
+    member,
+    loanAmount: Number(entry.loanAmount || weeklyAmount),
+    weeklyAmount,
+    fieldCollection,
+    advancePayment,
+    fieldBalance,
+    currency,
+    collectionDate: entry.collectionDate || new Date(),
+    clientEntryId: entry.clientEntryId ? String(entry.clientEntryId) : undefined,
+  };
+}
+
+// Metric events for one collection. Money collected on a written-off loan is recovery income;
+// the receivable was already removed at write-off.
+function collectionEvents(loan, base, collected, overdueVal) {
+  if (loan.status === 'written_off') {
+    return collected ? [{ ...base, metric: 'loanRecovery', value: collected }] : [];
+  }
+  const events = [
+    { ...base, metric: 'totalCollectionsCollected', value: collected },
+    { ...base, metric: 'waitingToBeCollected', value: -collected },
+  ];
+  if (overdueVal > 0) events.push({ ...base, metric: 'overdue', value: overdueVal });
+  return events;
+}
+
+// Records the metrics for `records` just posted by postCollections (soft-fails like other metrics)
+async function recordCollectionMetrics(loan, records, { extra = {}, tag = 'collections' } = {}) {
+  try {
+    const firstIdx = loan.collections.length - records.length;
+    const events = [];
+    records.forEach((rec, i) => {
+      const collected = Number(rec.fieldCollection || 0);
+      const overdueVal = Math.max(Number(rec.weeklyAmount || 0) - collected, 0);
+      const base = {
+        date: rec.collectionDate || new Date(),
+        branchName: loan.branchName,
+        branchCode: loan.branchCode,
+        loanOfficerName: loan.loanOfficerName,
+        currency: rec.currency || loan.currency,
+        loan: loan._id,
+        group: loan.group,
+        client: loan.client,
+        extra: { ...extra, collectionIdx: firstIdx + i, receiptNumber: rec.receiptNumber },
+      };
+      events.push(...collectionEvents(loan, base, collected, overdueVal));
+    });
+    if (events.length) await recordMany(events);
+  } catch (mErr) {
+    console.error(`[Metrics:${tag}] failed:`, mErr.message);
+  }
+}
+
+// Re-allocates collections against the loan's installments (creates the schedule for active loans that predate it)
+function syncSchedule(loan) {
+  if (loan.status !== 'active' && !(loan.schedule && loan.schedule.length)) return;
+  loan.schedule = currentSchedule(loan);
+}
+
+// Adds `records` to `loan` and saves it. Records are trimmed in order so the loan is not overpaid;
+// the trimmed part is kept on the record as overpayment. Returns { loan, closed, overpayment, savingsAccount }.
+async function postCollections(loan, records, { overpayment = 'reject' } = {}) {
+  const open = OPEN_STATUSES.includes(loan.status);
+  let excess = 0;
+  let savingsAccount = null;
+  if (open) {
+    let remaining = amountToClose(loan);
+    const incoming = round2(records.reduce((s, r) => s + Number(r.fieldCollection || 0), 0));
+    if (incoming > remaining) {
+      if (overpayment !== 'savings') {
+        throw new Error(`Collection of ${incoming} exceeds the ${remaining} needed to close the loan`);
+      }
+      savingsAccount = await ensureSavingsAccount(loan);
+      if (!savingsAccount) throw new Error('Overpayment cannot go to savings: loan has no client or group');
+      if (savingsAccount.currency !== loan.currency) {
+        throw new Error(`Overpayment cannot go to a ${savingsAccount.currency} savings account for a ${loan.currency} loan`);
+      }
+      records.forEach((r) => {
+        const amount = Number(r.fieldCollection || 0);
+        const applied = round2(Math.min(amount, remaining));
+        remaining = round2(remaining - applied);
+        if (applied < amount) {
+          r.overpayment = round2(amount - applied);
+          r.fieldCollection = applied;
+          excess += r.overpayment;
+        }
+      });
+      excess = round2(excess);
+    }
+  }
+
+  for (const r of records) {
+    if (!r.receiptNumber) r.receiptNumber = await nextReceiptNumber();
+  }
+  const total = records.reduce((s, r) => s + Number(r.fieldCollection || 0), 0);
+  records.forEach((r) => loan.collections.push(r));
+  loan.totalRealization = Number(loan.totalRealization || 0) + total;
+  if (loan.status === 'written_off') {
+    loan.writeOff.recoveredAmount = Number(loan.writeOff.recoveredAmount || 0) + total;
+  }
+  syncSchedule(loan);
+
+  const closed = open && amountToClose(loan) <= 0;
+  if (closed) {
+    const lastDate = records.reduce((max, r) => Math.max(max, new Date(r.collectionDate || Date.now()).getTime()), 0);
+    closeLoan(loan, { date: new Date(lastDate), reason: 'repaid' });
+  }
+  await loan.save();
+
+  if (excess > 0) {
+    const date = new Date();
+    savingsAccount = await depositForLoan(loan, excess, { date, account: savingsAccount, type: 'transfer', narration: 'Loan overpayment' });
+    try {
+      await recordMany([
+        {
+          metric: 'collateralSavingsDeposit',
+          value: excess,
+          date,
+          branchName: loan.branchName,
+          branchCode: loan.branchCode,
+          loanOfficerName: loan.loanOfficerName,
+          currency: loan.currency,
+          loan: loan._id,
+          group: loan.group,
+          client: loan.client,
+          extra: { overpayment: true },
+        },
+      ]);
+    } catch (mErr) {
+      console.error('[Metrics:overpayment] failed:', mErr.message);
+    }
+  }
+  if (closed) await finalizeClosure(loan);
+
+  return { loan, closed, overpayment: excess, savingsAccount };
+}
+
+// Collections saved before they had ids get a receipt number and have their id persisted
+// (mongoose assigns a fresh id on every load until the array is written back)
+async function backfillCollectionIds() {
+  const cursor = Loan.find({ collections: { $elemMatch: { receiptNumber: { $exists: false } } } }).cursor();
+  let updated = 0;
+  for await (const loan of cursor) {
+    const missing = loan.collections
+      .filter((c) => !c.receiptNumber)
+      .sort((a, b) => new Date(a.collectionDate) - new Date(b.collectionDate));
+    for (const c of missing) c.receiptNumber = await nextReceiptNumber();
+    loan.markModified('collections');
+    await loan.save();
+    updated += 1;
+  }
+  return { updated };
+}
+
+module.exports = {
+  amountToClose,
+  nextReceiptNumber,
+  expectedInstallmentAmount,
+  collectionRecordFrom,
+  collectionEvents,
+  recordCollectionMetrics,
+  syncSchedule,
+  postCollections,
+  backfillCollectionIds,
+};
@@ -0,0 +1,116 @@
+const Loan = require('../models/Loan');
+const Client = require('../models/Client');
+const LoanConfig = require('../models/LoanConfig');
+const { can } = require('./permissions');
+
+// Borrower exposure policy (LoanConfig.exposure, branch config else global), checked when a loan
+// is created and when it is activated. Each borrower (the client, or every member of a group
+// loan) may hold at most maxOpenLoans open loans including the new one, and unless
+// allowGroupAndIndividual is set may not be on a group loan and an individual/express loan at once.
+// mode 'block' refuses the loan, 'warn' lets it through with the conflicts listed, 'off' skips
+// the check. Approvers can override a block by giving a reason, which is recorded on the loan.
+
+const DEFAULT_EXPOSURE_POLICY = { mode: 'warn', maxOpenLoans: 1, allowGroupAndIndividual: false };
+
+// Loans that count towards a borrower's exposure (drafts do not)
+const OPEN_LOAN_STATUSES = ['submitted', 'under_review', 'approved', 'active', 'defaulted'];
+
+async function exposurePolicyFor(branchCode) {
+  const specific = branchCode ? await LoanConfig.findOne({ branchCode }) : null;
+  const global = await LoanConfig.findOne({ branchCode: { $exists: false } });
+  const cfg = [specific, global].find((c) => c && c.exposure && c.exposure.mode);
+  const policy = cfg ? cfg.exposure : {};
+  return {
+    mode: policy.mode || DEFAULT_EXPOSURE_POLICY.mode,
+    maxOpenLoans: policy.maxOpenLoans != null ? Number(policy.maxOpenLoans) : DEFAULT_EXPOSURE_POLICY.maxOpenLoans,
+    allowGroupAndIndividual: policy.allowGroupAndIndividual != null ? !!policy.allowGroupAndIndividual : DEFAULT_EXPOSURE_POLICY.allowGroupAndIndividual,
+  };
+}
+
+function borrowersOf(loan) {
+  const ids = loan.loanType === 'group' ? (loan.clients || []) : [loan.client];
+  return Array.from(new Set(ids.filter(Boolean).map(String)));
+}
+
+// Open loans of `loan`'s borrowers that break `policy`, one row per borrower and loan
+async function exposureConflicts(loan, policy) {
+  const borrowers = borrowersOf(loan);
+  if (!borrowers.length) return [];
+  const filter = {
+    status: { $in: OPEN_LOAN_STATUSES },
+    $or: [{ client: { $in: borrowers } }, { clients: { $in: borrowers } }],
+  };
+  if (loan._id) filter._id = { $ne: loan._id };
+  const open = await Loan.find(filter).select('loanType status client clients group loanAmount currency branchCode disbursementDate').lean();
+  if (!open.length) return [];
+  const names = new Map(
+    (await Client.find({ _id: { $in: borrowers } }).select('memberName').lean()).map((c) => [String(c._id), c.memberName])
+  );
+
+  const isGroup = loan.loanType === 'group';
+  const conflicts = [];
+  borrowers.forEach((borrower) => {
+    const theirs = open.filter((l) => String(l.client) === borrower || (l.clients || []).some((c) => String(c) === borrower));
+    const overLimit = theirs.length + 1 > policy.maxOpenLoans;
+    theirs.forEach((l) => {
+      const rules = [];
+      if (overLimit) rules.push('maxOpenLoans');
+      if (!policy.allowGroupAndIndividual && (l.loanType === 'group') !== isGroup) rules.push('groupAndIndividual');
+      if (!rules.length) return;
+      conflicts.push({
+        client: borrower,
+        memberName: names.get(borrower) || '',
+        loan: l._id,
+        loanType: l.loanType,
+        status: l.status,
+        loanAmount: l.loanAmount,
+        currency: l.currency,
+        branchCode: l.branchCode,
+        rules,
+      });
+    });
+  });
+  return conflicts;
+}
+
+// Applies the policy to `loan` at `stage` ('creation' | 'activation'). Returns
+//   {}                               - nothing to report
+//   { warnings }                     - conflicts found under mode 'warn'
+//   { override }                     - conflicts overridden; store override on the loan
+//   { status, error, conflicts }     - refuse the request
+async function evaluateExposure(loan, { user, override, stage }) {
+  const policy = await exposurePolicyFor(loan.branchCode);
+  if (policy.mode === 'off') return {};
+  const conflicts = await exposureConflicts(loan, policy);
+  if (!conflicts.length) return {};
+  if (policy.mode === 'warn') return { warnings: conflicts };
+
+  const reason = override && String(override.reason || '').trim();
+  if (reason) {
+    if (!can(user, 'loan.exposureOverride')) {
+      return { status: 403, error: 'Your role cannot override the exposure policy', conflicts };
+    }
+    return {
+      override: {
+        date: new Date(),
+        stage,
+        reason,
+        approvedBy: user.email,
+        conflicts: conflicts.map((c) => ({ client: c.client, loan: c.loan, rules: c.rules })),
+      },
+    };
+  }
+  return {
+    status: 409,
+    error: `Exposure policy: ${conflicts.length} conflicting open loan(s) for this borrower; an approver may override with exposureOverride.reason`,
+    conflicts,
+  };
+}
+
+module.exports = {
+  DEFAULT_EXPOSURE_POLICY,
+  OPEN_LOAN_STATUSES,
+  exposurePolicyFor,
+  exposureConflicts,
+  evaluateExposure,
+};
@@ -0,0 +1,265 @@
+const Loan = require('../models/Loan');
+const Client = require('../models/Client');
+const Guarantor = require('../models/Guarantor');
+const LoanConfig = require('../models/LoanConfig');
+const { totalRepayable } = require('./loanSchedule');
+const { amountToClose } = require('./collectionPosting');
+const { OPEN_LOAN_STATUSES } = require('./exposure');
+
+// Guarantor registry. Every guarantor entry on a loan (Loan.guarantors and Loan.guarantorInfo) is
+// linked to a Guarantor: matched by national ID, else by phone and name, else (with neither given)
+// by name within the branch, else registered. A
+// guarantor who is also a client is linked to the client. Exposure is what a guarantor currently
+// backs: their live loans (in approval, active or defaulted) and the balance still owed on them.
+// LoanConfig.guarantorLimits (branch config, else global) caps both for new guarantees.
+
+const DEFAULTED_STATUSES = ['defaulted', 'written_off'];
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+const nameKeyOf = (v) => String(v || '').trim().toLowerCase().replace(/\s+/g, ' ');
+// Last 9 digits, so local (077...) and international (+231 77...) forms of a number match
+const phoneKeyOf = (v) => {
+  const digits = String(v || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-9) : '';
+};
+const nationalIdKeyOf = (v) => String(v || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function keysOf(person) {
+  return {
+    nameKey: nameKeyOf(person.name),
+    phoneKey: phoneKeyOf(person.phoneNumber || person.cellphoneNumber),
+    nationalIdKey: nationalIdKeyOf(person.nationalId),
+  };
+}
+
+// Guarantor entries on a loan (plain object or document)
+function guarantorEntries(loan) {
+  return [...(loan.guarantors || []), loan.guarantorInfo].filter((e) => e && e.name);
+}
+
+// The client a guarantor is, matched by national ID, else by name and phone
+async function findClientFor(person) {
+  const { nameKey, phoneKey, nationalIdKey } = keysOf(person);
+  if (nationalIdKey) {
+    const byId = await Client.findOne({ nationalId: { $in: [String(person.nationalId).trim(), nationalIdKey] } }).select('_id');
+    if (byId) return byId._id;
+  }
+  if (phoneKey && nameKey) {
+    const byName = await Client.find({ memberName: new RegExp(`^\\s*${escapeRegex(nameKey).replace(/ /g, '\\s+')}\\s*$`, 'i') })
+      .select('phoneNumber');
+    const match = byName.find((c) => phoneKeyOf(c.phoneNumber) === phoneKey);
+    if (match) return match._id;
+  }
+  return null;
+}
+
+// Whether registry entry `g` is the person with `keys` (same rules as matchGuarantor)
+function sameGuarantor(g, keys, branchCode) {
+  if (keys.nationalIdKey) return g.nationalIdKey === keys.nationalIdKey;
+  if (keys.phoneKey) return g.phoneKey === keys.phoneKey && g.nameKey === keys.nameKey;
+  return g.nameKey === keys.nameKey && g.branchCode === branchCode;
+}
+
+// Registry entry for `entry` (a signatory on a loan). Nothing is written: an unknown person comes
+// back as a new, unsaved Guarantor and details the registry lacked are filled in unsaved; see
+// saveGuarantors.
+async function matchGuarantor(entry, { branchName, branchCode, createdByEmail } = {}) {
+  const person = { name: entry.name, phoneNumber: entry.cellphoneNumber, nationalId: entry.nationalId };
+  const keys = keysOf(person);
+  let guarantor = null;
+  if (keys.nationalIdKey) guarantor = await Guarantor.findOne({ nationalIdKey: keys.nationalIdKey });
+  if (!guarantor && keys.phoneKey) guarantor = await Guarantor.findOne({ phoneKey: keys.phoneKey, nameKey: keys.nameKey });
+  // Without phone or ID the name is all there is; it is matched within the branch only
+  if (!guarantor && !keys.phoneKey && !keys.nationalIdKey) guarantor = await Guarantor.findOne({ nameKey: keys.nameKey, branchCode });
+
+  if (!guarantor) {
+    return new Guarantor({
+      ...person,
+      ...keys,
+      phoneKey: keys.phoneKey || undefined,
+      nationalIdKey: keys.nationalIdKey || undefined,
+      address: entry.address,
+      occupation: entry.occupation,
+      client: (await findClientFor(person)) || undefined,
+      branchName,
+      branchCode,
+      createdByEmail,
+    });
+  }
+  // Fill in details the registry did not have yet
+  if (!guarantor.phoneKey && keys.phoneKey) Object.assign(guarantor, { phoneNumber: person.phoneNumber, phoneKey: keys.phoneKey });
+  if (!guarantor.nationalIdKey && keys.nationalIdKey) Object.assign(guarantor, { nationalId: person.nationalId, nationalIdKey: keys.nationalIdKey });
+  if (!guarantor.client) {
+    const client = await findClientFor(guarantor);
+    if (client) guarantor.client = client;
+  }
+  return guarantor;
+}
+
+// Links every guarantor entry on `loan` to the registry (sets entry.guarantor) and returns the
+// distinct guarantors. People not yet registered are not saved: call saveGuarantors once the loan
+// has been written.
+async function resolveLoanGuarantors(loan, context = {}) {
+  const byId = new Map();
+  for (const entry of guarantorEntries(loan)) {
+    const keys = keysOf({ name: entry.name, phoneNumber: entry.cellphoneNumber, nationalId: entry.nationalId });
+    // The same new person named twice on one loan is registered once
+    const pending = Array.from(byId.values()).find((g) => g.isNew && sameGuarantor(g, keys, loan.branchCode));
+    const guarantor = pending || await matchGuarantor(entry, {
+      branchName: loan.branchName,
+      branchCode: loan.branchCode,
+      ...context,
+    });
+    entry.guarantor = guarantor._id;
+    byId.set(String(guarantor._id), guarantor);
+  }
+  return Array.from(byId.values());
+}
+
+// Registers the new guarantors and saves the details filled in by resolveLoanGuarantors
+async function saveGuarantors(guarantors) {
+  for (const g of guarantors) {
+    if (g.isNew || g.isModified()) await g.save();
+  }
+}
+
+// Balance a guarantor backs on `loan`: what is left to close a disbursed loan, else the full repayable
+function guaranteedBalance(loan) {
+  if (['active', 'defaulted'].includes(loan.status)) return amountToClose(loan);
+  return round2(Number(loan.totalAmountToBePaid) || totalRepayable(loan) || Number(loan.loanAmount || 0));
+}
+
+// Live loans and outstanding balance (per currency) guaranteed by each of `guarantorIds`
+async function guarantorExposure(guarantorIds, { excludeLoan } = {}) {
+  const ids = guarantorIds.map(String);
+  const out = new Map(ids.map((id) => [id, { liveLoans: 0, outstanding: {}, loans: [] }]));
+  if (!ids.length) return out;
+  const filter = {
+    status: { $in: OPEN_LOAN_STATUSES },
+    $or: [{ 'guarantors.guarantor': { $in: ids } }, { 'guarantorInfo.guarantor': { $in: ids } }],
+  };
+  if (excludeLoan) filter._id = { $ne: excludeLoan };
+  const loans = await Loan.find(filter);
+  for (const loan of loans) {
+    const balance = guaranteedBalance(loan);
+    const backers = new Set(guarantorEntries(loan).map((e) => String(e.guarantor)).filter((id) => out.has(id)));
+    backers.forEach((id) => {
+      const row = out.get(id);
+      row.liveLoans += 1;
+      row.outstanding[loan.currency] = round2((row.outstanding[loan.currency] || 0) + balance);
+      row.loans.push({
+        loan: loan._id,
+        loanType: loan.loanType,
+        status: loan.status,
+        currency: loan.currency,
+        loanAmount: loan.loanAmount,
+        outstanding: balance,
+        branchCode: loan.branchCode,
+      });
+    });
+  }
+  return out;
+}
+
+async function guarantorLimitsFor(branchCode) {
+  const specific = branchCode ? await LoanConfig.findOne({ branchCode }) : null;
+  const global = await LoanConfig.findOne({ branchCode: { $exists: false } });
+  const cfg = [specific, global].find((c) => c && c.guarantorLimits
+    && (c.guarantorLimits.maxLiveLoans != null || c.guarantorLimits.maxOutstanding));
+  return cfg ? cfg.guarantorLimits : null;
+}
+
+// Error message when backing `loan` would take one of `guarantors` past the configured limits
+async function checkGuarantorLimits(loan, guarantors, { excludeLoan } = {}) {
+  const limits = await guarantorLimitsFor(loan.branchCode);
+  if (!limits || !guarantors.length) return null;
+  const exposure = await guarantorExposure(guarantors.map((g) => g._id), { excludeLoan });
+  const added = guaranteedBalance({ ...loan, status: 'pending' });
+  const maxOutstanding = limits.maxOutstanding && limits.maxOutstanding[loan.currency];
+  for (const g of guarantors) {
+    const row = exposure.get(String(g._id));
+    if (limits.maxLiveLoans != null && row.liveLoans + 1 > limits.maxLiveLoans) {
+      return `Guarantor ${g.name} already guarantees ${row.liveLoans} live loan(s); the limit is ${limits.maxLiveLoans}`;
+    }
+    const current = row.outstanding[loan.currency] || 0;
+    if (maxOutstanding != null && current + added > maxOutstanding) {
+      return `Guarantor ${g.name} would guarantee ${loan.currency} ${round2(current + added)}, above the ${loan.currency} ${maxOutstanding} limit`;
+    }
+  }
+  return null;
+}
+
+// Risk flags for a loan whose borrower guarantees a defaulted or written-off loan
+async function defaultedGuaranteeFlags(loan) {
+  const applicants = (loan.loanType === 'group' ? (loan.clients || []) : [loan.client]).filter(Boolean);
+  if (!applicants.length) return [];
+  const clients = await Client.find({ _id: { $in: applicants } }).select('nationalId');
+  const idKeys = clients.map((c) => nationalIdKeyOf(c.nationalId)).filter(Boolean);
+  const guarantors = await Guarantor.find({
+    $or: [{ client: { $in: applicants } }, ...(idKeys.length ? [{ nationalIdKey: { $in: idKeys } }] : [])],
+  }).select('_id client nationalIdKey');
+  if (!guarantors.length) return [];
+
+  const clientFor = (g) => {
+    if (g.client) return g.client;
+    const c = clients.find((cl) => nationalIdKeyOf(cl.nationalId) === g.nationalIdKey);
+    return c && c._id;
+  };
+  const ids = guarantors.map((g) => String(g._id));
+  const defaulted = await Loan.find({
+    status: { $in: DEFAULTED_STATUSES },
+    $or: [{ 'guarantors.guarantor': { $in: ids } }, { 'guarantorInfo.guarantor': { $in: ids } }],
+  }).select('status guarantors.guarantor guarantorInfo.guarantor');
+
+  const flags = [];
+  defaulted.forEach((l) => {
+    const backers = new Set(guarantorEntries(l).map((e) => String(e.guarantor)));
+    guarantors.filter((g) => backers.has(String(g._id))).forEach((g) => {
+      flags.push({
+        kind: 'guarantor_of_defaulted_loan',
+        client: clientFor(g),
+        guarantor: g._id,
+        loan: l._id,
+        loanStatus: l.status,
+        date: new Date(),
+      });
+    });
+  });
+  return flags;
+}
+
+// Links guarantor entries on loans saved before the registry existed
+async function backfillLoanGuarantors() {
+  const cursor = Loan.find({
+    $or: [
+      { guarantors: { $elemMatch: { name: { $exists: true }, guarantor: { $exists: false } } } },
+      { 'guarantorInfo.name': { $exists: true }, 'guarantorInfo.guarantor': { $exists: false } },
+    ],
+  }).select('branchName branchCode createdByEmail guarantors guarantorInfo').cursor();
+  let updated = 0;
+  for await (const loan of cursor) {
+    const plain = loan.toObject();
+    await saveGuarantors(await resolveLoanGuarantors(plain, { createdByEmail: loan.createdByEmail }));
+    const set = { guarantors: plain.guarantors || [] };
+    if (plain.guarantorInfo) set.guarantorInfo = plain.guarantorInfo;
+    // Written directly so the backfill does not re-run the loan hooks or audit
+    await Loan.collection.updateOne({ _id: loan._id }, { $set: set });
+    updated += 1;
+  }
+  return { updated };
+}
+
+module.exports = {
+  keysOf,
+  guarantorEntries,
+  findClientFor,
+  matchGuarantor,
+  resolveLoanGuarantors,
+  saveGuarantors,
+  guarantorExposure,
+  guarantorLimitsFor,
+  checkGuarantorLimits,
+  defaultedGuaranteeFlags,
+  backfillLoanGuarantors,
+};
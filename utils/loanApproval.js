@@ -0,0 +1,71 @@
+const LoanConfig = require('../models/LoanConfig');
+const { roleOf } = require('./permissions');
+
+// Loan approval chain. A loan officer submits a pending loan; it then passes the chain's stages in
+// order, each decided by one of the stage's roles, until the last applicable stage approves it.
+// The chain comes from LoanConfig.approval (branch config, else global), else the default below,
+// and is copied onto the loan at submission so config changes do not affect loans in flight.
+// A stage with amountAbove only applies when the amount being approved exceeds it.
+
+const DEFAULT_APPROVAL_STAGES = [
+  { key: 'review', label: 'Supervisor review', roles: ['loan supervisor'], requiresInspection: true },
+  { key: 'branch', label: 'Branch head approval', roles: ['branch head'] },
+  // amountAbove comes from approval.largeLoanThreshold; without one every loan needs this stage
+  { key: 'senior', label: 'Manager/CEO approval', roles: ['manager', 'ceo'], largeLoans: true },
+];
+
+const IN_APPROVAL_STATUSES = ['submitted', 'under_review'];
+
+async function approvalConfigFor(branchCode) {
+  const specific = branchCode ? await LoanConfig.findOne({ branchCode }) : null;
+  const global = await LoanConfig.findOne({ branchCode: { $exists: false } });
+  for (const cfg of [specific, global]) {
+    const approval = cfg && cfg.approval;
+    if (approval && ((approval.stages && approval.stages.length) || approval.largeLoanThreshold)) return approval;
+  }
+  return null;
+}
+
+// The chain for `loan`, with amount thresholds resolved for the loan currency
+async function approvalChainFor(loan) {
+  const approval = await approvalConfigFor(loan.branchCode);
+  const custom = approval && approval.stages && approval.stages.length ? approval.stages : null;
+  const threshold = approval && approval.largeLoanThreshold ? approval.largeLoanThreshold[loan.currency] : undefined;
+  return (custom || DEFAULT_APPROVAL_STAGES).map((stage) => {
+    let amountAbove = stage.amountAbove ? stage.amountAbove[loan.currency] : undefined;
+    if (stage.largeLoans) amountAbove = threshold;
+    return {
+      key: stage.key,
+      label: stage.label || stage.key,
+      roles: Array.from(stage.roles || []),
+      requiresInspection: !!stage.requiresInspection,
+      amountAbove: amountAbove != null ? Number(amountAbove) : undefined,
+    };
+  });
+}
+
+// Amount currently on the table: the last approved amount, else the amount applied for
+function amountUnderApproval(loan) {
+  const approved = loan.officialUse && loan.officialUse.approvedAmountToBeGiven;
+  return Number(approved != null ? approved : loan.loanAmount || 0);
+}
+
+// First stage of the loan's chain that applies and has not approved yet (null when none remain)
+function nextApprovalStage(loan) {
+  const amount = amountUnderApproval(loan);
+  const done = new Set((loan.approvals || []).filter((a) => a.decision === 'approved').map((a) => a.stage));
+  return (loan.approvalChain || []).find((stage) => (stage.amountAbove == null || amount > stage.amountAbove) && !done.has(stage.key)) || null;
+}
+
+function canDecideStage(user, stage) {
+  return !!stage && (stage.roles || []).includes(roleOf(user));
+}
+
+module.exports = {
+  DEFAULT_APPROVAL_STAGES,
+  IN_APPROVAL_STATUSES,
+  approvalChainFor,
+  amountUnderApproval,
+  nextApprovalStage,
+  canDecideStage,
+};
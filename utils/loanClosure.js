@@ -0,0 +1,190 @@
+const LoanConfig = require('../models/LoanConfig');
+const { currentSchedule } = require('./loanSchedule');
+const { penaltyTotals } = require('./penaltyAccrual');
+const { recordMany } = require('./metrics');
+const loanEvents = require('./loanEvents');
+const { releaseLoanLiens } = require('./savingsPosting');
+
+// Payoff quotes and loan closure. Early settlement rules live in
+// LoanConfig[<loanType>].earlySettlement (branch config, else global): interestRebatePercent of the
+// interest on installments not yet due is waived when the borrower settles early.
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+async function earlySettlementRulesFor(loan) {
+  const specific = loan.branchCode ? await LoanConfig.findOne({ branchCode: loan.branchCode }) : null;
+  const global = await LoanConfig.findOne({ branchCode: { $exists: false } });
+  for (const cfg of [specific, global]) {
+    const rules = cfg && cfg[loan.loanType] && cfg[loan.loanType].earlySettlement;
+    if (rules && rules.interestRebatePercent != null) return rules;
+  }
+  return null;
+}
+
+// What it takes to close `loan` on `asOf`. Installments already due are owed in full; interest on
+// later ones is rebated by `rebatePercent`. Per-installment rebates are returned so settle can
+// apply them to the schedule.
+function payoffQuote(loan, { asOf = new Date(), rebatePercent = 0 } = {}) {
+  const at = new Date(asOf);
+  const schedule = currentSchedule(loan, at);
+  const pct = Math.min(Math.max(Number(rebatePercent || 0), 0), 100);
+  const out = { principal: 0, interest: 0, fees: 0, unearnedInterest: 0, interestRebate: 0 };
+  const rebates = [];
+  for (const inst of schedule) {
+    // Payments cover fees, then interest, then principal (as in outstandingBreakdown)
+    let paid = Number(inst.amountPaid || 0);
+    const open = {};
+    for (const part of ['fees', 'interest', 'principal']) {
+      const due = Number(inst[part] || 0);
+      const covered = Math.min(paid, due);
+      open[part] = due - covered;
+      out[part] += open[part];
+      paid -= covered;
+    }
+    if (new Date(inst.dueDate) > at && open.interest > 0) {
+      const rebate = round2((open.interest * pct) / 100);
+      out.unearnedInterest += open.interest;
+      out.interestRebate += rebate;
+      if (rebate > 0) rebates.push({ installmentNumber: inst.installmentNumber, rebate });
+    }
+  }
+  const penalties = penaltyTotals(loan, schedule).outstanding;
+  const principal = round2(out.principal);
+  const interest = round2(out.interest);
+  const fees = round2(out.fees);
+  const interestRebate = round2(out.interestRebate);
+  return {
+    loan: loan._id,
+    asOf: at,
+    currency: loan.currency,
+    principal,
+    interest,
+    unearnedInterest: round2(out.unearnedInterest),
+    interestRebatePercent: pct,
+    interestRebate,
+    interestDue: round2(interest - interestRebate),
+    penalties,
+    fees,
+    total: round2(principal + interest - interestRebate + penalties + fees),
+    rebates,
+  };
+}
+
+// Schedule with the quote's interest rebates taken off the installments they belong to
+function applyRebates(schedule, rebates) {
+  const byNumber = new Map((rebates || []).map((r) => [r.installmentNumber, r.rebate]));
+  return schedule.map((inst) => {
+    const rebate = byNumber.get(inst.installmentNumber);
+    if (!rebate) return inst;
+    return {
+      ...inst,
+      originalAmountDue: inst.originalAmountDue != null ? inst.originalAmountDue : inst.amountDue,
+      interest: round2(Number(inst.interest || 0) - rebate),
+      amountDue: round2(Number(inst.amountDue || 0) - rebate),
+      interestRebate: rebate,
+    };
+  });
+}
+
+// Marks the loan document closed; the caller saves it
+function closeLoan(loan, { date = new Date(), reason = 'repaid' } = {}) {
+  loan.status = 'paid';
+  loan.closedAt = new Date(date);
+  loan.closureReason = reason;
+}
+
+// Undoes closeLoan when a reversal leaves a repaid loan with money owed again; the caller saves it
+function reopenLoan(loan) {
+  loan.status = 'active';
+  loan.closedAt = undefined;
+  loan.closureReason = undefined;
+}
+
+// Releases the collateral cash deposited into savings at activation once the loan is repaid or
+// settled in full, lifting its lien so the client can withdraw it
+async function releaseCollateral(loan, { date = new Date() } = {}) {
+  const amount = Number(loan.collateralCashAmount || 0);
+  if (!loan.client || !(amount > 0) || loan.collateralReleasedAt) return null;
+  if (loan.status !== 'paid' || !['repaid', 'settled'].includes(loan.closureReason)) return null;
+  const schedule = currentSchedule(loan);
+  const owed = schedule.reduce((s, inst) => s + Math.max(Number(inst.amountDue || 0) - Number(inst.amountPaid || 0), 0), 0)
+    + penaltyTotals(loan, schedule).outstanding;
+  if (round2(owed) > 0) return null;
+  loan.collateralReleasedAt = new Date(date);
+  await loan.save();
+  try {
+    await releaseLoanLiens(loan, { date: loan.collateralReleasedAt });
+  } catch (lErr) {
+    console.error('[Savings:releaseLien] failed:', lErr.message);
+  }
+  try {
+    await recordMany([
+      {
+        metric: 'collateralCashReleased',
+        value: amount,
+        date: loan.collateralReleasedAt,
+        branchName: loan.branchName,
+        branchCode: loan.branchCode,
+        loanOfficerName: loan.loanOfficerName,
+        currency: loan.currency,
+        loan: loan._id,
+        group: loan.group,
+        client: loan.client,
+        extra: { closureReason: loan.closureReason },
+      },
+    ]);
+  } catch (mErr) {
+    console.error('[Metrics:releaseCollateral] failed:', mErr.message);
+  }
+  return amount;
+}
+
+// Follow-up once a closed loan has been saved: collateral release, the loansClosed metric and the
+// 'loan:closed' event
+async function finalizeClosure(loan) {
+  await releaseCollateral(loan, { date: loan.closedAt || new Date() });
+  try {
+    await recordMany([
+      {
+        metric: 'loansClosed',
+        value: 1,
+        date: loan.closedAt || new Date(),
+        branchName: loan.branchName,
+        branchCode: loan.branchCode,
+        loanOfficerName: loan.loanOfficerName,
+        currency: loan.currency,
+        loan: loan._id,
+        group: loan.group,
+        client: loan.client,
+        extra: { closureReason: loan.closureReason },
+      },
+    ]);
+  } catch (mErr) {
+    console.error('[Metrics:loansClosed] failed:', mErr.message);
+  }
+  try {
+    loanEvents.emit('loan:closed', { loan, reason: loan.closureReason });
+  } catch (eErr) {
+    console.error('[LoanEvents:loan:closed] listener failed:', eErr.message);
+  }
+}
+
+// Follow-up once a reopened loan has been saved: the 'loan:reopened' event
+function announceReopened(loan) {
+  try {
+    loanEvents.emit('loan:reopened', { loan });
+  } catch (eErr) {
+    console.error('[LoanEvents:loan:reopened] listener failed:', eErr.message);
+  }
+}
+
+module.exports = {
+  earlySettlementRulesFor,
+  payoffQuote,
+  applyRebates,
+  closeLoan,
+  reopenLoan,
+  releaseCollateral,
+  finalizeClosure,
+  announceReopened,
+};
@@ -0,0 +1,99 @@
+const Loan = require('../models/Loan');
+const Client = require('../models/Client');
+const Group = require('../models/Group');
+const SavingsAccount = require('../models/Savings');
+const LoanConfig = require('../models/LoanConfig');
+const loanEvents = require('./loanEvents');
+
+// Loan cycles. A borrower's cycle is the number of their loans repaid (status 'paid', including
+// early settlement) plus one: a client on cycle 1 has never repaid a loan. Individual and express
+// loans count for their client, group loans for the group and each member. The cycle is stored
+// on the client, the group and their savings accounts, refreshed whenever a loan closes or reopens.
+// LoanConfig[<loanType>].cycleLimits caps the loan amount per cycle.
+
+async function clientLoanCycle(clientId) {
+  if (!clientId) return 1;
+  const repaid = await Loan.countDocuments({ status: 'paid', $or: [{ client: clientId }, { clients: clientId }] });
+  return repaid + 1;
+}
+
+async function groupLoanCycle(groupId) {
+  if (!groupId) return 1;
+  const repaid = await Loan.countDocuments({ status: 'paid', loanType: 'group', group: groupId });
+  return repaid + 1;
+}
+
+// Cycle a new loan is written in: the group's for group loans, else the client's
+async function loanCycleFor(loan) {
+  return loan.loanType === 'group' ? groupLoanCycle(loan.group) : clientLoanCycle(loan.client);
+}
+
+// Largest amount allowed on `cycle` (branch config, else global); null when not limited.
+// cycleLimits is ordered by cycle and each entry covers later cycles up to the next one; cycles
+// below the first entry have no limit.
+async function cycleLimitFor(loan, cycle) {
+  const specific = loan.branchCode ? await LoanConfig.findOne({ branchCode: loan.branchCode }) : null;
+  const global = await LoanConfig.findOne({ branchCode: { $exists: false } });
+  for (const cfg of [specific, global]) {
+    const limits = cfg && cfg[loan.loanType] && cfg[loan.loanType].cycleLimits;
+    if (!limits || !limits.length) continue;
+    const sorted = Array.from(limits).sort((a, b) => a.cycle - b.cycle);
+    const applicable = sorted.filter((l) => l.cycle <= cycle).pop();
+    if (!applicable) return null;
+    const max = applicable.maxAmount && applicable.maxAmount[loan.currency];
+    return max != null ? { cycle: applicable.cycle, maxAmount: Number(max) } : null;
+  }
+  return null;
+}
+
+// Error message when `loan.loanAmount` exceeds the limit for `cycle`, else null
+async function checkCycleLimit(loan, cycle) {
+  const limit = await cycleLimitFor(loan, cycle);
+  if (limit && Number(loan.loanAmount || 0) > limit.maxAmount) {
+    return `Loan amount exceeds the ${loan.currency} ${limit.maxAmount} limit for loan cycle ${cycle}`;
+  }
+  return null;
+}
+
+// Re-derives the stored cycle of everyone on `loan` after it closed or reopened
+async function refreshLoanCycles(loan) {
+  const clientIds = [loan.client, ...(loan.clients || [])].filter(Boolean);
+  for (const id of clientIds) {
+    const cycle = await clientLoanCycle(id);
+    await Client.updateOne({ _id: id }, { $set: { loanCycle: cycle } });
+    await SavingsAccount.updateOne({ accountType: 'individual', client: id }, { $set: { loanCycle: cycle } });
+  }
+  if (loan.loanType === 'group' && loan.group) {
+    const cycle = await groupLoanCycle(loan.group);
+    await Group.updateOne({ _id: loan.group }, { $set: { loanCycle: cycle } });
+    await SavingsAccount.updateOne({ accountType: 'group', group: loan.group }, { $set: { loanCycle: cycle } });
+  }
+}
+
+// Soft-fails like the other post-closure follow-ups
+async function refreshLoanCyclesSafely(loan) {
+  try {
+    await refreshLoanCycles(loan);
+  } catch (err) {
+    console.error('[LoanCycle] refresh failed:', err.message);
+  }
+}
+
+function startLoanCycleTracking() {
+  loanEvents.on('loan:closed', ({ loan }) => {
+    refreshLoanCyclesSafely(loan);
+  });
+  loanEvents.on('loan:reopened', ({ loan }) => {
+    refreshLoanCyclesSafely(loan);
+  });
+}
+
+module.exports = {
+  clientLoanCycle,
+  groupLoanCycle,
+  loanCycleFor,
+  cycleLimitFor,
+  checkCycleLimit,
+  refreshLoanCycles,
+  startLoanCycleTracking,
+};
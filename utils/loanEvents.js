@@ -0,0 +1,8 @@
+const { EventEmitter } = require('events');
+
+// In-process loan lifecycle events. Emitted after the change is saved; listeners must not throw.
+//   'loan:closed' ({ loan, reason }) - the loan moved to 'paid' (reason: 'repaid' | 'settled')
+//   'loan:reopened' ({ loan }) - a paid loan moved back to another status (e.g. a collection reversal)
+const loanEvents = new EventEmitter();
+
+module.exports = loanEvents;
@@ -0,0 +1,151 @@
+// Checks a loan payload against its LoanProduct and copies the product's terms onto it.
+// Amount, duration, payment plan, currency and guarantors must fall within the product; the
+// interest terms and any fees the product sets always come from the product.
+
+// Loan fields owned by the product once a loan is linked to it
+const PRODUCT_TERMS = [
+  'loanType',
+  'currency',
+  'interestRate',
+  'interestMethod',
+  'interestRateBasis',
+  'processingFeePercent',
+  'formFeeAmount',
+  'inspectionFeeAmount',
+  'collateralCashPercent',
+  'loanDurationNumber',
+  'loanDurationUnit',
+  'paymentPlan',
+];
+
+const durationLabel = (d) => `${d.number} ${d.unit}`;
+
+function hasCollateralItem(loan) {
+  const item = loan.collateralItem || {};
+  const details = loan.collateralDetails || {};
+  return !!(item.itemName || details.propertyGiven || (loan.collateralItemsText && String(loan.collateralItemsText).trim()));
+}
+
+// Validates `loan` (a plain payload) against `product` and fills in the product terms.
+// Returns an error message, or null when the loan fits the product.
+function applyLoanProduct(product, loan, { requireActive = true } = {}) {
+  if (requireActive && !product.active) return `Loan product ${product.name} is not active`;
+
+  if (loan.loanType && loan.loanType !== product.loanType) {
+    return `Loan product ${product.name} is for ${product.loanType} loans`;
+  }
+  loan.loanType = product.loanType;
+  if (loan.currency && loan.currency !== product.currency) {
+    return `Loan product ${product.name} lends in ${product.currency}`;
+  }
+  loan.currency = product.currency;
+
+  const amount = Number(loan.loanAmount);
+  if (!(amount > 0)) return 'loanAmount must be greater than 0';
+  if (amount < product.minAmount || amount > product.maxAmount) {
+    return `loanAmount must be between ${product.minAmount} and ${product.maxAmount} for ${product.name}`;
+  }
+
+  const durations = product.allowedDurations || [];
+  if (loan.loanType === 'express') {
+    // Express loans always run for one month (see the Loan model)
+    loan.loanDurationNumber = 1;
+    loan.loanDurationUnit = 'months';
+  } else if (loan.loanDurationNumber == null && durations.length === 1) {
+    loan.loanDurationNumber = durations[0].number;
+    loan.loanDurationUnit = durations[0].unit;
+  }
+  if (durations.length) {
+    const unit = loan.loanDurationUnit || 'weeks';
+    const allowed = durations.some((d) => Number(d.number) === Number(loan.loanDurationNumber) && d.unit === unit);
+    if (!allowed) {
+      return `Loan duration must be one of ${durations.map(durationLabel).join(', ')} for ${product.name}`;
+    }
+  }
+
+  const plans = product.paymentPlans || [];
+  if (!loan.paymentPlan && plans.length === 1) loan.paymentPlan = plans[0];
+  if (plans.length && loan.paymentPlan && !plans.includes(loan.paymentPlan)) {
+    return `paymentPlan must be one of ${plans.join(', ')} for ${product.name}`;
+  }
+
+  if (loan.interestRate != null && loan.interestRate !== '' && Number(loan.interestRate) !== Number(product.interestRate)) {
+    return `Loan product ${product.name} lends at ${product.interestRate}% interest`;
+  }
+  loan.interestRate = product.interestRate;
+  loan.interestMethod = product.interestMethod;
+  loan.interestRateBasis = product.interestRateBasis;
+
+  const guarantors = Array.isArray(loan.guarantors) ? loan.guarantors.length : 0;
+  if (guarantors < Number(product.requiredGuarantors || 0)) {
+    return `Loan product ${product.name} requires ${product.requiredGuarantors} guarantor(s)`;
+  }
+  const collateral = product.collateral || {};
+  if (collateral.itemRequired && !hasCollateralItem(loan)) {
+    return `Loan product ${product.name} requires collateral details`;
+  }
+
+  // Fees the product leaves unset are defaulted from the loan config by the Loan model
+  const fees = product.fees || {};
+  if (fees.processingFeePercent != null) loan.processingFeePercent = fees.processingFeePercent;
+  if (fees.inspectionFeeAmount != null) loan.inspectionFeeAmount = fees.inspectionFeeAmount;
+  if (collateral.cashPercent != null) loan.collateralCashPercent = collateral.cashPercent;
+  const returning = loan.isReturningClient === true || loan.isReturningClient === 'true';
+  const formFee = returning && fees.formFeeAmountReturning != null ? fees.formFeeAmountReturning : fees.formFeeAmount;
+  if (formFee != null) loan.formFeeAmount = formFee;
+
+  return null;
+}
+
+// Fields set from the product when the loan is created and not edited afterwards
+const PRODUCT_OWNED = ['interestRate', 'interestMethod', 'interestRateBasis', 'processingFeePercent', 'formFeeAmount', 'inspectionFeeAmount', 'collateralCashPercent'];
+
+// Validates an edit of an existing `loan` against its product. Only the fields `changes` alters are
+// checked, so a later edit of the product does not lock its loans; terms copied from the product
+// at creation stay as they were. Returns an error message, or null.
+function checkLoanEdit(product, loan, changes) {
+  const has = (f) => Object.prototype.hasOwnProperty.call(changes, f);
+  const changed = (f) => has(f) && String(changes[f] ?? '') !== String(loan[f] ?? '');
+  const merged = { ...loan, ...changes };
+
+  const owned = PRODUCT_OWNED.filter(changed);
+  if (owned.length) return `${owned.join(', ')} ${owned.length > 1 ? 'are' : 'is'} set by loan product ${product.name} and cannot be edited`;
+  if (changed('loanType') && merged.loanType !== product.loanType) return `Loan product ${product.name} is for ${product.loanType} loans`;
+  if (changed('currency') && merged.currency !== product.currency) return `Loan product ${product.name} lends in ${product.currency}`;
+
+  if (changed('loanAmount')) {
+    const amount = Number(merged.loanAmount);
+    if (!(amount > 0)) return 'loanAmount must be greater than 0';
+    if (amount < product.minAmount || amount > product.maxAmount) {
+      return `loanAmount must be between ${product.minAmount} and ${product.maxAmount} for ${product.name}`;
+    }
+  }
+
+  const durations = product.allowedDurations || [];
+  if ((changed('loanDurationNumber') || changed('loanDurationUnit')) && durations.length) {
+    const unit = merged.loanDurationUnit || 'weeks';
+    if (!durations.some((d) => Number(d.number) === Number(merged.loanDurationNumber) && d.unit === unit)) {
+      return `Loan duration must be one of ${durations.map(durationLabel).join(', ')} for ${product.name}`;
+    }
+  }
+
+  const plans = product.paymentPlans || [];
+  if (changed('paymentPlan') && plans.length && !plans.includes(merged.paymentPlan)) {
+    return `paymentPlan must be one of ${plans.join(', ')} for ${product.name}`;
+  }
+
+  if (has('guarantors')) {
+    const guarantors = Array.isArray(merged.guarantors) ? merged.guarantors.length : 0;
+    if (guarantors < Number(product.requiredGuarantors || 0)) {
+      return `Loan product ${product.name} requires ${product.requiredGuarantors} guarantor(s)`;
+    }
+  }
+  const collateral = product.collateral || {};
+  const editsCollateral = ['collateralItem', 'collateralDetails', 'collateralItemsText'].some(has);
+  if (editsCollateral && collateral.itemRequired && !hasCollateralItem(merged)) {
+    return `Loan product ${product.name} requires collateral details`;
+  }
+  return null;
+}
+
+module.exports = { PRODUCT_TERMS, applyLoanProduct, checkLoanEdit };
@@ -0,0 +1,326 @@
+// Repayment schedule (installments) for a loan and allocation of collections against it.
+// The schedule is persisted on Loan.schedule when the loan is activated and rebuilt when its
+// duration or collection start date changes; everything else reads from it.
+//
+// Interest methods:
+//   flat                         interest on the original principal, spread evenly
+//   declining_equal_installment  interest on the outstanding balance, level installments (annuity)
+//   declining_equal_principal    interest on the outstanding balance, level principal repayments
+// interestRate is read per interestRateBasis: 'term' (whole loan, the legacy meaning), 'period'
+// (each installment period) or 'annum' (per year, divided by the plan's periods per year).
+
+const INTEREST_METHODS = ['flat', 'declining_equal_installment', 'declining_equal_principal'];
+const RATE_BASES = ['term', 'period', 'annum'];
+const PERIODS_PER_YEAR = { weekly: 52, 'bi-weekly': 26, monthly: 12 };
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+function normalizePlan(plan) {
+  const p = String(plan || 'weekly').toLowerCase();
+  return ['weekly', 'bi-weekly', 'monthly'].includes(p) ? p : 'weekly';
+}
+
+// Duration converted to weeks (months ~ 4 weeks, years = 52 weeks)
+function toWeeks(n, unit) {
+  const num = Number(n || 0);
+  switch (String(unit || '').toLowerCase()) {
+    case 'days': return Math.max(Math.ceil(num / 7), 0);
+    case 'weeks': return Math.max(num, 0);
+    case 'months': return Math.max(num * 4, 0);
+    case 'years': return Math.max(num * 52, 0);
+    default: return Math.max(num, 0);
+  }
+}
+
+// Duration converted to months (days ~ 30, weeks ~ 4 per month)
+function toMonths(n, unit) {
+  const num = Number(n || 0);
+  switch (String(unit || '').toLowerCase()) {
+    case 'days': return Math.max(Math.ceil(num / 30), 0);
+    case 'weeks': return Math.max(Math.ceil(num / 4), 0);
+    case 'months': return Math.max(num, 0);
+    case 'years': return Math.max(num * 12, 0);
+    default: return Math.max(num, 0);
+  }
+}
+
+// Number of installments implied by the loan duration and payment plan (at least one)
+function periodCount(loan) {
+  const plan = normalizePlan(loan.paymentPlan);
+  const weeks = toWeeks(loan.loanDurationNumber, loan.loanDurationUnit);
+  let periods;
+  if (plan === 'weekly') periods = weeks;
+  else if (plan === 'bi-weekly') periods = Math.ceil(weeks / 2);
+  else periods = toMonths(loan.loanDurationNumber, loan.loanDurationUnit);
+  return Math.max(periods || 0, 1);
+}
+
+function addPeriods(date, plan, n) {
+  const d = new Date(date);
+  if (plan === 'weekly') d.setDate(d.getDate() + 7 * n);
+  else if (plan === 'bi-weekly') d.setDate(d.getDate() + 14 * n);
+  else d.setMonth(d.getMonth() + n);
+  return d;
+}
+
+// First installment falls on the collection start date, else one period after disbursement
+function firstDueDate(loan) {
+  const plan = normalizePlan(loan.paymentPlan);
+  if (loan.collectionStartDate && !isNaN(new Date(loan.collectionStartDate))) {
+    return new Date(loan.collectionStartDate);
+  }
+  const base = loan.disbursementDate || loan.createdAt || new Date();
+  return addPeriods(base, plan, 1);
+}
+
+function interestMethodOf(loan) {
+  return INTEREST_METHODS.includes(loan.interestMethod) ? loan.interestMethod : 'flat';
+}
+
+// Interest rate (fraction) applied per installment period
+function periodRate(loan, periods) {
+  const rate = Number(loan.interestRate || 0) / 100;
+  const basis = RATE_BASES.includes(loan.interestRateBasis) ? loan.interestRateBasis : 'term';
+  if (basis === 'period') return rate;
+  if (basis === 'annum') return rate / PERIODS_PER_YEAR[normalizePlan(loan.paymentPlan)];
+  return rate / periods;
+}
+
+// Splits `total` into `periods` equal parts; rounding drift lands on the last part
+function splitEvenly(total, periods) {
+  const base = round2(total / periods);
+  const parts = Array.from({ length: periods }, () => base);
+  parts[periods - 1] = round2(total - base * (periods - 1));
+  return parts;
+}
+
+// Principal and interest per period for the loan's interest method
+function amortize(loan, periods) {
+  const principal = round2(loan.loanAmount);
+  const r = periodRate(loan, periods);
+  const method = interestMethodOf(loan);
+
+  if (method === 'flat') {
+    // An explicit totalAmountToBePaid above principal (manual override / legacy data) wins
+    const total = Number(loan.totalAmountToBePaid || 0);
+    const interest = Number.isFinite(total) && total > principal ? round2(total - principal) : round2(principal * r * periods);
+    const principalParts = splitEvenly(principal, periods);
+    const interestParts = splitEvenly(interest, periods);
+    return principalParts.map((p, i) => ({ principal: p, interest: interestParts[i] }));
+  }
+
+  const rows = [];
+  let balance = principal;
+  const level = method === 'declining_equal_installment' && r > 0
+    ? principal * r / (1 - Math.pow(1 + r, -periods))
+    : principal / periods;
+  const principalPart = round2(principal / periods);
+  for (let i = 0; i < periods; i++) {
+    const interest = round2(balance * r);
+    let p = method === 'declining_equal_installment' ? round2(level - interest) : principalPart;
+    if (i === periods - 1) p = round2(balance); // last row clears the balance
+    rows.push({ principal: p, interest });
+    balance = round2(balance - p);
+  }
+  return rows;
+}
+
+// Builds the unpaid installment list for a loan
+function buildSchedule(loan) {
+  const plan = normalizePlan(loan.paymentPlan);
+  const periods = periodCount(loan);
+  const first = firstDueDate(loan);
+
+  return amortize(loan, periods).map((row, i) => ({
+    installmentNumber: i + 1,
+    dueDate: addPeriods(first, plan, i),
+    principal: row.principal,
+    interest: row.interest,
+    fees: 0,
+    amountDue: round2(row.principal + row.interest),
+    amountPaid: 0,
+    status: 'pending',
+  }));
+}
+
+// Interest over the whole term under the loan's interest method
+function totalInterest(loan) {
+  return round2(amortize(loan, periodCount(loan)).reduce((sum, row) => sum + row.interest, 0));
+}
+
+// Total repayable (principal + interest)
+function totalRepayable(loan) {
+  return round2(Number(loan.loanAmount || 0) + totalInterest(loan));
+}
+
+// Collections that count towards repayment (reversed rows are kept on the loan for history only)
+function activeCollections(collections) {
+  return (collections || []).filter((c) => !c.reversed);
+}
+
+function installmentStatus(inst, asOf) {
+  // Superseded by a reschedule; kept for history
+  if (inst.status === 'rescheduled') return 'rescheduled';
+  const outstanding = round2(inst.amountDue - inst.amountPaid);
+  if (outstanding <= 0) return 'paid';
+  if (new Date(inst.dueDate) < asOf) return 'overdue';
+  return inst.amountPaid > 0 ? 'partial' : 'pending';
+}
+
+// Re-applies every collection, oldest first, to installments in schedule order (due-date order, with
+// installments added by a reschedule after the ones they replace).
+// Returns a fresh array; installments keep their amounts, only paid/status fields change.
+function allocateCollections(schedule, collections, asOf = new Date()) {
+  const installments = (schedule || []).map((inst) => ({
+    ...(typeof inst.toObject === 'function' ? inst.toObject() : inst),
+    amountPaid: 0,
+    paidAt: undefined,
+  }));
+  const ordered = activeCollections(collections)
+    .filter((c) => Number(c.fieldCollection || 0) > 0)
+    .sort((a, b) => new Date(a.collectionDate) - new Date(b.collectionDate));
+
+  let idx = 0;
+  for (const c of ordered) {
+    let remaining = Number(c.fieldCollection || 0);
+    while (remaining > 0 && idx < installments.length) {
+      const inst = installments[idx];
+      const open = round2(inst.amountDue - inst.amountPaid);
+      if (open <= 0) {
+        idx += 1;
+        continue;
+      }
+      const applied = Math.min(open, remaining);
+      inst.amountPaid = round2(inst.amountPaid + applied);
+      remaining = round2(remaining - applied);
+      if (round2(inst.amountDue - inst.amountPaid) <= 0) {
+        inst.paidAt = c.collectionDate ? new Date(c.collectionDate) : new Date();
+        idx += 1;
+      }
+    }
+  }
+
+  const at = asOf ? new Date(asOf) : new Date();
+  installments.forEach((inst) => { inst.status = installmentStatus(inst, at); });
+  return installments;
+}
+
+// Fresh schedule for `loan` (optionally with pending field changes) with its collections applied.
+// Returns the fields to persist on the loan.
+function rebuildSchedule(loan, overrides = {}) {
+  const source = { ...(typeof loan.toObject === 'function' ? loan.toObject() : loan), ...overrides };
+  const schedule = allocateCollections(buildSchedule(source), source.collections);
+  return {
+    schedule,
+    endingDate: schedule[schedule.length - 1].dueDate,
+    weeklyInstallment: schedule[0].amountDue,
+  };
+}
+
+// Restructures the loan from `date` onward. Installments still to fall due (and, when
+// capitaliseArrears is set, overdue ones too) are marked 'rescheduled' and reduced to what was
+// already paid on them; their unpaid principal and interest are spread evenly over a new term.
+// Earlier installments are left untouched. Returns the new schedule and a restructure record.
+function rescheduleLoan(loan, {
+  date = new Date(),
+  loanDurationNumber,
+  loanDurationUnit,
+  paymentPlan,
+  firstDueDate: firstDue,
+  capitaliseArrears = false,
+}) {
+  const at = new Date(date);
+  const plan = normalizePlan(paymentPlan || loan.paymentPlan);
+  const installments = currentSchedule(loan, at);
+  const previousSchedule = installments.map((inst) => ({ ...inst }));
+
+  let principal = 0;
+  let interest = 0;
+  let arrears = 0;
+  installments.forEach((inst) => {
+    if (inst.status === 'rescheduled') return;
+    const open = round2(inst.amountDue - inst.amountPaid);
+    if (open <= 0) return;
+    const future = new Date(inst.dueDate) >= at;
+    if (!future && !capitaliseArrears) return;
+    if (!future) arrears += open;
+
+    // Split what was paid the same way outstandingBreakdown does: fees, interest, then principal
+    let paid = Number(inst.amountPaid || 0);
+    const paidFees = Math.min(paid, Number(inst.fees || 0)); paid -= paidFees;
+    const paidInterest = Math.min(paid, Number(inst.interest || 0)); paid -= paidInterest;
+    const paidPrincipal = Math.min(paid, Number(inst.principal || 0));
+    principal += Number(inst.principal || 0) - paidPrincipal;
+    interest += Number(inst.interest || 0) - paidInterest + Number(inst.fees || 0) - paidFees;
+
+    inst.originalAmountDue = inst.amountDue;
+    inst.principal = round2(paidPrincipal);
+    inst.interest = round2(paidInterest);
+    inst.fees = round2(paidFees);
+    inst.amountDue = round2(inst.amountPaid);
+    inst.status = 'rescheduled';
+  });
+  principal = round2(principal);
+  interest = round2(interest);
+  if (!(principal + interest > 0)) throw new Error('Nothing left to reschedule on this loan');
+
+  const periods = periodCount({ paymentPlan: plan, loanDurationNumber, loanDurationUnit });
+  const first = firstDue ? new Date(firstDue) : addPeriods(at, plan, 1);
+  const principalParts = splitEvenly(principal, periods);
+  const interestParts = splitEvenly(interest, periods);
+  const nextNumber = installments.reduce((max, inst) => Math.max(max, inst.installmentNumber || 0), 0) + 1;
+  const added = principalParts.map((p, i) => ({
+    installmentNumber: nextNumber + i,
+    dueDate: addPeriods(first, plan, i),
+    principal: p,
+    interest: interestParts[i],
+    fees: 0,
+    amountDue: round2(p + interestParts[i]),
+    amountPaid: 0,
+    status: 'pending',
+  }));
+
+  const schedule = allocateCollections([...installments, ...added], loan.collections, new Date());
+  return {
+    schedule,
+    endingDate: added[added.length - 1].dueDate,
+    weeklyInstallment: added[0].amountDue,
+    restructure: {
+      date: at,
+      newTerm: { loanDurationNumber, loanDurationUnit, paymentPlan: plan },
+      firstDueDate: first,
+      newInstallment: added[0].amountDue,
+      capitaliseArrears: !!capitaliseArrears,
+      arrearsCapitalised: capitaliseArrears ? round2(arrears) : 0,
+      principalRescheduled: principal,
+      interestRescheduled: interest,
+      previousSchedule,
+    },
+  };
+}
+
+// Stored schedule with allocation refreshed, or a computed one for loans without a persisted schedule
+function currentSchedule(loan, asOf = new Date()) {
+  const stored = Array.isArray(loan.schedule) && loan.schedule.length ? loan.schedule : buildSchedule(loan);
+  return allocateCollections(stored, loan.collections, asOf);
+}
+
+// Earliest installment that still has an amount outstanding
+function nextOpenInstallment(schedule) {
+  return (schedule || []).find((inst) => round2(inst.amountDue - inst.amountPaid) > 0) || null;
+}
+
+module.exports = {
+  INTEREST_METHODS,
+  RATE_BASES,
+  periodCount,
+  totalInterest,
+  totalRepayable,
+  buildSchedule,
+  activeCollections,
+  allocateCollections,
+  rebuildSchedule,
+  rescheduleLoan,
+  currentSchedule,
+  nextOpenInstallment,
+};
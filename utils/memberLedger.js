@@ -0,0 +1,90 @@
+const { currentSchedule, allocateCollections, activeCollections } = require('./loanSchedule');
+
+// Per-member sub-ledgers of a group loan. Each member owes the loan schedule scaled by their share
+// of the principal (what was distributed to them / loanAmount) and is credited with the
+// collections posted against their member id. Collections without a member are reported as
+// unattributed.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+// The loan schedule scaled to `share` of the loan
+function memberSchedule(schedule, share) {
+  return schedule.map((inst) => {
+    const principal = round2(Number(inst.principal || 0) * share);
+    const interest = round2(Number(inst.interest || 0) * share);
+    const fees = round2(Number(inst.fees || 0) * share);
+    return {
+      installmentNumber: inst.installmentNumber,
+      dueDate: inst.dueDate,
+      principal,
+      interest,
+      fees,
+      amountDue: round2(principal + interest + fees),
+      amountPaid: 0,
+      status: inst.status === 'rescheduled' ? 'rescheduled' : 'pending',
+    };
+  });
+}
+
+// `distributions` are the loan's Distribution records; `names` maps member id to a display name
+function buildMemberLedgers(loan, distributions, { asOf = new Date(), names = new Map() } = {}) {
+  const at = new Date(asOf);
+  const schedule = currentSchedule(loan, at);
+  const loanAmount = Number(loan.loanAmount || 0);
+
+  const members = new Map();
+  const ensure = (id, name) => {
+    const key = String(id);
+    if (!members.has(key)) {
+      members.set(key, { member: id, memberName: names.get(key) || name || '', distributed: 0, collections: [] });
+    }
+    return members.get(key);
+  };
+  (loan.clients || []).forEach((id) => ensure(id));
+  (distributions || []).forEach((d) => {
+    if (!d.member) return;
+    ensure(d.member, d.memberName).distributed += Number(d.amount || 0);
+  });
+
+  const unattributed = { collections: 0, amount: 0 };
+  activeCollections(loan.collections).forEach((c) => {
+    if (c.member && members.has(String(c.member))) {
+      members.get(String(c.member)).collections.push(c);
+    } else {
+      unattributed.collections += 1;
+      unattributed.amount += Number(c.fieldCollection || 0);
+    }
+  });
+  unattributed.amount = round2(unattributed.amount);
+
+  const rows = Array.from(members.values()).map((m) => {
+    const distributed = round2(m.distributed);
+    const share = loanAmount > 0 ? distributed / loanAmount : 0;
+    const installments = allocateCollections(memberSchedule(schedule, share), m.collections, at);
+    const sum = (field) => round2(installments.reduce((s, inst) => s + Number(inst[field] || 0), 0));
+    const overdue = installments.filter((inst) => inst.status === 'overdue');
+    const oldest = overdue[0];
+    const next = installments.find((inst) => round2(inst.amountDue - inst.amountPaid) > 0 && new Date(inst.dueDate) >= at);
+    return {
+      member: m.member,
+      memberName: m.memberName,
+      distributed,
+      sharePercent: round2(share * 100),
+      interestShare: sum('interest'),
+      totalDue: sum('amountDue'),
+      paid: sum('amountPaid'),
+      outstanding: round2(sum('amountDue') - sum('amountPaid')),
+      arrears: round2(overdue.reduce((s, inst) => s + inst.amountDue - inst.amountPaid, 0)),
+      installmentsInArrears: overdue.length,
+      daysPastDue: oldest ? Math.max(Math.floor((at - new Date(oldest.dueDate)) / DAY_MS), 0) : 0,
+      nextDue: next ? { installmentNumber: next.installmentNumber, dueDate: next.dueDate, amount: round2(next.amountDue - next.amountPaid) } : null,
+      collections: m.collections.length,
+      schedule: installments,
+    };
+  });
+
+  return { members: rows, unattributed };
+}
+
+module.exports = { memberSchedule, buildMemberLedgers };
@@ -1,4 +1,5 @@
 const Metric = require('../models/Metric');
+const { totalInterest } = require('./loanSchedule');
 
 function normalizeDay(d) {
   const dt = d ? new Date(d) : new Date();
@@ -51,20 +52,18 @@ async function recordMany(events) {
   return Metric.insertMany(docs);
 }
 
+// Interest over the whole term for the loan's interest method (flat or declining balance)
 function computeInterestForLoan(loan) {
-  // Basic flat interest assumption: interestRate is a percent over the full loan amount for the term
-  const amt = Number(loan.loanAmount || 0);
-
-  // Prefer explicit totalAmountToBePaid when available (handles legacy data and manual overrides)
-  const total = Number(loan.totalAmountToBePaid || 0);
-  if (Number.isFinite(total) && total > amt && amt > 0) {
-    const interestFromTotal = Number((total - amt).toFixed(2));
-    if (!isNaN(interestFromTotal)) return interestFromTotal;
-  }
+  const interest = totalInterest(loan);
+  return Number.isFinite(interest) ? interest : 0;
+}
 
-  const rate = Number(loan.interestRate || 0);
-  const interest = Number(((amt * rate) / 100).toFixed(2));
-  return isNaN(interest) ? 0 : interest;
+// Interest attributable to `amount` of the loan's principal (e.g. one group distribution)
+function interestShareForAmount(loan, amount) {
+  const principal = Number(loan.loanAmount || 0);
+  if (!(principal > 0)) return 0;
+  const share = Number(((Number(amount || 0) * computeInterestForLoan(loan)) / principal).toFixed(2));
+  return isNaN(share) ? 0 : share;
 }
 
 function collateralValueFromLoan(loan) {
@@ -84,5 +83,6 @@ module.exports = {
   recordMetric,
   recordMany,
   computeInterestForLoan,
+  interestShareForAmount,
   collateralValueFromLoan,
 };
@@ -0,0 +1,159 @@
+const Loan = require('../models/Loan');
+const LoanConfig = require('../models/LoanConfig');
+const { currentSchedule, activeCollections } = require('./loanSchedule');
+const { recordMany } = require('./metrics');
+
+// Late payment penalties. Rules live in LoanConfig[<loanType>].penalty (branch config, else global).
+// Each overdue installment past its grace period is charged at most once per kind:
+//   flat    - flatFeePerMissedInstallment
+//   arrears - arrearsPercent of what is still unpaid on the installment
+// The total of non-waived penalties on a loan never exceeds maxTotal. Accrual is idempotent, so
+// the daily job can safely re-run.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+async function penaltyRulesFor(loan, cache = new Map()) {
+  const key = `${loan.branchCode || ''}|${loan.loanType}`;
+  if (cache.has(key)) return cache.get(key);
+  let rules = null;
+  const specific = loan.branchCode ? await LoanConfig.findOne({ branchCode: loan.branchCode }) : null;
+  const global = await LoanConfig.findOne({ branchCode: { $exists: false } });
+  for (const cfg of [specific, global]) {
+    const penalty = cfg && cfg[loan.loanType] && cfg[loan.loanType].penalty;
+    if (penalty && (penalty.flatFeePerMissedInstallment > 0 || penalty.arrearsPercent > 0)) {
+      rules = penalty;
+      break;
+    }
+  }
+  cache.set(key, rules);
+  return rules;
+}
+
+// Accrued/waived/paid/outstanding penalties. Collections settle scheduled installments first;
+// only the excess over the scheduled total pays penalties.
+function penaltyTotals(loan, schedule = currentSchedule(loan)) {
+  const penalties = loan.penalties || [];
+  const accrued = round2(penalties.filter((p) => !p.waived).reduce((s, p) => s + Number(p.amount || 0), 0));
+  const waived = round2(penalties.filter((p) => p.waived).reduce((s, p) => s + Number(p.amount || 0), 0));
+  const collected = activeCollections(loan.collections).reduce((s, c) => s + Math.max(Number(c.fieldCollection || 0), 0), 0);
+  const scheduled = schedule.reduce((s, inst) => s + Number(inst.amountDue || 0), 0);
+  const paid = round2(Math.min(Math.max(collected - scheduled, 0), accrued));
+  return { accrued, waived, paid, outstanding: round2(accrued - paid) };
+}
+
+// Non-waived penalty total per installment number
+function penaltiesByInstallment(loan) {
+  const out = {};
+  (loan.penalties || []).forEach((p) => {
+    if (p.waived) return;
+    out[p.installmentNumber] = round2((out[p.installmentNumber] || 0) + Number(p.amount || 0));
+  });
+  return out;
+}
+
+// Penalty entries that should exist on `loan` as of `asOf` but do not yet
+function duePenalties(loan, rules, asOf = new Date()) {
+  if (!rules) return [];
+  const charged = new Set((loan.penalties || []).map((p) => `${p.installmentNumber}:${p.kind}`));
+  let total = (loan.penalties || []).filter((p) => !p.waived).reduce((s, p) => s + Number(p.amount || 0), 0);
+  const cap = rules.maxTotal != null ? Number(rules.maxTotal) : Infinity;
+  const graceMs = Number(rules.graceDays || 0) * DAY_MS;
+  const entries = [];
+
+  const add = (inst, kind, amount, arrears) => {
+    if (charged.has(`${inst.installmentNumber}:${kind}`)) return;
+    const capped = round2(Math.min(amount, cap - total));
+    if (!(capped > 0)) return;
+    total += capped;
+    entries.push({ installmentNumber: inst.installmentNumber, kind, amount: capped, arrearsAmount: arrears, accruedAt: asOf });
+  };
+
+  for (const inst of currentSchedule(loan, asOf)) {
+    const arrears = round2(Number(inst.amountDue || 0) - Number(inst.amountPaid || 0));
+    if (!(arrears > 0)) continue;
+    if (new Date(inst.dueDate).getTime() + graceMs >= asOf.getTime()) continue;
+    if (rules.flatFeePerMissedInstallment > 0) add(inst, 'flat', Number(rules.flatFeePerMissedInstallment), arrears);
+    if (rules.arrearsPercent > 0) add(inst, 'arrears', arrears * Number(rules.arrearsPercent) / 100, arrears);
+  }
+  return entries;
+}
+
+// Charges any due penalties on one loan and records them as penalty income. Each entry is pushed
+// only if the loan does not already carry that installment's charge, so overlapping runs (startup,
+// the daily timer, POST /penalties/accrue) cannot charge it twice.
+async function accrueLoanPenalties(loan, rules, asOf = new Date()) {
+  const due = duePenalties(loan, rules, asOf);
+  const entries = [];
+  for (const e of due) {
+    const result = await Loan.updateOne(
+      { _id: loan._id, penalties: { $not: { $elemMatch: { installmentNumber: e.installmentNumber, kind: e.kind } } } },
+      { $push: { penalties: e } }
+    );
+    if (result.modifiedCount) entries.push(e);
+  }
+  if (!entries.length) return [];
+
+  try {
+    await recordMany(entries.map((e) => ({
+      metric: 'penaltyIncome',
+      value: e.amount,
+      date: asOf,
+      branchName: loan.branchName,
+      branchCode: loan.branchCode,
+      loanOfficerName: loan.loanOfficerName,
+      currency: loan.currency,
+      loan: loan._id,
+      group: loan.group,
+      client: loan.client,
+      extra: { installmentNumber: e.installmentNumber, kind: e.kind },
+    })));
+  } catch (mErr) {
+    console.error('[Metrics:penaltyAccrual] failed:', mErr.message);
+  }
+  return entries;
+}
+
+// Runs accrual over active loans (optionally narrowed by `filter`, e.g. a branch scope)
+async function accruePenalties({ asOf = new Date(), filter = {} } = {}) {
+  const cache = new Map();
+  const summary = { loansChecked: 0, loansCharged: 0, penalties: 0, totalAmount: 0 };
+  const cursor = Loan.find({ ...filter, status: 'active' }).cursor();
+  for await (const loan of cursor) {
+    summary.loansChecked += 1;
+    try {
+      const rules = await penaltyRulesFor(loan, cache);
+      const entries = await accrueLoanPenalties(loan, rules, asOf);
+      if (entries.length) {
+        summary.loansCharged += 1;
+        summary.penalties += entries.length;
+        summary.totalAmount = round2(summary.totalAmount + entries.reduce((s, e) => s + e.amount, 0));
+      }
+    } catch (err) {
+      console.error(`[Penalties:accrue] loan ${loan._id} failed:`, err.message);
+    }
+  }
+  return summary;
+}
+
+// Runs accrual now and then daily just after midnight
+function startPenaltyAccrualJob() {
+  const run = () => accruePenalties()
+    .then((summary) => console.log('[Penalties] accrual completed', summary))
+    .catch((err) => console.error('[Penalties] accrual failed:', err.message));
+
+  const next = new Date();
+  next.setHours(24, 5, 0, 0);
+  setTimeout(() => {
+    run();
+    setInterval(run, DAY_MS);
+  }, next.getTime() - Date.now());
+  run();
+}
+
+module.exports = {
+  penaltyTotals,
+  penaltiesByInstallment,
+  accruePenalties,
+  startPenaltyAccrualJob,
+};
@@ -0,0 +1,167 @@
+// Central permission matrix: which roles may perform which action.
+// Route guards use authorize(action) from middleware/roleGuard; controllers call
+// can(user, action, resource) when the decision depends on the record being touched.
+const { inBranchScope } = require('./branchScope');
+
+const ROLES = [
+  'ceo',
+  'admin',
+  'manager',
+  'loan supervisor',
+  'branch head',
+  'loan officer',
+  'field agent',
+  'teller',
+  'customer service',
+  'staff',
+];
+
+// Roles that only ever see and change records they created or are the officer of
+const OWN_RECORDS_ROLES = ['loan officer', 'field agent'];
+
+// Role sets reused by the table below
+const ALL = ROLES;
+const APPROVERS = ['ceo', 'admin', 'manager', 'branch head'];
+const LENDING = ['ceo', 'admin', 'manager', 'loan supervisor', 'branch head', 'loan officer', 'field agent'];
+const BACK_OFFICE = ['ceo', 'admin', 'manager', 'loan supervisor', 'branch head', 'teller', 'customer service', 'staff'];
+
+const PERMISSIONS = {
+  // Users and access control
+  'user.view': ALL,
+  'user.manage': ['ceo', 'admin'],
+  'permission.view': ['ceo', 'admin'],
+  'audit.view': APPROVERS,
+
+  // Customers
+  'client.view': ALL,
+  'client.manage': [...LENDING, 'customer service'],
+  'client.delete': APPROVERS,
+  'group.view': ALL,
+  'group.manage': [...LENDING, 'customer service'],
+  'group.delete': APPROVERS,
+  'community.view': ALL,
+  'community.manage': [...LENDING, 'customer service'],
+  'community.delete': APPROVERS,
+  'guarantor.view': ALL,
+  'guarantor.manage': [...LENDING, 'customer service'],
+
+  // Loans
+  'loan.view': ALL,
+  'loan.create': LENDING,
+  'loan.update': LENDING,
+  'loan.delete': APPROVERS,
+  'loan.status': LENDING,
+  'loan.approve': APPROVERS,
+  'loan.close': APPROVERS,
+  'loan.submit': LENDING,
+  // Deciding an approval stage; the stage's own roles are checked in utils/loanApproval
+  'loan.review': [...APPROVERS, 'loan supervisor'],
+  'loan.exposureOverride': APPROVERS,
+  'loan.writeOff': APPROVERS,
+  'loan.reschedule': APPROVERS,
+  'loan.settle': [...APPROVERS, 'teller'],
+  'collection.create': [...LENDING, 'teller'],
+  'collection.reverse': APPROVERS,
+  'lien.offset': APPROVERS,
+  'penalty.waive': APPROVERS,
+  'penalty.accrue': APPROVERS,
+  'agreement.view': ALL,
+  'agreement.update': LENDING,
+  'collateral.view': ALL,
+  'collateral.pledge': LENDING,
+  'collateral.release': APPROVERS,
+  'collateral.seize': APPROVERS,
+  'distribution.view': ALL,
+  'distribution.create': APPROVERS,
+  'distribution.update': APPROVERS,
+  'distribution.delete': APPROVERS,
+  'config.view': ALL,
+  'config.update': APPROVERS,
+  'product.view': ALL,
+  // The product catalog applies to every branch
+  'product.manage': ['ceo', 'admin'],
+
+  // Savings
+  'savings.view': ALL,
+  'savings.create': [...LENDING, 'teller', 'customer service'],
+  'savings.transact': [...LENDING, 'teller'],
+  'savings.approveWithdrawal': APPROVERS,
+  'savings.reverse': APPROVERS,
+  'savings.interest': APPROVERS,
+  'savingsProduct.view': ALL,
+  'savingsProduct.manage': ['ceo', 'admin'],
+
+  // Offline field app
+  'sync.use': [...LENDING, 'teller'],
+
+  // Finance
+  'expense.view': BACK_OFFICE,
+  'expense.create': BACK_OFFICE,
+  'expense.update': BACK_OFFICE,
+  'expense.approve': APPROVERS,
+  'expense.delete': APPROVERS,
+  'asset.view': BACK_OFFICE,
+  'asset.manage': APPROVERS,
+  'metrics.view': ALL,
+  'report.view': [...APPROVERS, 'loan supervisor'],
+  'provision.run': APPROVERS,
+  'metrics.create': APPROVERS,
+  // Recalculation rebuilds every branch, so it is reserved for cross-branch roles
+  'metrics.recalculate': ['ceo', 'admin'],
+};
+
+function roleOf(user) {
+  return (user && user.role ? String(user.role).trim().toLowerCase() : '');
+}
+
+function isOwnRecordsOnly(user) {
+  return OWN_RECORDS_ROLES.includes(roleOf(user));
+}
+
+// A record belongs to the user when they created it or are named as its loan officer
+function ownsRecord(user, record) {
+  if (!user || !record) return false;
+  const email = String(user.email || '').toLowerCase();
+  if (record.createdByEmail && String(record.createdByEmail).toLowerCase() === email) return true;
+  return !!(record.loanOfficerName && user.username && record.loanOfficerName === user.username);
+}
+
+// Narrows a loan query to the loans an own-records user created or is the loan officer of
+function applyOwnLoansFilter(user, filter) {
+  if (isOwnRecordsOnly(user)) {
+    filter.$or = [
+      { createdByEmail: user.email },
+      { loanOfficerName: user.username },
+    ];
+  }
+  return filter;
+}
+
+// True when the user's role is granted `action` and the resource (if given) sits in one of the
+// user's branches and, for own-records roles, is theirs
+function can(user, action, resource) {
+  if (!user) return false;
+  const allowed = PERMISSIONS[action];
+  if (!allowed || !allowed.includes(roleOf(user))) return false;
+  if (resource && !inBranchScope(user, resource)) return false;
+  if (resource && isOwnRecordsOnly(user) && !ownsRecord(user, resource)) return false;
+  return true;
+}
+
+// Actions granted to a role, used by the permissions endpoint
+function actionsForRole(role) {
+  const key = String(role || '').trim().toLowerCase();
+  return Object.keys(PERMISSIONS).filter((action) => PERMISSIONS[action].includes(key));
+}
+
+module.exports = {
+  ROLES,
+  OWN_RECORDS_ROLES,
+  PERMISSIONS,
+  roleOf,
+  isOwnRecordsOnly,
+  ownsRecord,
+  applyOwnLoansFilter,
+  can,
+  actionsForRole,
+};
@@ -0,0 +1,109 @@
+const { currentSchedule } = require('./loanSchedule');
+
+// Portfolio aging: outstanding principal and days past due per loan, bucketed for PAR reporting.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+const AGING_BUCKETS = [
+  { key: 'current', min: 0, max: 0 },
+  { key: '1-30', min: 1, max: 30 },
+  { key: '31-60', min: 31, max: 60 },
+  { key: '61-90', min: 61, max: 90 },
+  { key: '90+', min: 91, max: Infinity },
+];
+
+function bucketFor(daysPastDue) {
+  return AGING_BUCKETS.find((b) => daysPastDue >= b.min && daysPastDue <= b.max).key;
+}
+
+// The schedule as it stood at `asOf`: collections dated later are left out
+function scheduleAsOf(loan, asOf) {
+  const collections = (loan.collections || []).filter((c) => !c.collectionDate || new Date(c.collectionDate) <= asOf);
+  if (collections.length === (loan.collections || []).length) return currentSchedule(loan, asOf);
+  return currentSchedule({ ...(loan.toObject ? loan.toObject() : loan), collections }, asOf);
+}
+
+// Unpaid principal, interest and fees across the schedule. Within an installment, payments
+// cover fees, then interest, then principal.
+function outstandingBreakdown(loan, asOf = new Date(), schedule = currentSchedule(loan, asOf)) {
+  const out = { principal: 0, interest: 0, fees: 0 };
+  for (const inst of schedule) {
+    let paid = Number(inst.amountPaid || 0);
+    for (const part of ['fees', 'interest', 'principal']) {
+      const due = Number(inst[part] || 0);
+      const covered = Math.min(paid, due);
+      out[part] += due - covered;
+      paid -= covered;
+    }
+  }
+  return { principal: round2(out.principal), interest: round2(out.interest), fees: round2(out.fees) };
+}
+
+// Outstanding principal and days past due of the oldest unpaid installment as of `asOf`
+function loanAging(loan, asOf = new Date()) {
+  const schedule = scheduleAsOf(loan, asOf);
+  const oldest = schedule.find((inst) => round2(Number(inst.amountDue || 0) - Number(inst.amountPaid || 0)) > 0
+    && new Date(inst.dueDate) < asOf);
+  const daysPastDue = oldest ? Math.max(Math.floor((asOf - new Date(oldest.dueDate)) / DAY_MS), 0) : 0;
+  const { principal } = outstandingBreakdown(loan, asOf, schedule);
+  return { outstandingPrincipal: principal, daysPastDue, bucket: bucketFor(daysPastDue), restructured: !!loan.isRestructured };
+}
+
+function emptyRow(keys) {
+  const buckets = {};
+  AGING_BUCKETS.forEach((b) => { buckets[b.key] = { loans: 0, outstandingPrincipal: 0 }; });
+  return { ...keys, loans: 0, outstandingPrincipal: 0, buckets, par1Principal: 0, par30Principal: 0, restructuredLoans: 0, restructuredPrincipal: 0 };
+}
+
+function addToRow(row, aging) {
+  row.loans += 1;
+  row.outstandingPrincipal += aging.outstandingPrincipal;
+  row.buckets[aging.bucket].loans += 1;
+  row.buckets[aging.bucket].outstandingPrincipal += aging.outstandingPrincipal;
+  if (aging.daysPastDue >= 1) row.par1Principal += aging.outstandingPrincipal;
+  if (aging.daysPastDue > 30) row.par30Principal += aging.outstandingPrincipal;
+  if (aging.restructured) {
+    row.restructuredLoans += 1;
+    row.restructuredPrincipal += aging.outstandingPrincipal;
+  }
+}
+
+function finishRow(row) {
+  row.outstandingPrincipal = round2(row.outstandingPrincipal);
+  Object.values(row.buckets).forEach((b) => { b.outstandingPrincipal = round2(b.outstandingPrincipal); });
+  row.par1Principal = round2(row.par1Principal);
+  row.par30Principal = round2(row.par30Principal);
+  row.restructuredPrincipal = round2(row.restructuredPrincipal);
+  // Ratios as percentages of outstanding principal
+  row.par1 = row.outstandingPrincipal ? round2((row.par1Principal / row.outstandingPrincipal) * 100) : 0;
+  row.par30 = row.outstandingPrincipal ? round2((row.par30Principal / row.outstandingPrincipal) * 100) : 0;
+  return row;
+}
+
+// Aggregates loans into PAR rows keyed by currency plus `splitFields`; totals are per currency
+// because amounts in different currencies cannot be added.
+function buildParReport(loans, { asOf = new Date(), splitFields = [] } = {}) {
+  const rows = new Map();
+  const totals = new Map();
+  for (const loan of loans) {
+    const aging = loanAging(loan, asOf);
+    if (!(aging.outstandingPrincipal > 0)) continue;
+
+    const keys = { currency: loan.currency };
+    splitFields.forEach((f) => { keys[f] = loan[f] == null ? null : loan[f]; });
+    if (splitFields.includes('branchCode')) keys.branchName = loan.branchName;
+    const rowKey = JSON.stringify(keys);
+    if (!rows.has(rowKey)) rows.set(rowKey, emptyRow(keys));
+    addToRow(rows.get(rowKey), aging);
+
+    if (!totals.has(loan.currency)) totals.set(loan.currency, emptyRow({ currency: loan.currency }));
+    addToRow(totals.get(loan.currency), aging);
+  }
+  return {
+    rows: Array.from(rows.values()).map(finishRow),
+    totals: Array.from(totals.values()).map(finishRow),
+  };
+}
+
+module.exports = { AGING_BUCKETS, outstandingBreakdown, loanAging, buildParReport };
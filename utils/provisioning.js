@@ -0,0 +1,115 @@
+const Loan = require('../models/Loan');
+const LoanConfig = require('../models/LoanConfig');
+const Metric = require('../models/Metric');
+const { loanAging } = require('./portfolio');
+const { recordMany } = require('./metrics');
+
+// Loan-loss provisioning. Required provision per branch and currency is the outstanding principal in
+// each PAR bucket times the configured rate (LoanConfig.provisionRates, branch config else global).
+// The allowance is every 'loanLossProvision' posted so far minus every 'loanWriteOff'; a run posts
+// the difference as a 'loanLossProvision' metric (negative when provisions are released).
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+// PAR bucket key -> LoanConfig.provisionRates field
+const RATE_FIELDS = {
+  current: 'current',
+  '1-30': 'days1to30',
+  '31-60': 'days31to60',
+  '61-90': 'days61to90',
+  '90+': 'over90',
+};
+
+async function provisionRatesFor(branchCode, cache) {
+  if (cache.has(branchCode)) return cache.get(branchCode);
+  const specific = branchCode ? await LoanConfig.findOne({ branchCode }) : null;
+  const global = await LoanConfig.findOne({ branchCode: { $exists: false } });
+  const rates = (specific && specific.provisionRates) || (global && global.provisionRates) || {};
+  cache.set(branchCode, rates);
+  return rates;
+}
+
+async function currentAllowances(asOf, filter) {
+  const match = { metric: { $in: ['loanLossProvision', 'loanWriteOff'] }, date: { $lte: asOf } };
+  if (filter.branchCode) match.branchCode = filter.branchCode;
+  const rows = await Metric.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { branchCode: '$branchCode', currency: '$currency' },
+        branchName: { $first: '$branchName' },
+        provision: { $sum: { $cond: [{ $eq: ['$metric', 'loanLossProvision'] }, '$value', 0] } },
+        writeOff: { $sum: { $cond: [{ $eq: ['$metric', 'loanWriteOff'] }, '$value', 0] } },
+      },
+    },
+  ]);
+  return rows;
+}
+
+// Required provision vs current allowance per branch/currency as of `asOf`
+async function computeProvisioning({ asOf = new Date(), filter = {} } = {}) {
+  const loans = await Loan.find({ ...filter, status: { $in: ['active', 'defaulted'] } })
+    .select('schedule collections loanAmount interestRate interestMethod interestRateBasis totalAmountToBePaid currency paymentPlan loanDurationNumber loanDurationUnit disbursementDate collectionStartDate createdAt branchName branchCode')
+    .lean();
+
+  const cache = new Map();
+  const rows = new Map();
+  const rowFor = (branchCode, branchName, currency) => {
+    const key = `${branchCode}|${currency}`;
+    if (!rows.has(key)) {
+      const buckets = {};
+      Object.keys(RATE_FIELDS).forEach((b) => { buckets[b] = { outstandingPrincipal: 0, rate: 0, required: 0 }; });
+      rows.set(key, { branchCode, branchName, currency, outstandingPrincipal: 0, buckets, required: 0, allowance: 0 });
+    }
+    return rows.get(key);
+  };
+
+  for (const loan of loans) {
+    const aging = loanAging(loan, asOf);
+    if (!(aging.outstandingPrincipal > 0)) continue;
+    const rates = await provisionRatesFor(loan.branchCode, cache);
+    const rate = Number(rates[RATE_FIELDS[aging.bucket]] || 0);
+    const row = rowFor(loan.branchCode, loan.branchName, loan.currency);
+    row.outstandingPrincipal += aging.outstandingPrincipal;
+    row.buckets[aging.bucket].outstandingPrincipal += aging.outstandingPrincipal;
+    row.buckets[aging.bucket].rate = rate;
+    row.buckets[aging.bucket].required += (aging.outstandingPrincipal * rate) / 100;
+  }
+
+  for (const a of await currentAllowances(asOf, filter)) {
+    // Branches without open loans still need their allowance released
+    const row = rowFor(a._id.branchCode, a.branchName, a._id.currency);
+    row.allowance = round2(a.provision - a.writeOff);
+  }
+
+  return Array.from(rows.values()).map((row) => {
+    row.outstandingPrincipal = round2(row.outstandingPrincipal);
+    Object.values(row.buckets).forEach((b) => {
+      b.outstandingPrincipal = round2(b.outstandingPrincipal);
+      b.required = round2(b.required);
+    });
+    row.required = round2(Object.values(row.buckets).reduce((s, b) => s + b.required, 0));
+    row.adjustment = round2(row.required - row.allowance);
+    return row;
+  });
+}
+
+// Computes provisioning and posts the adjustments
+async function runProvisioning({ asOf = new Date(), filter = {}, postedBy } = {}) {
+  const rows = await computeProvisioning({ asOf, filter });
+  const events = rows
+    .filter((row) => Math.abs(row.adjustment) >= 0.01)
+    .map((row) => ({
+      metric: 'loanLossProvision',
+      value: row.adjustment,
+      date: asOf,
+      branchName: row.branchName,
+      branchCode: row.branchCode,
+      currency: row.currency,
+      extra: { provisioningRun: true, required: row.required, allowanceBefore: row.allowance, postedBy },
+    }));
+  if (events.length) await recordMany(events);
+  return { asOf, posted: events.length, rows };
+}
+
+module.exports = { computeProvisioning, runProvisioning };
@@ -1,8 +1,9 @@
 const mongoose = require('mongoose');
 const Loan = require('../models/Loan');
 const Distribution = require('../models/Distribution');
+const Collateral = require('../models/Collateral');
 const Metric = require('../models/Metric');
-const { recordMany, computeInterestForLoan, collateralValueFromLoan } = require('./metrics');
+const { recordMany, computeInterestForLoan, interestShareForAmount, collateralValueFromLoan } = require('./metrics');
 
 async function recalculateAllMetrics() {
 
@@ -21,6 +22,12 @@ async function recalculateAllMetrics() {
     'totalInspectionFees',
     'totalProcessingFees',
     'collateralCashDeposited',
+    'penaltyIncome',
+    'loanWriteOff',
+    'loanRecovery',
+    'interestRebate',
+    'loansClosed',
+    'collateralCashReleased',
   ];
   await Metric.deleteMany({ metric: { $in: loanMetrics } });
   console.log('[Metrics Recalc] Cleared existing loan-derived metrics.');
@@ -73,9 +80,9 @@ async function recalculateAllMetrics() {
     }
 
     // B. Activation Metrics (Status = active)
-    // If loan is active/paid/defaulted, it must have been activated.
+    // If loan is active/paid/defaulted/written off, it must have been activated.
     // Use disbursementDate if available, else updatedAt (approximation of activation time)
-    if (['active', 'paid', 'defaulted'].includes(loan.status)) {
+    if (['active', 'paid', 'defaulted', 'written_off'].includes(loan.status)) {
       const activationDate = loan.disbursementDate || loan.updatedAt || creationDate;
       
       // Interest
@@ -121,12 +128,33 @@ async function recalculateAllMetrics() {
       }
     }
 
+    // Write-off: loss against the allowance and removal of the remaining receivable
+    const writeOff = loan.status === 'written_off' && loan.writeOff && loan.writeOff.date ? loan.writeOff : null;
+    if (writeOff) {
+      const amount = Number((Number(writeOff.principal || 0) + Number(writeOff.interest || 0)).toFixed(2));
+      if (amount > 0) {
+        const extra = { recalc: true, type: 'writeOff', principal: writeOff.principal, interest: writeOff.interest };
+        eventsBuffer.push({ ...base, metric: 'loanWriteOff', value: amount, date: writeOff.date, extra });
+        eventsBuffer.push({ ...base, metric: 'waitingToBeCollected', value: -amount, date: writeOff.date, extra });
+      }
+    }
+
     // C. Collections
     if (loan.collections && loan.collections.length > 0) {
        loan.collections.forEach((col, idx) => {
+         // A reversed collection and its compensating events net to zero
+         if (col.reversed) return;
          const collected = Number(col.fieldCollection || 0);
          const collectionDate = col.collectionDate || new Date();
-         
+
+         // Collected after write-off: recovery income only
+         if (writeOff && new Date(collectionDate) >= new Date(writeOff.date)) {
+           if (collected !== 0) {
+             eventsBuffer.push({ ...base, metric: 'loanRecovery', value: collected, date: collectionDate, extra: { recalc: true, type: 'recovery', idx } });
+           }
+           return;
+         }
+
          if (collected !== 0) {
            eventsBuffer.push({
              ...base,
@@ -159,6 +187,36 @@ async function recalculateAllMetrics() {
        });
     }
 
+    // Penalties (waived ones net to zero, so only standing charges are rebuilt)
+    (loan.penalties || []).forEach((p) => {
+      if (p.waived || !p.amount) return;
+      eventsBuffer.push({
+        ...base,
+        metric: 'penaltyIncome',
+        value: Number(p.amount),
+        date: p.accruedAt || new Date(),
+        extra: { recalc: true, type: 'penalty', installmentNumber: p.installmentNumber, kind: p.kind },
+      });
+    });
+
+    // Early settlement rebate: interest income that will never be collected
+    const rebate = loan.settlement ? Number(loan.settlement.interestRebate || 0) : 0;
+    if (rebate > 0) {
+      const extra = { recalc: true, type: 'settlement' };
+      eventsBuffer.push({ ...base, metric: 'interestRebate', value: rebate, date: loan.settlement.date, extra });
+      eventsBuffer.push({ ...base, metric: 'interestCollected', value: -rebate, date: loan.settlement.date, extra });
+      eventsBuffer.push({ ...base, metric: 'waitingToBeCollected', value: -rebate, date: loan.settlement.date, extra });
+    }
+
+    // Closure
+    if (loan.status === 'paid' && loan.closedAt) {
+      const extra = { recalc: true, type: 'closure', closureReason: loan.closureReason };
+      eventsBuffer.push({ ...base, metric: 'loansClosed', value: 1, date: loan.closedAt, extra });
+      if (loan.collateralReleasedAt && loan.client && Number(loan.collateralCashAmount || 0) > 0) {
+        eventsBuffer.push({ ...base, metric: 'collateralCashReleased', value: Number(loan.collateralCashAmount), date: loan.collateralReleasedAt, extra });
+      }
+    }
+
     if (eventsBuffer.length >= BATCH_SIZE) {
       await flushBuffer();
     }
@@ -188,8 +246,7 @@ async function recalculateAllMetrics() {
     // For group loans, waiting should reflect principal plus interest on the distributed amount.
     let waitingValue = amount;
     if (loan && loan.loanType === 'group') {
-      const rate = Number(loan.interestRate || 0);
-      const interestShare = Number(((amount * rate) / 100).toFixed(2));
+      const interestShare = interestShareForAmount(loan, amount);
       waitingValue = Number((amount + interestShare).toFixed(2));
     }
     eventsBuffer.push({ ...base, metric: 'waitingToBeCollected', value: waitingValue });
@@ -199,6 +256,32 @@ async function recalculateAllMetrics() {
     }
   }
 
+  // E. Collateral pledged through the register, taken out again when released or sold
+  const collateral = await Collateral.find({}).select('loan client group branchName branchCode loanOfficerName currency valuation itemType pledgedAt status released.date sold.date');
+  for (const c of collateral) {
+    const value = Number((c.valuation && c.valuation.amount) || 0);
+    if (!(value > 0)) continue;
+    const cBase = {
+      metric: 'totalCollateral',
+      branchName: c.branchName,
+      branchCode: c.branchCode,
+      loanOfficerName: c.loanOfficerName,
+      currency: c.currency,
+      loan: c.loan,
+      group: c.group,
+      client: c.client,
+    };
+    const extra = { recalc: true, type: 'collateral', collateral: String(c._id), itemType: c.itemType };
+    eventsBuffer.push({ ...cBase, value, date: c.pledgedAt || new Date(), extra });
+    if (['released', 'sold'].includes(c.status)) {
+      const left = c[c.status] || {};
+      eventsBuffer.push({ ...cBase, value: -value, date: left.date || new Date(), extra: { ...extra, [c.status]: true } });
+    }
+    if (eventsBuffer.length >= BATCH_SIZE) {
+      await flushBuffer();
+    }
+  }
+
   await flushBuffer();
   console.log('[Metrics Recalc] Completed.');
   return { success: true, loans: loans.length, distributions: distributions.length };
@@ -0,0 +1,15 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request context (actor, route, ip) that follows the request through async model hooks
+const storage = new AsyncLocalStorage();
+
+function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+// Returns the current request context, or an empty object outside a request (jobs, scripts)
+function getRequestContext() {
+  return storage.getStore() || {};
+}
+
+module.exports = { runWithContext, getRequestContext };
@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const SavingsAccount = require('../models/Savings');
+const SavingsProduct = require('../models/SavingsProduct');
+const { recordMany } = require('./metrics');
+
+// Savings interest. Each calendar month is accrued once it has ended, on the month's minimum or
+// average daily balance as the account's product says; accrued interest is posted to the account
+// as a deposit at the product's posting frequency and recorded as a 'savingsInterestPaid' expense.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+const MONTHS_PER_POSTING = { monthly: 1, quarterly: 3, semi_annually: 6, annually: 12 };
+
+const monthStart = (d) => new Date(d.getFullYear(), d.getMonth(), 1);
+const nextMonth = (d) => new Date(d.getFullYear(), d.getMonth() + 1, 1);
+
+// Balance of `account` over [start, end): the lowest balance held, or the day-weighted average
+function periodBalance(account, start, end, method) {
+  const txns = (account.transactions || [])
+    .filter((t) => new Date(t.date) < end)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  let balance = 0;
+  let i = 0;
+  for (; i < txns.length && new Date(txns[i].date) < start; i++) balance = Number(txns[i].balance || 0);
+  let lowest = balance;
+  let weighted = 0;
+  let from = start;
+  for (; i < txns.length; i++) {
+    const at = new Date(txns[i].date);
+    weighted += balance * (at - from);
+    from = at;
+    balance = Number(txns[i].balance || 0);
+    lowest = Math.min(lowest, balance);
+  }
+  weighted += balance * (end - from);
+  return method === 'average_daily_balance' ? round2(weighted / (end - start)) : round2(lowest);
+}
+
+// Accrues every month of `account` that ended before `asOf` and posts what is due; returns the
+// interest transactions posted. The write is conditional on the accrual date the account was loaded
+// with, so overlapping runs (startup, the daily timer, POST /interest/run) accrue a month only once,
+// and the balance is added to in the database rather than overwritten from the loaded copy.
+async function accrueAccountInterest(account, product, asOf = new Date()) {
+  const limit = monthStart(asOf);
+  let start = account.interestAccruedThrough ? new Date(account.interestAccruedThrough) : monthStart(account.createdAt || asOf);
+  if (start >= limit) return [];
+  const accruals = (account.interestAccruals || []).map((a) => (a.toObject ? a.toObject() : { ...a }));
+  let accrued = Number(account.accruedInterest || 0);
+  const posted = [];
+  const now = new Date();
+  for (; start < limit; start = nextMonth(start)) {
+    const end = nextMonth(start);
+    const balance = periodBalance(account, start, end, product.calculationMethod);
+    const days = Math.round((end - start) / DAY_MS);
+    const earns = balance > 0 && balance >= Number(product.minimumBalanceToEarn || 0);
+    const amount = earns ? round2((balance * Number(product.interestRate || 0) / 100) * (days / 365)) : 0;
+    accruals.push({
+      periodStart: start,
+      periodEnd: end,
+      method: product.calculationMethod,
+      balance,
+      rate: product.interestRate,
+      amount,
+    });
+    accrued = round2(accrued + amount);
+
+    const months = MONTHS_PER_POSTING[product.postingFrequency] || 1;
+    if ((start.getMonth() + 1) % months !== 0 || !(accrued > 0)) continue;
+    const txn = {
+      _id: new mongoose.Types.ObjectId(),
+      date: now,
+      type: 'interest',
+      direction: 'in',
+      amount: accrued,
+      currency: account.currency,
+      branchName: account.branchName,
+      branchCode: account.branchCode,
+      narration: `Savings interest to ${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}`,
+    };
+    accruals.forEach((a) => {
+      if (a.postedAt) return;
+      a.postedAt = now;
+      a.transaction = txn._id;
+    });
+    accrued = 0;
+    posted.push(txn);
+  }
+
+  // Each posted entry's balance is what the account holds at write time plus the interest so far
+  let cumulative = 0;
+  const entries = posted.map((txn) => {
+    cumulative = round2(cumulative + txn.amount);
+    const fields = Object.fromEntries(Object.entries(txn).map(([k, v]) => [k, { $literal: v }]));
+    return { ...fields, balance: { $round: [{ $add: [{ $ifNull: ['$currentBalance', 0] }, cumulative] }, 2] } };
+  });
+  const result = await SavingsAccount.updateOne(
+    { _id: account._id, interestAccruedThrough: account.interestAccruedThrough || { $exists: false } },
+    [
+      {
+        $set: {
+          interestAccruals: { $literal: accruals },
+          accruedInterest: { $literal: accrued },
+          interestAccruedThrough: { $literal: limit },
+          transactions: { $concatArrays: [{ $ifNull: ['$transactions', []] }, entries] },
+          currentBalance: { $round: [{ $add: [{ $ifNull: ['$currentBalance', 0] }, cumulative] }, 2] },
+        },
+      },
+    ]
+  );
+  // Another run got there first
+  if (!result.modifiedCount) return [];
+
+  if (posted.length) {
+    try {
+      await recordMany(posted.map((txn) => ({
+        metric: 'savingsInterestPaid',
+        value: txn.amount,
+        date: txn.date,
+        branchName: account.branchName,
+        branchCode: account.branchCode,
+        currency: account.currency,
+        client: account.client,
+        group: account.group,
+        extra: { savingsAccount: String(account._id), transaction: String(txn._id) },
+      })));
+    } catch (mErr) {
+      console.error('[Metrics:savingsInterest] failed:', mErr.message);
+    }
+  }
+  return posted;
+}
+
+// Runs accrual over accounts with a savings product (optionally narrowed by `filter`, e.g. a branch scope)
+async function accrueSavingsInterest({ asOf = new Date(), filter = {} } = {}) {
+  const products = new Map();
+  const summary = { accountsChecked: 0, accountsPaid: 0, postings: 0, totalAmount: 0 };
+  const cursor = SavingsAccount.find({ ...filter, product: { $ne: null } }).cursor();
+  for await (const account of cursor) {
+    summary.accountsChecked += 1;
+    try {
+      const key = String(account.product);
+      if (!products.has(key)) products.set(key, await SavingsProduct.findById(account.product));
+      const product = products.get(key);
+      if (!product) continue;
+      if (product.currency !== account.currency) {
+        throw new Error(`product ${product.name} is ${product.currency} but the account is ${account.currency}`);
+      }
+      const posted = await accrueAccountInterest(account, product, asOf);
+      if (posted.length) {
+        summary.accountsPaid += 1;
+        summary.postings += posted.length;
+        summary.totalAmount = round2(summary.totalAmount + posted.reduce((s, t) => s + t.amount, 0));
+      }
+    } catch (err) {
+      console.error(`[Savings:interest] account ${account._id} failed:`, err.message);
+    }
+  }
+  return summary;
+}
+
+// Runs now and then daily just after midnight; months are only accrued once they have ended,
+// so the run on the first of the month does the month-end work and the others find nothing to do
+function startSavingsInterestJob() {
+  const run = () => accrueSavingsInterest()
+    .then((summary) => console.log('[Savings] interest accrual completed', summary))
+    .catch((err) => console.error('[Savings] interest accrual failed:', err.message));
+
+  const next = new Date();
+  next.setHours(24, 15, 0, 0);
+  setTimeout(() => {
+    run();
+    setInterval(run, DAY_MS);
+  }, next.getTime() - Date.now());
+  run();
+}
+
+module.exports = {
+  nextMonth,
+  periodBalance,
+  accrueAccountInterest,
+  accrueSavingsInterest,
+  startSavingsInterestJob,
+};
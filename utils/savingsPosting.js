@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const SavingsAccount = require('../models/Savings');
+const { clientLoanCycle, groupLoanCycle } = require('./loanCycle');
+
+// The savings account money for `loan` goes to: the client's individual account, else the group's
+// account. Created on first use.
+async function ensureSavingsAccount(loan) {
+  const filter = loan.client
+    ? { accountType: 'individual', client: loan.client }
+    : (loan.group ? { accountType: 'group', group: loan.group } : null);
+  if (!filter) return null;
+  const existing = await SavingsAccount.findOne(filter);
+  if (existing) return existing;
+  return SavingsAccount.create({
+    ...filter,
+    group: loan.group || undefined,
+    branchName: loan.branchName,
+    branchCode: loan.branchCode,
+    loanCycle: loan.client ? await clientLoanCycle(loan.client) : await groupLoanCycle(loan.group),
+    currency: loan.currency,
+  });
+}
+
+const DIRECTION_OF = { deposit: 'in', interest: 'in', withdrawal: 'out', fee: 'out' };
+
+// Values written as-is by an update pipeline (undefined fields are left out)
+const literals = (obj) => Object.fromEntries(
+  Object.entries(obj).filter(([, v]) => v !== undefined).map(([k, v]) => [k, { $literal: v }])
+);
+
+// Pipeline expression for array `path` with `changes` merged into the element with `_id`
+function updateElement(input, _id, changes) {
+  return {
+    $map: {
+      input,
+      in: { $cond: [{ $eq: ['$$this._id', { $literal: _id }] }, { $mergeObjects: ['$$this', literals(changes)] }, '$$this'] },
+    },
+  };
+}
+
+// Balance of the account less its active liens, as a pipeline expression
+const AVAILABLE = {
+  $subtract: [
+    { $ifNull: ['$currentBalance', 0] },
+    { $sum: { $map: { input: { $filter: { input: { $ifNull: ['$liens', []] }, cond: { $eq: ['$$this.status', 'active'] } } }, in: '$$this.amount' } } },
+  ],
+};
+
+// Appends an entry of `type` moving `amount` in or out of `account` in one conditional update, so
+// concurrent postings add to the stored balance instead of overwriting it.
+// Deposits, interest, withdrawals and fees have a fixed direction; transfers and reversals must give one.
+// Options:
+//   keep    — for debits: what must stay available (balance less liens) after the entry; the update
+//             matches nothing when it would not
+//   filter  — further conditions the account must meet when written
+//   updates — [{ path, _id, set }]: fields set on an element of an array in the same write
+//   push    — { path: [element] }: elements appended to arrays in the same write
+// Returns { account, transaction } with the account as saved, or null when the conditions did not match.
+async function postTransaction(account, { type, direction = DIRECTION_OF[type], amount, date = new Date(), branchName, branchCode, ...fields }, { keep, filter = {}, updates = [], push = {} } = {}) {
+  if (!direction) throw new Error(`direction is required for ${type} entries`);
+  const value = Number(amount);
+  const balance = { $round: [{ $add: [{ $ifNull: ['$currentBalance', 0] }, direction === 'out' ? -value : value] }, 2] };
+  const entry = {
+    ...fields,
+    _id: fields._id || new mongoose.Types.ObjectId(),
+    date,
+    type,
+    direction,
+    amount: value,
+    currency: account.currency,
+    branchName: branchName || account.branchName,
+    branchCode: branchCode || account.branchCode,
+  };
+
+  const arrays = { transactions: { $ifNull: ['$transactions', []] } };
+  updates.forEach(({ path, _id, set }) => {
+    arrays[path] = updateElement(arrays[path] || { $ifNull: [`$${path}`, []] }, _id, set);
+  });
+  Object.entries(push).forEach(([path, items]) => {
+    arrays[path] = { $concatArrays: [arrays[path] || { $ifNull: [`$${path}`, []] }, items.map(literals)] };
+  });
+  arrays.transactions = { $concatArrays: [arrays.transactions, [{ ...literals(entry), balance }]] };
+
+  const match = { ...filter, _id: account._id };
+  if (keep != null) match.$expr = { $gte: [AVAILABLE, Math.round((value + Number(keep)) * 100) / 100] };
+  const saved = await SavingsAccount.findOneAndUpdate(match, [{ $set: { ...arrays, currentBalance: balance } }], { new: true });
+  if (!saved) return null;
+  return { account: saved, transaction: saved.transactions.id(entry._id) };
+}
+
+// Takes back an entry posted by postTransaction (e.g. when the rest of an operation failed)
+async function unpostTransaction(account, transaction, { set = {}, unset = {} } = {}) {
+  const signed = transaction.direction === 'out' ? Number(transaction.amount) : -Number(transaction.amount);
+  const update = { $pull: { transactions: { _id: transaction._id } }, $inc: { currentBalance: signed } };
+  if (Object.keys(set).length) update.$set = set;
+  if (Object.keys(unset).length) update.$unset = unset;
+  return SavingsAccount.updateOne({ _id: account._id }, update);
+}
+
+// Appends a deposit (or other incoming entry) of `amount` to `account`; returns the saved account
+async function depositToAccount(account, amount, { type = 'deposit', ...options } = {}) {
+  const posted = await postTransaction(account, { ...options, type, direction: 'in', amount });
+  return posted && posted.account;
+}
+
+// Appends a deposit of `amount` for `loan` and returns the saved account
+async function depositForLoan(loan, amount, { date = new Date(), account, type, narration } = {}) {
+  const target = account || await ensureSavingsAccount(loan);
+  if (!target) throw new Error('Loan has no client or group savings account to deposit into');
+  return depositToAccount(target, amount, { date, type, narration, loan: loan._id, branchName: loan.branchName, branchCode: loan.branchCode });
+}
+
+// Appends a withdrawal (or other outgoing entry) of `amount` from `account`; `conditions` as for
+// postTransaction. Returns { account, transaction }, or null when the conditions did not match.
+async function withdrawFromAccount(account, amount, { type = 'withdrawal', ...options } = {}, conditions = {}) {
+  return postTransaction(account, { ...options, type, direction: 'out', amount }, conditions);
+}
+
+// Collateral cash liens. The collateral deposited at activation stays in the balance but is held
+// against the loan: withdrawals may not touch it until the loan is paid (the lien is released) or
+// an approver offsets it against the arrears of a defaulted loan.
+
+// Deposits the loan's collateral cash and places the lien for it; returns the saved account
+async function holdCollateralCash(loan, amount, { date = new Date() } = {}) {
+  const account = await ensureSavingsAccount(loan);
+  if (!account) throw new Error('Loan has no client or group savings account to deposit into');
+  if (account.currency !== loan.currency) {
+    throw new Error(`Collateral cannot be held in a ${account.currency} savings account for a ${loan.currency} loan`);
+  }
+  const lien = {
+    _id: new mongoose.Types.ObjectId(),
+    loan: loan._id,
+    originalAmount: Number(amount),
+    amount: Number(amount),
+    status: 'active',
+    placedAt: date,
+    offsets: [],
+  };
+  const posted = await postTransaction(
+    account,
+    { type: 'deposit', amount, date, loan: loan._id, branchName: loan.branchName, branchCode: loan.branchCode },
+    { push: { liens: [lien] } }
+  );
+  return posted.account;
+}
+
+// The account holding an active lien for `loan`, with that lien
+async function activeLienFor(loan) {
+  const account = await SavingsAccount.findOne({ liens: { $elemMatch: { loan: loan._id, status: 'active' } } });
+  if (!account) return {};
+  const lien = account.liens.find((l) => String(l.loan) === String(loan._id) && l.status === 'active');
+  return { account, lien };
+}
+
+// Releases every active lien held for `loan`; returns the amount released
+async function releaseLoanLiens(loan, { date = new Date() } = {}) {
+  const accounts = await SavingsAccount.find({ liens: { $elemMatch: { loan: loan._id, status: 'active' } } });
+  let released = 0;
+  for (const account of accounts) {
+    account.liens.forEach((l) => {
+      if (String(l.loan) !== String(loan._id) || l.status !== 'active') return;
+      l.status = 'released';
+      l.releasedAt = date;
+      released += Number(l.amount || 0);
+    });
+    await account.save();
+  }
+  return released;
+}
+
+// Puts liens released at closure back in force when the loan is reopened, as far as the balance allows
+async function reinstateLoanLiens(loan) {
+  const accounts = await SavingsAccount.find({ liens: { $elemMatch: { loan: loan._id, status: 'released' } } });
+  for (const account of accounts) {
+    account.liens.forEach((l) => {
+      if (String(l.loan) !== String(loan._id) || l.status !== 'released') return;
+      const amount = Math.min(Number(l.amount || 0), Math.max(account.availableBalance, 0));
+      if (!(amount > 0)) return;
+      l.amount = amount;
+      l.status = 'active';
+      l.releasedAt = undefined;
+    });
+    await account.save();
+  }
+}
+
+// Places liens for open loans whose collateral was deposited before liens were tracked
+async function backfillCollateralLiens() {
+  const cursor = Loan.find({
+    status: { $in: ['active', 'defaulted', 'written_off'] },
+    client: { $exists: true },
+    collateralCashAmount: { $gt: 0 },
+    collateralReleasedAt: { $exists: false },
+  }).select('client collateralCashAmount disbursementDate').cursor();
+  let placed = 0;
+  for await (const loan of cursor) {
+    const account = await SavingsAccount.findOne({ accountType: 'individual', client: loan.client });
+    if (!account || account.liens.some((l) => String(l.loan) === String(loan._id))) continue;
+    const amount = Math.min(Number(loan.collateralCashAmount), Math.max(account.availableBalance, 0));
+    if (!(amount > 0)) continue;
+    account.liens.push({ loan: loan._id, originalAmount: amount, amount, placedAt: loan.disbursementDate || new Date() });
+    await account.save();
+    placed += 1;
+  }
+  return { placed };
+}
+
+module.exports = {
+  ensureSavingsAccount,
+  postTransaction,
+  unpostTransaction,
+  depositToAccount,
+  depositForLoan,
+  withdrawFromAccount,
+  holdCollateralCash,
+  activeLienFor,
+  releaseLoanLiens,
+  reinstateLoanLiens,
+  backfillCollateralLiens,
+};
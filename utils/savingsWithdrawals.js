@@ -0,0 +1,45 @@
+const LoanConfig = require('../models/LoanConfig');
+const SavingsProduct = require('../models/SavingsProduct');
+
+// Withdrawal rules for savings accounts. Money may leave an account only down to what its liens hold
+// plus its product's minimum balance; withdrawals and outgoing transfers above the branch approval
+// limit wait for a manager (see withdrawalRequests on the account).
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+// Entry types that must leave the product's minimum balance in place. Fees and reversals may eat
+// into it, but never into the liens.
+const CUSTOMER_DEBITS = ['withdrawal', 'transfer'];
+
+// Amount above which a withdrawal from `account` needs approval, or null when there is no limit
+async function withdrawalApprovalLimitFor(account) {
+  const specific = account.branchCode ? await LoanConfig.findOne({ branchCode: account.branchCode }) : null;
+  const global = await LoanConfig.findOne({ branchCode: { $exists: false } });
+  const limitOf = (c) => c && c.savings && c.savings.withdrawalApprovalAbove && c.savings.withdrawalApprovalAbove[account.currency];
+  const cfg = [specific, global].find((c) => limitOf(c) != null);
+  return cfg ? limitOf(cfg) : null;
+}
+
+async function minimumBalanceFor(account) {
+  if (!account.product) return 0;
+  const product = await SavingsProduct.findById(account.product).select('minimumBalance');
+  return Number((product && product.minimumBalance) || 0);
+}
+
+// What must stay in `account` beyond its liens after a `type` entry is taken out
+async function balanceToKeep(account, type) {
+  return CUSTOMER_DEBITS.includes(type) ? minimumBalanceFor(account) : 0;
+}
+
+// Error message when `amount` cannot leave `account` as a `type` entry, else null
+async function checkWithdrawal(account, amount, type) {
+  const minimumBalance = await balanceToKeep(account, type);
+  const available = round2(Math.max(Number(account.currentBalance || 0) - account.lienAmount - minimumBalance, 0));
+  if (Number(amount) <= available) return null;
+  const held = [];
+  if (account.lienAmount > 0) held.push(`${account.lienAmount} held as loan collateral`);
+  if (minimumBalance > 0) held.push(`${minimumBalance} minimum balance`);
+  return `${type[0].toUpperCase()}${type.slice(1)} of ${amount} exceeds the ${available} available (balance ${account.currentBalance}${held.length ? `; ${held.join(', ')}` : ''})`;
+}
+
+module.exports = { withdrawalApprovalLimitFor, minimumBalanceFor, balanceToKeep, checkWithdrawal };